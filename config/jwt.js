@@ -6,18 +6,21 @@
  */
 
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 /**
- * Generate JWT token
+ * Generate JWT access token
+ * Access tokens are short-lived, the refresh token is used to get a new one
  * @param {string} id - User ID from MongoDB
+ * @param {string} sessionId - Session ID the token belongs to (used for revocation)
  * @returns {string} JWT token
  */
-const generateToken = (id) => { 
+const generateToken = (id, sessionId) => { 
   return jwt.sign(
-    { id }, // payload data in the json
+    { id, sid: sessionId }, // payload data in the json
     process.env.JWT_SECRET, // Secret key for sign in
     { 
-      expiresIn: process.env.JWT_EXPIRE || '7d' // token expires in 7 days
+      expiresIn: process.env.JWT_EXPIRE || '15m' // access token expires in 15 minutes
     }
   )
 }
@@ -25,7 +28,7 @@ const generateToken = (id) => {
 /**
  * Verify JWT token
  * @param {string} token - JWT token to verify
- * @returns {object} Decoded token payload (contains user id)
+ * @returns {object} Decoded token payload (contains user id and session id)
  */
 const verifyToken = (token) => { 
   try { 
@@ -36,8 +39,96 @@ const verifyToken = (token) => {
   }
 }
 
-// export the generateToken and verifyToken methods
+/**
+ * Generate "mfa pending" token
+ * Issued after a correct password when the account has 2FA enabled
+ * Only accepted by the 2FA login step, it has no session so protect rejects it
+ * @param {string} id - User ID from MongoDB
+ * @returns {string} JWT token
+ */
+const generateMfaToken = (id) => { 
+  return jwt.sign(
+    { id, type: 'mfa_pending' },
+    process.env.JWT_SECRET,
+    { 
+      expiresIn: '5m' // user has 5 minutes to enter the code
+    }
+  )
+}
+
+/**
+ * Verify "mfa pending" token
+ * @param {string} token - JWT token to verify
+ * @returns {object} Decoded token payload (contains user id)
+ */
+const verifyMfaToken = (token) => { 
+  const decoded = verifyToken(token)
+
+  if (decoded.type !== 'mfa_pending') { 
+    throw new Error('Invalid Token')
+  }
+  return decoded
+}
+
+/**
+ * Generate account link token
+ * Issued after the user re-authenticates, kept in the browser's session through the provider's OAuth flow
+ * so the callback knows which account to link the provider identity to
+ * @param {string} id - User ID from MongoDB
+ * @param {string} provider - provider being linked (e.g. 'google')
+ * @returns {string} JWT token
+ */
+const generateLinkToken = (id, provider) => { 
+  return jwt.sign(
+    { id, provider, type: 'identity_link' },
+    process.env.JWT_SECRET,
+    { 
+      expiresIn: '10m' // user has 10 minutes to complete the provider sign-in
+    }
+  )
+}
+
+/**
+ * Verify account link token
+ * @param {string} token - JWT token to verify
+ * @param {string} provider - provider the token must be for
+ * @returns {object} Decoded token payload (contains user id)
+ */
+const verifyLinkToken = (token, provider) => { 
+  const decoded = verifyToken(token)
+
+  if (decoded.type !== 'identity_link' || decoded.provider !== provider) { 
+    throw new Error('Invalid Token')
+  }
+  return decoded
+}
+
+/**
+ * Generate refresh token secret
+ * Opaque random value, only the hash of it is stored in the database
+ * @returns {string} random hex string
+ */
+const generateRefreshSecret = () => { 
+  return crypto.randomBytes(40).toString('hex')
+}
+
+/**
+ * Hash a token before storing or comparing it
+ * @param {string} token - raw token value
+ * @returns {string} sha256 hash of the token
+ */
+const hashToken = (token) => { 
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+// export the token helper methods
 module.exports = { 
   generateToken,
-  verifyToken
-};
\ No newline at end of file
+  verifyToken,
+  generateMfaToken,
+  verifyMfaToken,
+  generateLinkToken,
+  verifyLinkToken,
+  generateRefreshSecret,
+  hashToken
+};
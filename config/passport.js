@@ -8,6 +8,8 @@
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const User = require('../models/User');
+const { verifyLinkToken } = require('./jwt');
+const { notifySecurityEvent } = require('../utils/securityNotifications');
 
 /**
  * Configure Google OAuth Strategy
@@ -17,10 +19,12 @@ passport.use(
         {
             clientID: process.env.GOOGLE_CLIENT_ID,
             clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-            callbackURL: process.env.GOOGLE_CALLBACK_URL
+            callbackURL: process.env.GOOGLE_CALLBACK_URL,
+            passReqToCallback: true, // needed to read the link token from the session
+            state: true // random state kept in the session and checked on the callback (no forged callbacks)
         },
 
-        async (accessToken, refreshToken, profile, done) => { 
+        async (req, accessToken, refreshToken, profile, done) => { 
             try { 
                 // extract user information from google profile
                 const email = profile.emails[0].value;
@@ -29,31 +33,79 @@ passport.use(
                 const googleId = profile.id;
                 const profilePicture = profile.photos[0]?.value;
 
-                // check if user already exists
-                let user = await User.findOne({ email })
-
-                if (user) { 
-                    // if user exists - check authMethod
-                    if (user.authMethod == 'local') { 
-                        // link google account if user registered with local
-                        user.googleId = googleId;
-                        user.authMethod = 'google';
-                        user.profilePicture = profilePicture;
-                        user.isEmailVerified = true;
-                        await user.save(); // save and update using mongoose
+                // find the account this google identity is linked to (if any)
+                const linkedUser = await User.findOne({ googleId })
+
+                // the session carries a link token when a signed in user is linking google to their account
+                // (set by the browser that asked to link, so a link can't be started for someone else)
+                const linkToken = req.session.googleLinkToken;
+
+                if (linkToken) { 
+                    delete req.session.googleLinkToken;
+
+                    let decoded;
+                    try { 
+                        decoded = verifyLinkToken(linkToken, 'google')
+                    }
+                    catch (tokenError) { 
+                        return done(null, false, { message: 'Invalid or expired link request' })
+                    }
+
+                    const user = await User.findById(decoded.id)
+
+                    if (!user || !user.isActive) { 
+                        return done(null, false, { message: 'Invalid or expired link request' })
+                    }
+
+                    // google account already belongs to someone else
+                    if (linkedUser && !linkedUser._id.equals(user._id)) { 
+                        return done(null, user, { linked: false, linkError: 'google_account_in_use' })
+                    }
+
+                    if (!user.hasIdentity('google')) { 
+                        user.identities.push({ provider: 'google', providerId: googleId, email });
+                        if (!user.profilePicture) user.profilePicture = profilePicture;
+
+                        try { 
+                            await user.save(); // save and update using mongoose
+                        }
+                        catch (saveError) { 
+                            // linked to another account at the same time (unique googleId index)
+                            if (saveError.code === 11000) return done(null, user, { linked: false, linkError: 'google_account_in_use' })
+                            throw saveError
+                        }
+
+                        // let the owner know in case it wasn't them
+                        await notifySecurityEvent(user, 'googleLinked', req);
+                    }
+
+                    return done(null, user, { linked: true })
+                }
+
+                // google identity already linked - sign in
+                if (linkedUser) { 
+                    // owner reported activity they didn't do - no new session until the password is reset
+                    if (linkedUser.passwordResetRequired) { 
+                        return done(null, false, { message: 'Password reset required. Please use the reset link sent to your email' })
                     }
 
-                    // if user is already using google auth
-                    return done(null, user) // no error occured and user obj is authenticated
+                    return done(null, linkedUser) // no error occured and user obj is authenticated
+                }
+
+                // an account with this email exists but google was never linked to it
+                // the owner must sign in with their password and link google from their settings
+                const existingUser = await User.findOne({ email })
+
+                if (existingUser) { 
+                    return done(null, false, { message: 'An account with this email already exists. Sign in and link Google from your settings.' })
                 }
 
                 // if user doesnt exist yet - create new user
-                user = await User.create({
+                const user = await User.create({
                     firstName,
                     lastName,
                     email,
-                    googleId,
-                    authMethod: 'google',
+                    identities: [{ provider: 'google', providerId: googleId, email }],
                     profilePicture,
                     isEmailVerified: true,
                     // postalCode to be collected after redirect
@@ -62,6 +114,11 @@ passport.use(
                 return done(null, user) // complete new user creation
             }
             catch (error) { 
+                // same google account signing up twice at once - the first sign-up won
+                if (error.code === 11000) { 
+                    return done(null, false, { message: 'Account was just created, please sign in again' })
+                }
+
                 console.error(`Google OAuth error: ${error}`);
                 return done(error, null);
             }
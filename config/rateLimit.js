@@ -0,0 +1,80 @@
+/**
+ * Rate Limit Policies
+ * 
+ * Per-route limits used with the rateLimit middleware
+ * Mainly protects routes that send emails from abuse
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+module.exports = { 
+    // account creation sends a verification email
+    register: { 
+        name: 'register',
+        windowMs: HOUR,
+        max: 5,
+        keyBy: 'ip',
+        message: 'Too many accounts created from this IP. Please try again later.'
+    },
+
+    // password reset emails - limited per IP and per target email
+    forgotPasswordIp: { 
+        name: 'forgot-password-ip',
+        windowMs: HOUR,
+        max: 10,
+        keyBy: 'ip',
+        message: 'Too many password reset requests. Please try again later.'
+    },
+    forgotPasswordEmail: { 
+        name: 'forgot-password-email',
+        windowMs: HOUR,
+        max: 3,
+        keyBy: 'email',
+        message: 'Too many password reset requests. Please try again later.'
+    },
+
+    // verification emails - limited per signed in user
+    resendVerification: { 
+        name: 'resend-verification',
+        windowMs: 15 * 60 * 1000,
+        max: 3,
+        keyBy: 'user',
+        message: 'Too many verification codes requested. Please try again later.'
+    },
+
+    // password setup codes - limited per signed in user
+    passwordSetup: { 
+        name: 'password-setup',
+        windowMs: 15 * 60 * 1000,
+        max: 3,
+        keyBy: 'user',
+        message: 'Too many confirmation codes requested. Please try again later.'
+    },
+
+    // trip plans scan the timetable - limited per IP
+    tripPlan: { 
+        name: 'trip-plan',
+        windowMs: 60 * 1000,
+        max: 30,
+        keyBy: 'ip',
+        message: 'Too many trip plans requested. Please try again in a minute.'
+    },
+
+    // analytics aggregate months of data - limited per IP
+    analytics: { 
+        name: 'analytics',
+        windowMs: 60 * 1000,
+        max: 30,
+        keyBy: 'ip',
+        message: 'Too many analytics queries. Please try again in a minute.'
+    },
+
+    // rider reports - limited per signed in user
+    report: { 
+        name: 'report',
+        windowMs: HOUR,
+        max: 20,
+        keyBy: 'user',
+        message: 'Too many reports submitted. Please try again later.'
+    }
+};
@@ -0,0 +1,458 @@
+/**
+ * Alert Controller
+ * 
+ * Service alerts for riders - alerts posted by ops staff and alerts from the GTFS-Realtime feed
+ * Admins create, edit and remove their own alerts, feed alerts are read only
+ */
+
+const Alert = require('../models/Alert');
+const ServiceAlert = require('../models/ServiceAlert');
+const Stop = require('../models/Stop');
+const Route = require('../models/Route');
+const { getActiveFeedVersion } = require('../utils/gtfs');
+const { sanitizeRichText } = require('../utils/richText');
+const { htmlToText, escapeHTML, resolveLocale } = require('../utils/templates');
+const { notifyAlertSubscribers } = require('../utils/alertNotifications');
+
+const SEVERITY_ORDER = { severe: 0, warning: 1, info: 2 };
+const MAX_TARGETS = 200;
+
+/**
+ * Query matching the alerts that apply at a time (no period - always)
+ */
+const activeAtFilter = (time) => ({
+    $or: [
+        { activePeriods: { $size: 0 } },
+        { 
+            activePeriods: { 
+                $elemMatch: { 
+                    $and: [
+                        { $or: [{ start: null }, { start: { $lte: time } }] },
+                        { $or: [{ end: null }, { end: { $gt: time } }] }
+                    ]
+                }
+            }
+        }
+    ]
+});
+
+/**
+ * Format an admin alert for API responses
+ */
+const formatAlert = (alert) => ({
+    id: alert._id,
+    source: 'admin',
+    severity: alert.severity,
+    title: alert.title,
+    body: alert.body,
+    url: alert.url,
+    routeIds: alert.routeIds,
+    stopIds: alert.stopIds,
+    activePeriods: alert.activePeriods,
+    createdAt: alert.createdAt,
+    updatedAt: alert.updatedAt
+});
+
+/**
+ * Format a GTFS-Realtime alert like an admin alert (text in the requested language)
+ */
+const formatFeedAlert = (alert, language) => { 
+    const getText = (translations) => { 
+        const match = translations.find(item => item.language === language)
+            || translations.find(item => !item.language || item.language === 'en')
+            || translations[0];
+        return match?.text || '';
+    };
+    const description = getText(alert.descriptionText);
+
+    return { 
+        id: alert.alertId,
+        source: 'feed',
+        severity: ['warning', 'severe'].includes(alert.severity?.toLowerCase()) ? alert.severity.toLowerCase() : 'info',
+        title: getText(alert.headerText),
+        body: description ? `<p>${escapeHTML(description).replace(/\n/g, '<br>')}</p>` : '',
+        url: getText(alert.url) || null,
+        cause: alert.cause,
+        effect: alert.effect,
+        routeIds: alert.routeIds,
+        stopIds: alert.stopIds,
+        activePeriods: alert.activePeriods,
+        updatedAt: alert.fetchedAt
+    };
+}
+
+/**
+ * Read and check the alert fields sent by an admin
+ * @param {object} body - request body
+ * @returns {object} { values } (only the fields sent) or { error }
+ */
+const parseAlertInput = async (body) => { 
+    const values = {};
+
+    for (const field of ['title', 'severity']) { 
+        if (body[field] !== undefined) values[field] = body[field];
+    }
+
+    if (body.body !== undefined) values.body = sanitizeRichText(body.body);
+    if (body.url !== undefined) values.url = body.url || null;
+
+    for (const field of ['routeIds', 'stopIds']) { 
+        if (body[field] === undefined) continue;
+
+        if (!Array.isArray(body[field]) || body[field].length > MAX_TARGETS || body[field].some(id => !id || typeof id === 'object')) { 
+            return { error: `${field} must be a list of up to ${MAX_TARGETS} GTFS ids` };
+        }
+        values[field] = [...new Set(body[field].map(String))];
+    }
+
+    if (body.activePeriods !== undefined) { 
+        if (!Array.isArray(body.activePeriods)) return { error: 'activePeriods must be a list of { start, end }' };
+
+        values.activePeriods = [];
+        for (const period of body.activePeriods) { 
+            const start = period?.start ? new Date(period.start) : null;
+            const end = period?.end ? new Date(period.end) : null;
+
+            if ((!start && !end) || (start && isNaN(start)) || (end && isNaN(end)) || (start && end && start >= end)) { 
+                return { error: 'Each active period needs a start and / or end date, with start before end' };
+            }
+            values.activePeriods.push({ start, end });
+        }
+    }
+
+    // affected routes and stops must exist in the current feed
+    const feedVersion = await getActiveFeedVersion();
+
+    if (feedVersion && (values.routeIds?.length || values.stopIds?.length)) { 
+        const [routeIds, stopIds] = await Promise.all([
+            values.routeIds?.length ? Route.distinct('routeId', { feedVersion: feedVersion._id, routeId: { $in: values.routeIds } }) : [],
+            values.stopIds?.length ? Stop.distinct('stopId', { feedVersion: feedVersion._id, stopId: { $in: values.stopIds } }) : []
+        ]);
+        const unknown = [
+            ...(values.routeIds || []).filter(id => !routeIds.includes(id)).map(id => `route ${id}`),
+            ...(values.stopIds || []).filter(id => !stopIds.includes(id)).map(id => `stop ${id}`)
+        ];
+
+        if (unknown.length) return { error: `Not in the current transit data: ${unknown.join(', ')}` };
+    }
+
+    return { values };
+}
+
+/**
+ * Email the subscribers of the alert's routes and stops (in the background)
+ * Users already emailed about the alert are not emailed again after an edit
+ */
+const notifySubscribers = (alert) => { 
+    notifyAlertSubscribers({
+        key: `admin:${alert._id}`,
+        header: alert.title,
+        description: htmlToText(alert.body),
+        url: alert.url,
+        routeIds: alert.routeIds,
+        stopIds: alert.stopIds,
+        activePeriods: alert.activePeriods
+    });
+}
+
+/**
+ * Send the error response for create / update
+ */
+const handleSaveError = (error, res, action) => { 
+    // Handle invalid MongoDB ID format
+    if (error.kind === 'ObjectId') { 
+        return res.status(404).json({
+            success: false,
+            message: 'Alert not found'
+        });
+    }
+
+    if (error.name === 'ValidationError') { 
+        return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors).map(err => err.message).join(', ')
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: `Server error ${action} alert`
+    });
+}
+
+/**
+ * @desc    Get service alerts from ops staff and the realtime feed
+ *          ?route= / ?stop= (comma separated) return the alerts affecting any of them,
+ *          a stop also matches alerts on the routes serving it, announcements without routes or stops always match
+ *          ?active=true only returns alerts that apply now, ?lang=fr picks French feed texts,
+ *          ?limit= caps the list (default 50, max 200)
+ * @route   GET /api/alerts?route=&stop=&active=&lang=&limit=
+ * @access  Public
+ */
+const getAlerts = async (req, res) => { 
+    try { 
+        const split = (value) => (value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : []);
+        const routeIds = split(req.query.route);
+        const stopIds = split(req.query.stop);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        const adminConditions = [];
+        const feedConditions = [];
+
+        if (req.query.active === 'true') { 
+            const now = new Date();
+            adminConditions.push(activeAtFilter(now));
+            feedConditions.push(activeAtFilter(now));
+        }
+
+        if (routeIds.length || stopIds.length) { 
+            // alerts on the routes serving the stops also affect them
+            const feedVersion = stopIds.length ? await getActiveFeedVersion() : null;
+            const stopRouteIds = feedVersion
+                ? await Stop.distinct('routeIds', { feedVersion: feedVersion._id, stopId: { $in: stopIds } })
+                : [];
+
+            const targets = [
+                { routeIds: { $in: [...routeIds, ...stopRouteIds] } },
+                { stopIds: { $in: stopIds } }
+            ];
+
+            adminConditions.push({ $or: [...targets, { routeIds: { $size: 0 }, stopIds: { $size: 0 } }] });
+            feedConditions.push({ $or: targets });
+        }
+
+        // most recently updated of each source, the merged list is cut to the limit after sorting
+        const [adminAlerts, feedAlerts] = await Promise.all([
+            Alert.find(adminConditions.length ? { $and: adminConditions } : {}).sort({ updatedAt: -1 }).limit(limit).lean(),
+            ServiceAlert.find(feedConditions.length ? { $and: feedConditions } : {}).sort({ fetchedAt: -1 }).limit(limit).lean()
+        ]);
+
+        const language = resolveLocale(req.query.lang);
+
+        const alerts = [
+            ...adminAlerts.map(formatAlert),
+            ...feedAlerts.map(alert => formatFeedAlert(alert, language))
+        ]
+            .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || new Date(b.updatedAt) - new Date(a.updatedAt))
+            .slice(0, limit);
+
+        res.status(200).json({
+            success: true,
+            count: alerts.length,
+            alerts
+        });
+    }
+    catch (error) { 
+        console.error(`Get alerts error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching alerts'
+        });
+    }
+}
+
+/**
+ * @desc    Get the alerts posted by staff, newest first (?active=true - only alerts that apply now)
+ * @route   GET /api/admin/alerts?active=&page=&limit=
+ * @access  Private/Admin
+ */
+const getAdminAlerts = async (req, res) => { 
+    try { 
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const filter = req.query.active === 'true' ? activeAtFilter(new Date()) : {};
+
+        const [alerts, total] = await Promise.all([
+            Alert.find(filter)
+                .populate('createdBy updatedBy', 'firstName lastName email')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Alert.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: alerts.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            alerts: alerts.map(alert => ({ ...formatAlert(alert), createdBy: alert.createdBy, updatedBy: alert.updatedBy }))
+        });
+    }
+    catch (error) { 
+        console.error(`Get admin alerts error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching alerts'
+        });
+    }
+}
+
+/**
+ * @desc    Get an alert posted by staff
+ * @route   GET /api/admin/alerts/:id
+ * @access  Private/Admin
+ */
+const getAlertById = async (req, res) => { 
+    try { 
+        const alert = await Alert.findById(req.params.id).populate('createdBy updatedBy', 'firstName lastName email');
+
+        if (!alert) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            alert: { ...formatAlert(alert), createdBy: alert.createdBy, updatedBy: alert.updatedBy }
+        });
+    }
+    catch (error) { 
+        console.error(`Get alert error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') { 
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching alert'
+        });
+    }
+}
+
+/**
+ * @desc    Post an alert - { title, body (rich text), url, severity, routeIds, stopIds, activePeriods: [{ start, end }] }
+ *          Subscribers of the affected routes and stops are emailed
+ * @route   POST /api/admin/alerts
+ * @access  Private/Admin
+ */
+const createAlert = async (req, res) => { 
+    try { 
+        const { values, error } = await parseAlertInput(req.body);
+
+        if (error) { 
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const alert = await Alert.create({
+            ...values,
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+
+        notifySubscribers(alert);
+
+        res.status(201).json({
+            success: true,
+            message: 'Alert posted',
+            alert: formatAlert(alert)
+        });
+    }
+    catch (error) { 
+        console.error(`Create alert error: ${error.stack}`);
+        handleSaveError(error, res, 'creating');
+    }
+}
+
+/**
+ * @desc    Edit an alert (only the fields sent are changed)
+ *          Subscribers of newly affected routes and stops are emailed
+ * @route   PUT /api/admin/alerts/:id
+ * @access  Private/Admin
+ */
+const updateAlert = async (req, res) => { 
+    try { 
+        const alert = await Alert.findById(req.params.id);
+
+        if (!alert) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        const { values, error } = await parseAlertInput(req.body);
+
+        if (error) { 
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        alert.set({ ...values, updatedBy: req.user._id });
+        await alert.save();
+
+        notifySubscribers(alert);
+
+        res.status(200).json({
+            success: true,
+            message: 'Alert updated',
+            alert: formatAlert(alert)
+        });
+    }
+    catch (error) { 
+        console.error(`Update alert error: ${error.stack}`);
+        handleSaveError(error, res, 'updating');
+    }
+}
+
+/**
+ * @desc    Remove an alert
+ * @route   DELETE /api/admin/alerts/:id
+ * @access  Private/Admin
+ */
+const deleteAlert = async (req, res) => { 
+    try { 
+        const alert = await Alert.findByIdAndDelete(req.params.id);
+
+        if (!alert) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Alert removed'
+        });
+    }
+    catch (error) { 
+        console.error(`Delete alert error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') { 
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error removing alert'
+        });
+    }
+}
+
+module.exports = { 
+    getAlerts,
+    getAdminAlerts,
+    getAlertById,
+    createAlert,
+    updateAlert,
+    deleteAlert
+};
@@ -0,0 +1,273 @@
+/**
+ * Alert Subscription Controller
+ * 
+ * Lets users choose the routes and stops they get service alert emails for,
+ * on which days and outside which quiet hours
+ */
+
+const AlertSubscription = require('../models/AlertSubscription');
+const Stop = require('../models/Stop');
+const Route = require('../models/Route');
+const { getActiveFeedVersion } = require('../utils/gtfs');
+
+const MAX_SUBSCRIPTIONS = 50;
+
+/**
+ * Format a subscription for API responses
+ */
+const formatSubscription = (subscription) => ({
+    id: subscription._id,
+    type: subscription.type,
+    targetId: subscription.targetId,
+    days: subscription.days,
+    quietHours: subscription.quietHours,
+    isActive: subscription.isActive,
+    createdAt: subscription.createdAt
+});
+
+/**
+ * Check the days and quiet hours sent by the client
+ * @returns {string|null} error message
+ */
+const validateSchedule = ({ days, quietHours }) => { 
+    if (days !== undefined) { 
+        if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) { 
+            return 'days must be a list of days of the week (0 - Sunday ... 6 - Saturday)';
+        }
+    }
+
+    if (quietHours !== undefined && quietHours !== null) { 
+        if (typeof quietHours !== 'object' || !quietHours.start || !quietHours.end) { 
+            return 'quietHours must have a start and end (HH:MM)';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * @desc    Get the user's alert subscriptions
+ * @route   GET /api/users/alert-subscriptions
+ * @access  Private
+ */
+const getAlertSubscriptions = async (req, res) => { 
+    try { 
+        const subscriptions = await AlertSubscription.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: subscriptions.length,
+            subscriptions: subscriptions.map(formatSubscription)
+        });
+    }
+    catch (error) { 
+        console.error(`Get alert subscriptions error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching alert subscriptions'
+        });
+    }
+}
+
+/**
+ * @desc    Subscribe to service alerts for a route or stop
+ *          Optional days (0 - Sunday ... 6 - Saturday) and quietHours { start, end } in Calgary time
+ * @route   POST /api/users/alert-subscriptions
+ * @access  Private
+ */
+const createAlertSubscription = async (req, res) => { 
+    try { 
+        const { type, id, days, quietHours } = req.body;
+
+        if (!['stop', 'route'].includes(type) || !id) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a type (stop or route) and id'
+            });
+        }
+
+        const scheduleError = validateSchedule({ days, quietHours });
+        if (scheduleError) { 
+            return res.status(400).json({
+                success: false,
+                message: scheduleError
+            });
+        }
+
+        const feedVersion = await getActiveFeedVersion();
+
+        if (!feedVersion) { 
+            return res.status(503).json({
+                success: false,
+                message: 'Transit data is not available yet'
+            });
+        }
+
+        // only stops and routes that exist in the current feed can be followed
+        const exists = type === 'stop'
+            ? await Stop.exists({ feedVersion: feedVersion._id, stopId: String(id) })
+            : await Route.exists({ feedVersion: feedVersion._id, routeId: String(id) });
+
+        if (!exists) { 
+            return res.status(404).json({
+                success: false,
+                message: type === 'stop' ? 'Stop not found' : 'Route not found'
+            });
+        }
+
+        const count = await AlertSubscription.countDocuments({ user: req.user._id });
+
+        if (count >= MAX_SUBSCRIPTIONS) { 
+            return res.status(400).json({
+                success: false,
+                message: `You can follow up to ${MAX_SUBSCRIPTIONS} routes and stops`
+            });
+        }
+
+        const subscription = await AlertSubscription.create({
+            user: req.user._id,
+            type,
+            targetId: String(id),
+            days,
+            quietHours: quietHours || null
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Subscribed to service alerts',
+            subscription: formatSubscription(subscription)
+        });
+    }
+    catch (error) { 
+        console.error(`Create alert subscription error: ${error.stack}`);
+
+        // unique index on user + type + target
+        if (error.code === 11000) { 
+            return res.status(409).json({
+                success: false,
+                message: 'Already subscribed to this route or stop'
+            });
+        }
+
+        if (error.name === 'ValidationError') { 
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating alert subscription'
+        });
+    }
+}
+
+/**
+ * @desc    Change the days, quiet hours (null to remove) or pause a subscription (isActive)
+ * @route   PUT /api/users/alert-subscriptions/:id
+ * @access  Private
+ */
+const updateAlertSubscription = async (req, res) => { 
+    try { 
+        const { days, quietHours, isActive } = req.body;
+
+        const scheduleError = validateSchedule({ days, quietHours });
+        if (scheduleError) { 
+            return res.status(400).json({
+                success: false,
+                message: scheduleError
+            });
+        }
+
+        const subscription = await AlertSubscription.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!subscription) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Alert subscription not found'
+            });
+        }
+
+        if (days !== undefined) subscription.days = days;
+        if (quietHours !== undefined) subscription.quietHours = quietHours;
+        if (isActive !== undefined) subscription.isActive = Boolean(isActive);
+
+        await subscription.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Alert subscription updated',
+            subscription: formatSubscription(subscription)
+        });
+    }
+    catch (error) { 
+        console.error(`Update alert subscription error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') { 
+            return res.status(404).json({
+                success: false,
+                message: 'Alert subscription not found'
+            });
+        }
+
+        if (error.name === 'ValidationError') { 
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating alert subscription'
+        });
+    }
+}
+
+/**
+ * @desc    Unsubscribe from a route or stop
+ * @route   DELETE /api/users/alert-subscriptions/:id
+ * @access  Private
+ */
+const deleteAlertSubscription = async (req, res) => { 
+    try { 
+        const subscription = await AlertSubscription.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+        if (!subscription) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Alert subscription not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Unsubscribed from service alerts'
+        });
+    }
+    catch (error) { 
+        console.error(`Delete alert subscription error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') { 
+            return res.status(404).json({
+                success: false,
+                message: 'Alert subscription not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting alert subscription'
+        });
+    }
+}
+
+module.exports = { 
+    getAlertSubscriptions,
+    createAlertSubscription,
+    updateAlertSubscription,
+    deleteAlertSubscription
+};
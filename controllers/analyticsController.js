@@ -0,0 +1,167 @@
+/**
+ * Analytics Controller
+ * 
+ * On-time performance computed from the daily roll-ups of archived realtime predictions
+ * Data for a service day is available once the day has been rolled up (the morning after)
+ */
+
+const { BUCKET, GROUP_FIELDS, getOnTimePerformance } = require('../utils/otp');
+const { getServiceDate, shiftServiceDate } = require('../utils/gtfs');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+const DEFAULT_EARLY = 60;     // seconds - more than a minute early is early
+const DEFAULT_LATE = 300;     // seconds - 5 minutes late or more is late
+const MAX_THRESHOLD = 1800;
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Read a date (YYYY-MM-DD) as a service date (YYYYMMDD)
+ * @returns {string|null} YYYYMMDD, null when the date is not valid
+ */
+const parseDate = (value) => { 
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+    const serviceDate = value.replace(/-/g, '');
+    return shiftServiceDate(serviceDate, 0) === serviceDate ? serviceDate : null;
+}
+
+/**
+ * Read a list of hours (0-23) with ranges, e.g. "7,8" or "15-18"
+ * @returns {number[]|null} hours, null when the list is not valid
+ */
+const parseHours = (value) => { 
+    const hours = new Set();
+
+    for (const part of String(value).split(',')) { 
+        const match = part.trim().match(/^(\d{1,2})(?:-(\d{1,2}))?$/);
+        if (!match) return null;
+
+        const start = Number(match[1]);
+        const end = Number(match[2] ?? match[1]);
+        if (start > 23 || end > 23 || start > end) return null;
+
+        for (let hour = start; hour <= end; hour++) hours.add(hour);
+    }
+
+    return [...hours];
+}
+
+/**
+ * Read a list of days of the week, as numbers (0 = Sunday) or names (sun, mon...)
+ * @returns {number[]|null} days, null when the list is not valid
+ */
+const parseDays = (value) => { 
+    const days = String(value).split(',').map(day => { 
+        const name = day.trim().toLowerCase().slice(0, 3);
+        return /^[0-6]$/.test(name) ? Number(name) : DAY_NAMES.indexOf(name);
+    });
+
+    return days.includes(-1) ? null : [...new Set(days)];
+}
+
+/**
+ * Read an early / late threshold in seconds (a multiple of 30 up to 30 minutes)
+ * @returns {number|null} seconds, null when the value is not valid
+ */
+const parseThreshold = (value, defaultValue) => { 
+    if (value === undefined) return defaultValue;
+
+    const seconds = Number(value);
+    return Number.isInteger(seconds) && seconds >= 0 && seconds <= MAX_THRESHOLD && seconds % BUCKET === 0 ? seconds : null;
+}
+
+/**
+ * @desc    Get on-time performance (share of departures early, on time and late) for a date range
+ *          Filter by route, stop, hour of the day and day of the week, group by route, stop, hour, day or date
+ *          On time is from `early` seconds early to under `late` seconds late (defaults 60 and 300)
+ * @route   GET /api/analytics/otp?from=&to=&route=&stop=&hours=&days=&early=&late=&groupBy=
+ * @access  Public
+ */
+const getOtp = async (req, res) => { 
+    try { 
+        const { route, stop, hours, days, groupBy } = req.query;
+
+        // last 30 days up to yesterday (today isn't rolled up yet)
+        const to = req.query.to ? parseDate(req.query.to) : shiftServiceDate(getServiceDate(new Date()), -1);
+        const from = req.query.from ? parseDate(req.query.from) : to && shiftServiceDate(to, 1 - DEFAULT_DAYS);
+
+        if (!from || !to || from > to) { 
+            return res.status(400).json({
+                success: false,
+                message: 'from and to must be dates (YYYY-MM-DD) with from before to'
+            });
+        }
+
+        if (shiftServiceDate(from, MAX_DAYS) <= to) { 
+            return res.status(400).json({
+                success: false,
+                message: `Date range cannot exceed ${MAX_DAYS} days`
+            });
+        }
+
+        const hourList = hours ? parseHours(hours) : [];
+        const dayList = days ? parseDays(days) : [];
+
+        if (!hourList || !dayList) { 
+            return res.status(400).json({
+                success: false,
+                message: 'hours must be hours from 0 to 23 (e.g. 7,8 or 15-18) and days days of the week (e.g. mon,tue or 1,2)'
+            });
+        }
+
+        const early = parseThreshold(req.query.early, DEFAULT_EARLY);
+        const late = parseThreshold(req.query.late, DEFAULT_LATE);
+
+        if (early === null || late === null) { 
+            return res.status(400).json({
+                success: false,
+                message: `early and late must be seconds in steps of ${BUCKET}, up to ${MAX_THRESHOLD}`
+            });
+        }
+
+        if (groupBy && !GROUP_FIELDS[groupBy]) { 
+            return res.status(400).json({
+                success: false,
+                message: `groupBy must be ${Object.keys(GROUP_FIELDS).join(', ')}`
+            });
+        }
+
+        const { summary, groups } = await getOnTimePerformance({
+            from,
+            to,
+            routeIds: route ? String(route).split(',').map(id => id.trim()).filter(Boolean) : [],
+            stopIds: stop ? String(stop).split(',').map(id => id.trim()).filter(Boolean) : [],
+            hours: hourList,
+            days: dayList,
+            early,
+            late,
+            groupBy
+        });
+
+        const formatDate = (serviceDate) => `${serviceDate.slice(0, 4)}-${serviceDate.slice(4, 6)}-${serviceDate.slice(6, 8)}`;
+
+        res.status(200).json({
+            success: true,
+            from: formatDate(from),
+            to: formatDate(to),
+            thresholds: { early, late },
+            summary,
+            groupBy: groupBy || null,
+            groups: groupBy === 'date'
+                ? groups.map(group => ({ ...group, date: formatDate(group.date) }))
+                : groups
+        });
+    }
+    catch (error) { 
+        console.error(`Get on-time performance error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error computing on-time performance'
+        });
+    }
+}
+
+module.exports = { 
+    getOtp
+};
@@ -0,0 +1,71 @@
+/**
+ * Audit Log Controller
+ * 
+ * Lets admins review the actions taken on user accounts
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * @desc    Get admin actions, newest first (filter by action, status, actor, target user or date)
+ * @route   GET /api/admin/audit-log?action=&status=&actor=&target=&from=&to=&page=&limit=
+ * @access  Private/Admin
+ */
+const getAuditLog = async (req, res) => { 
+    try { 
+        const { action, status, actor, target, from, to } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        // build filter from the query parameters
+        const filter = {};
+        if (action) filter.action = { $in: String(action).split(',') };
+        if (status) filter.status = { $in: String(status).split(',') };
+        if (actor) filter.actor = String(actor);
+        if (target) filter.target = String(target);
+        if (from || to) { 
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter)
+                .populate('actor', 'firstName lastName email')
+                .populate('target', 'firstName lastName email')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            entries
+        });
+    }
+    catch (error) { 
+        console.error(`Get audit log error: ${error.stack}`);
+
+        // invalid user id or date in the filter
+        if (error.name === 'CastError') { 
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid filter value'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching audit log'
+        });
+    }
+}
+
+module.exports = { 
+    getAuditLog
+};
@@ -6,10 +6,25 @@
  */
 
 const User = require('../models/User')
-const { generateToken, verifyToken } = require('../config/jwt')
+const passport = require('passport')
 const crypto = require('crypto')
+const { generateMfaToken, verifyMfaToken, hashToken } = require('../config/jwt')
 const { sendVerificationEmail } = require('../utils/email')
 const { sendPasswordResetEmail } = require('../utils/email')
+const { issueSession, rotateSession, createExchangeCode, redeemExchangeCode, revokeSession, revokeAllSessions } = require('../utils/session')
+const { notifySecurityEvent } = require('../utils/securityNotifications')
+const { validatePostalCode } = require('../utils/postalCode')
+const { restoreAccountContent } = require('../utils/accountContent')
+const SecurityEvent = require('../models/SecurityEvent')
+const {
+    MAX_VERIFICATION_ATTEMPTS,
+    getIpLock,
+    recordFailedLogin,
+    resetAccountFailures,
+    countCodeAttempt,
+    discardCode,
+    sendLockedResponse
+} = require('../utils/lockout')
 
 /**
  * @desc    Register new user (local authentication) - sends verification email
@@ -18,7 +33,22 @@ const { sendPasswordResetEmail } = require('../utils/email')
  */
 const registerUser = async (req, res) => { 
     try { 
-        const { firstName, lastName, email, password, postalCode} = req.body;
+        const { firstName, lastName, email, password, preferredLanguage } = req.body;
+
+        // postal code is optional at registration, but must be a Calgary postal code when given
+        let postalCode;
+        if (req.body.postalCode) { 
+            const result = validatePostalCode(req.body.postalCode);
+
+            if (result.error) { 
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: [result.error]
+                })
+            }
+            postalCode = result.postalCode;
+        }
 
         // check if user already exists
         const userExists = await User.findOne({ email }); // mongoose query method
@@ -41,7 +71,8 @@ const registerUser = async (req, res) => {
             email,
             password,
             postalCode,
-            authMethod: 'local',
+            preferredLanguage,
+            identities: [{ provider: 'local' }],
             isEmailVerified: false, // not yet verified upon creation
             emailVerificationCode: verificationCode,
             emailVerificationExpires: Date.now() + 10 * 60 *1000 // 10 mins in total
@@ -49,29 +80,32 @@ const registerUser = async (req, res) => {
 
         // send the verification email to user 
         try { 
-            await sendVerificationEmail(email, verificationCode) // use util which takes in the email of user and the randomly generated code
+            await sendVerificationEmail(user, verificationCode) // use util which takes in the user and the randomly generated code
         } 
         catch (emailError) { 
-            // if email fails, still create the user but log the error (TEMPORARY implementation)
-            console.error(`Failed to send verification email: ${emailError}`)
+            // queued emails are retried by the email worker - this only fails if the queue itself is unavailable
+            // the user can still request a new code with resend-verification
+            console.error(`Failed to queue verification email: ${emailError}`)
         }
 
-        // generate JWT token
-        const token = generateToken(user._id) // mongoDB ObjectID
+        // create a session and generate the JWT + refresh token
+        const { token, refreshToken } = await issueSession(user, req, 'local')
 
         // send response (excluding password)
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
             token,
+            refreshToken,
             user: { 
                 id: user._id,
                 firstName: user.firstName,
                 lastName: user.lastName,
                 email: user.email,
                 postalCode: user.postalCode,
+                preferredLanguage: user.preferredLanguage,
                 role: user.role,
-                authMethod: user.authMethod,
+                authMethods: user.authMethods,
                 isEmailVerified: user.isEmailVerified
             }
         });
@@ -114,18 +148,26 @@ const loginUser = async(req, res) => {
             })
         };
 
+        // check if this IP is locked out after too many failed logins
+        const ipLockedUntil = await getIpLock(req.ip)
+
+        if (ipLockedUntil) { 
+            return sendLockedResponse(res, 429, 'Too many failed login attempts. Please try again later.', ipLockedUntil)
+        };
+
         // find user and include password (excluded by default)
         const user = await User.findOne({ email }).select('+password')
 
         if (!user) { 
+            await recordFailedLogin(null, req.ip) // still count the attempt against the IP
             return res.status(400).json({
                 success: false,
                 message: 'Invalid credentials'
             })
         };
 
-        // check if user used OAuth (there should be no password)
-        if (user.authMethod === 'google') { 
+        // check if user only uses OAuth (there should be no password)
+        if (!user.hasIdentity('local')) { 
             return res.status(400).json({
                 success: false,
                 message: 'This account uses Google sign-in. Please login with Google.'
@@ -140,32 +182,67 @@ const loginUser = async(req, res) => {
             })
         };
 
+        // check if account is locked after too many failed logins
+        if (user.isLocked()) { 
+            return sendLockedResponse(res, 423, 'Account is temporarily locked due to too many failed login attempts', user.lockedUntil)
+        };
+
+        // owner reported activity they didn't do - the password can't be trusted until it is reset
+        if (user.passwordResetRequired) { 
+            return res.status(403).json({
+                success: false,
+                message: 'Password reset required. Please use the reset link sent to your email'
+            })
+        };
+
         // verify password using method created in User.js 
         const isPasswordMatch = await user.comparePassword(password)
 
         if (!isPasswordMatch) { 
+            // count the failure against the account and the IP (locks once the limit is reached)
+            const lockedUntil = await recordFailedLogin(user, req.ip)
+
+            if (lockedUntil) { 
+                return sendLockedResponse(res, 423, 'Account is temporarily locked due to too many failed login attempts', lockedUntil)
+            };
+
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             })
         };
 
-        // generate JWT token to be sent in the response
-        const token = generateToken(user._id)
+        // account has 2FA enabled - send a short-lived token for the second step instead of a session
+        if (user.twoFactorEnabled) { 
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication required',
+                mfaRequired: true,
+                mfaToken: generateMfaToken(user._id)
+            })
+        };
+
+        // successful login clears the failed attempt counters
+        await resetAccountFailures(user)
+
+        // create a session and generate the JWT + refresh token to be sent in the response
+        const { token, refreshToken } = await issueSession(user, req, 'local')
 
         // send response after user has logged in 
         res.status(200).json({
             success: true,
             message: 'Login successful',
             token,
+            refreshToken,
             user: { 
                 id: user._id,
                 firstName: user.firstName,
                 lastName: user.lastName,
                 email: user.email,
                 postalCode: user.postalCode,
+                preferredLanguage: user.preferredLanguage,
                 role: user.role,
-                authMethod: user.authMethod,
+                authMethods: user.authMethods,
                 profilePicture: user.profilePicture,
                 isEmailVerified: user.isEmailVerified,
             }
@@ -180,6 +257,118 @@ const loginUser = async(req, res) => {
     }
 }
 
+/**
+ * @desc    Second login step for accounts with 2FA - exchange "mfa pending" token + code for a session
+ * @route   POST /api/auth/login/2fa
+ * @access  Public (requires mfa pending token from login)
+ */
+const loginTwoFactor = async (req, res) => { 
+    try { 
+        const { mfaToken, code } = req.body;
+
+        // Validate input
+        if (!mfaToken || !code) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the mfa token and a two-factor code'
+            })
+        };
+
+        // check if this IP is locked out after too many failed logins
+        const ipLockedUntil = await getIpLock(req.ip)
+
+        if (ipLockedUntil) { 
+            return sendLockedResponse(res, 429, 'Too many failed login attempts. Please try again later.', ipLockedUntil)
+        };
+
+        // verify the token issued by loginUser (throws if invalid or expired)
+        let decoded;
+        try { 
+            decoded = verifyMfaToken(mfaToken)
+        }
+        catch (tokenError) { 
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired mfa token. Please login again'
+            })
+        }
+
+        // find user and include 2FA fields (excluded by default)
+        const user = await User.findById(decoded.id)
+            .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorBackupCodes')
+
+        if (!user || !user.isActive) { 
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired mfa token. Please login again'
+            })
+        };
+
+        // check if account is locked after too many failed logins
+        if (user.isLocked()) { 
+            return sendLockedResponse(res, 423, 'Account is temporarily locked due to too many failed login attempts', user.lockedUntil)
+        };
+
+        // owner reported activity they didn't do after the first step
+        if (user.passwordResetRequired) { 
+            return res.status(403).json({
+                success: false,
+                message: 'Password reset required. Please use the reset link sent to your email'
+            })
+        };
+
+        // verify authenticator or backup code (wrong codes count as failed logins)
+        if (!user.verifyTwoFactorCode(code)) { 
+            const lockedUntil = await recordFailedLogin(user, req.ip)
+
+            if (lockedUntil) { 
+                return sendLockedResponse(res, 423, 'Account is temporarily locked due to too many failed login attempts', lockedUntil)
+            };
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid two-factor code'
+            })
+        };
+
+        // save used code (backup codes are single-use, authenticator codes can't be replayed)
+        await user.save()
+
+        // successful login clears the failed attempt counters
+        await resetAccountFailures(user)
+
+        // create a session and generate the JWT + refresh token to be sent in the response
+        const { token, refreshToken } = await issueSession(user, req, 'local')
+
+        res.status(200).json({
+            success: true,
+            message: 'Login successful',
+            token,
+            refreshToken,
+            backupCodesRemaining: user.twoFactorBackupCodes.length,
+            user: { 
+                id: user._id,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                email: user.email,
+                postalCode: user.postalCode,
+                preferredLanguage: user.preferredLanguage,
+                role: user.role,
+                authMethods: user.authMethods,
+                profilePicture: user.profilePicture,
+                isEmailVerified: user.isEmailVerified,
+            }
+        });
+    }
+    catch (error) { 
+        console.error(`2FA login error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+}
+
 /**
  * @desc    Get current logged in user 
  * @route   GET /api/auth/me (consider currentUser as the 'me')
@@ -198,8 +387,9 @@ const getCurrentUser = async (req, res) => {
                 lastName: user.lastName,
                 email: user.email,
                 postalCode: user.postalCode,
+                preferredLanguage: user.preferredLanguage,
                 role: user.role,
-                authMethod: user.authMethod,
+                authMethods: user.authMethods,
                 profilePicture: user.profilePicture,
                 isEmailVerified: user.isEmailVerified
             }
@@ -216,13 +406,18 @@ const getCurrentUser = async (req, res) => {
 
 /**
  * @desc    Initiate Google OAuth flow
- *          passport automatically handles googleAuth
- *          placeholder for route
+ *          passport handles the redirect to google
+ *          ?link=true finishes a link started with POST /api/users/identities/google/link (link token in the session)
  * @route   GET /api/auth/google
  * @access  Public
  */
 const googleAuth = (req, res, next) => {
+    // plain sign-in - forget a link the user started and abandoned
+    if (req.query.link !== 'true') delete req.session.googleLinkToken;
 
+    passport.authenticate('google', { 
+        scope: ['profile', 'email'] // gets the profile and email
+    })(req, res, next);
 };
 
 /**
@@ -234,19 +429,23 @@ const googleAuthCallback = async (req, res) => {
     try { 
         // req.user is set by Passport after successful OAuth that is handled in passport.js
         const user = req.user;
+        const frontendURL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+        // google was linked to an already signed in account - no new session, back to settings
+        if (req.authInfo && req.authInfo.linked !== undefined) { 
+            const result = req.authInfo.linked ? 'linked=google' : `linkError=${req.authInfo.linkError}`;
+            return res.redirect(`${frontendURL}/settings?${result}`);
+        }
 
-        // Generate jwt token using jwt.js
-        const token = generateToken(user._id);
-        console.log(`JWT TOKEN FOR TESTING: ${token}`) // temporary log to acquire token for testing
+        // Create a session - its tokens are handed out for a one-time code, never in the redirect URL
+        const { session } = await issueSession(user, req, 'google');
+        const code = await createExchangeCode(session);
 
         // Check if user needs to add a postal code in profile
         const needsPostalCode = !user.postalCode;
 
-        // Redirect to frontend with token and user info
-        const frontendURL = process.env.CLIENT_URL || 'http://localhost:5173';
-        
-        // Encode data to pass to frontend
-        const redirectURL = `${frontendURL}/auth/callback?token=${token}&needsPostalCode=${needsPostalCode}`;
+        // frontend exchanges the code with POST /api/auth/google/exchange
+        const redirectURL = `${frontendURL}/auth/callback?code=${code}&needsPostalCode=${needsPostalCode}`;
 
         // redirect back to the frontend
         res.redirect(redirectURL);
@@ -275,6 +474,16 @@ const completeOAuthProfile = async (req, res) => {
             });
         }
 
+        // Canadian format, in Calgary - stored as "A1A 1A1"
+        const result = validatePostalCode(postalCode);
+
+        if (result.error) { 
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
         // get user using id
         const user = await User.findById(req.user.id)
 
@@ -286,7 +495,7 @@ const completeOAuthProfile = async (req, res) => {
         }
 
         // update the postal code value and save the new user values
-        user.postalCode = postalCode;
+        user.postalCode = result.postalCode;
         await user.save(); 
 
         // send a json payload to verify success of profile creation
@@ -299,8 +508,9 @@ const completeOAuthProfile = async (req, res) => {
             lastName: user.lastName,
             email: user.email,
             postalCode: user.postalCode,
+            preferredLanguage: user.preferredLanguage,
             role: user.role,
-            authMethod: user.authMethod,
+            authMethods: user.authMethods,
             profilePicture: user.profilePicture
         }
         });
@@ -330,12 +540,8 @@ const verifyEmail = async (req, res) => {
             })
         }
 
-        // find a user with matching code that hasnt expired
-        const user = await User.findOne({
-            _id: req.user.id,
-            emailVerificationCode: code,
-            emailVerificationExpires: {$gt: Date.now()} // check if expiration time is greater than current time
-        })
+        // find user with a code that hasnt expired, counting the attempt before the code is checked
+        const user = await countCodeAttempt(req.user.id, 'emailVerification')
 
         if (!user) { 
             return res.status(400).json({
@@ -344,10 +550,30 @@ const verifyEmail = async (req, res) => {
             })
         }
 
+        // attempts used up (by parallel guesses too), or a wrong code on the last one - discard the code
+        const isMatch = user.emailVerificationCode === String(code)
+
+        if (user.emailVerificationAttempts > MAX_VERIFICATION_ATTEMPTS || (!isMatch && user.emailVerificationAttempts >= MAX_VERIFICATION_ATTEMPTS)) { 
+            await discardCode(user, 'emailVerification')
+
+            return res.status(429).json({
+                success: false,
+                message: 'Too many incorrect attempts. Please request a new verification code'
+            })
+        }
+
+        if (!isMatch) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification code'
+            })
+        }
+
         // set and mark email as verified 
         user.isEmailVerified = true;
         user.emailVerificationCode = undefined; // clear data
         user.emailVerificationExpires = undefined; // clear data
+        user.emailVerificationAttempts = 0;
         await user.save(); // save user updates using mongoose
 
         // send json payload with user emails if email verification is a success
@@ -403,8 +629,16 @@ const resendVerificationCode = async (req, res) => {
         // Update user object with new code and expiration date
         user.emailVerificationCode = verificationCode;
         user.emailVerificationExpires = Date.now() + 10 * 60 * 1000;  // 10 minutes
+        user.emailVerificationAttempts = 0; // new code gets a fresh set of attempts
         await user.save(); // update user values again using mongoose save
 
+        // send the new code to the user
+        await sendVerificationEmail(user, verificationCode)
+
+        res.status(200).json({
+            success: true,
+            message: 'Verification code sent'
+        });
     } 
     catch (error) { 
         console.error(`Resend verification error:' ${error.stack}`);
@@ -444,11 +678,11 @@ const forgotPassword = async (req, res) => {
             });
         }
 
-        // check if user used OAUth (cannot reset password)
-        if (user.authMethod !== 'local') { 
+        // check if user only uses OAUth (no password to reset)
+        if (!user.hasIdentity('local')) { 
             return res.status(400).json({
                 success: false,
-                message: 'Account uses Google sign-in. Please login with Google'
+                message: 'Account uses Google sign-in. Please login with Google, a password can be added from your settings'
             })
         }
 
@@ -461,7 +695,7 @@ const forgotPassword = async (req, res) => {
         await user.save() // save the new data to db
         
         // send email with unhashed token using email.js util function
-        await sendPasswordResetEmail(user.email, resetToken)
+        await sendPasswordResetEmail(user, resetToken)
 
         // send json payload confirmation for password reset
         res.status(200).json({
@@ -520,8 +754,15 @@ const resetPassword = async (req, res) => {
         user.password = newPassword
         user.passwordResetToken = undefined
         user.passwordResetExpires = undefined
+        user.passwordResetRequired = false
         await user.save();  // when save() is run, it also runs the pre-save middleware that hashes the password
 
+        // sign out every device that was using the old password
+        await revokeAllSessions(user._id, 'password_reset')
+
+        // let the owner know in case it wasn't them
+        await notifySecurityEvent(user, 'passwordResetCompleted', req)
+
         res.status(200).json({
             success: true,
             message: 'Password reset successful. You can now login with your new password.'
@@ -547,15 +788,234 @@ const resetPassword = async (req, res) => {
     }
 }
 
+/**
+ * @desc    Exchange the one-time code from the Google callback redirect for the session's tokens - { code }
+ * @route   POST /api/auth/google/exchange
+ * @access  Public (requires the code from the redirect, valid once for 1 minute)
+ */
+const exchangeGoogleCode = async (req, res) => { 
+    try { 
+        const { code } = req.body;
+
+        if (!code) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the code'
+            });
+        }
+
+        const tokens = await redeemExchangeCode(code);
+
+        if (!tokens) { 
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired code. Please sign in again'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            token: tokens.token,
+            refreshToken: tokens.refreshToken
+        });
+    }
+    catch (error) { 
+        console.error(`Google code exchange error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error signing in'
+        });
+    }
+}
+
+/**
+ * @desc    Exchange a refresh token for a new access token (refresh token is rotated)
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires valid refresh token)
+ */
+const refreshAccessToken = async (req, res) => { 
+    try { 
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a refresh token'
+            });
+        }
+
+        // rotate the refresh token - returns null if invalid, expired, revoked or reused
+        const tokens = await rotateSession(refreshToken, req);
+
+        if (!tokens) { 
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            token: tokens.token,
+            refreshToken: tokens.refreshToken
+        });
+    }
+    catch (error) { 
+        console.error(`Refresh token error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error refreshing token'
+        });
+    }
+}
+
+/**
+ * @desc    Logout current session (revokes access and refresh token)
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+const logoutUser = async (req, res) => { 
+    try { 
+        // req.authSession is set by protect middleware
+        await revokeSession(req.authSession._id, 'logout');
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    }
+    catch (error) { 
+        console.error(`Logout error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+}
+
+/**
+ * @desc    Logout from every device (revokes all sessions of the user)
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+const logoutAllSessions = async (req, res) => { 
+    try { 
+        const count = await revokeAllSessions(req.user._id, 'logout_all');
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out from all devices',
+            count
+        });
+    }
+    catch (error) { 
+        console.error(`Logout all error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error logging out of all devices'
+        });
+    }
+}
+
+/**
+ * @desc    "This wasn't me" link from a security notification email
+ *          Signs out every device, undoes a Google link, and requires a password reset
+ * @route   POST /api/auth/secure-account/:token
+ * @access  Public (requires token from the email)
+ */
+const secureAccount = async (req, res) => { 
+    try { 
+        // find the event with a matching token that is not yet used or expired
+        const event = await SecurityEvent.findOne({
+            secureTokenHash: hashToken(req.params.token),
+            secureTokenExpires: { $gt: Date.now() },
+            reportedAt: null
+        })
+
+        if (!event) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired link'
+            })
+        }
+
+        const user = await User.findById(event.user)
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            })
+        }
+
+        // token can only be used once
+        event.reportedAt = Date.now()
+        event.secureTokenHash = undefined
+        event.secureTokenExpires = undefined
+        await event.save()
+
+        // sign out every device
+        await revokeAllSessions(user._id, 'security_report')
+
+        // undo what the owner didn't do
+        if (event.type === 'googleLinked' && user.hasIdentity('local')) { 
+            user.identities = user.identities.filter(identity => identity.provider !== 'google')
+        }
+        if (event.type === 'accountDeactivated') { 
+            user.isActive = true
+        }
+
+        // password can't be trusted anymore - block password login and send a reset link
+        let resetToken = null
+        if (user.hasIdentity('local')) { 
+            resetToken = crypto.randomBytes(32).toString('hex')
+            user.passwordResetToken = hashToken(resetToken)
+            user.passwordResetExpires = Date.now() + 60 * 60 * 1000  // 1 hour before token expires
+            user.passwordResetRequired = true
+        }
+
+        await user.save()
+
+        if (resetToken) { 
+            await sendPasswordResetEmail(user, resetToken)
+        }
+
+        // bring back the favourites and saved trips hidden when the account was deactivated
+        if (event.type === 'accountDeactivated') { 
+            await restoreAccountContent(user._id)
+        }
+
+        res.status(200).json({
+            success: true,
+            message: resetToken
+                ? 'Your account is secured. All devices were signed out, check your email to reset your password'
+                : 'Your account is secured. All devices were signed out'
+        })
+    }
+    catch (error) { 
+        console.error(`Secure account error: ${error.stack}`)
+        res.status(500).json({
+            success: false,
+            message: 'Server error securing account'
+        })
+    }
+}
+
 module.exports = { 
     registerUser,
     loginUser,
+    loginTwoFactor,
+    refreshAccessToken,
+    logoutUser,
+    logoutAllSessions,
     getCurrentUser,
     googleAuth,
     googleAuthCallback,
+    exchangeGoogleCode,
     completeOAuthProfile,
     verifyEmail,
     resendVerificationCode,
     forgotPassword,
-    resetPassword
+    resetPassword,
+    secureAccount
 };
@@ -0,0 +1,144 @@
+/**
+ * Email Controller
+ * 
+ * Admin view of the outbound email queue
+ * Used to inspect failed sends and put them back in the queue
+ */
+
+const EmailJob = require('../models/EmailJob');
+const { retryJob } = require('../utils/emailQueue');
+
+/**
+ * @desc    Get queued emails (filter by status, template or recipient)
+ * @route   GET /api/admin/emails?status=&template=&to=&page=&limit=
+ * @access  Private/Admin
+ */
+const getEmailJobs = async (req, res) => { 
+    try { 
+        const { status, template, to } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        // build filter from the query parameters
+        const filter = {};
+        if (status) filter.status = { $in: String(status).split(',') };
+        if (template) filter.template = template;
+        if (to) filter.to = String(to).toLowerCase();
+
+        // message bodies are left out of the list
+        const [jobs, total] = await Promise.all([
+            EmailJob.find(filter)
+                .select('-html -text')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            EmailJob.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: jobs.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            jobs
+        });
+    }
+    catch (error) { 
+        console.error(`Get email jobs error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching emails'
+        });
+    }
+}
+
+/**
+ * @desc    Get a queued email and its last error (the body is never shown, it can hold codes and reset links)
+ * @route   GET /api/admin/emails/:id
+ * @access  Private/Admin
+ */
+const getEmailJobById = async (req, res) => { 
+    try { 
+        // html and text are left out by the model
+        const job = await EmailJob.findById(req.params.id);
+
+        if (!job) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            job
+        });
+    }
+    catch (error) { 
+        console.error(`Get email job error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching email'
+        });
+    }
+}
+
+/**
+ * @desc    Retry a failed email now (dead emails can't be retried, their content is removed)
+ * @route   POST /api/admin/emails/:id/retry
+ * @access  Private/Admin
+ */
+const retryEmailJob = async (req, res) => { 
+    try { 
+        const job = await retryJob(req.params.id);
+
+        if (!job) { 
+            return res.status(404).json({
+                success: false,
+                message: 'No failed email found with this id'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Email queued for retry',
+            job: {
+                id: job._id,
+                to: job.to,
+                status: job.status
+            }
+        });
+    }
+    catch (error) { 
+        console.error(`Retry email job error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'No failed email found with this id'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrying email'
+        });
+    }
+}
+
+module.exports = { 
+    getEmailJobs,
+    getEmailJobById,
+    retryEmailJob
+};
@@ -0,0 +1,322 @@
+/**
+ * Favorite Controller
+ * 
+ * Lets users save stops and routes with their own labels and order
+ * Favourite stops come back with their next departures
+ */
+
+const Favorite = require('../models/Favorite');
+const Stop = require('../models/Stop');
+const Route = require('../models/Route');
+const { getActiveFeedVersion, formatStop, formatRoute } = require('../utils/gtfs');
+const { getDeparturesAtStop } = require('../utils/departures');
+
+const MAX_FAVORITES = 50;
+const NEXT_DEPARTURES = 3;  // departures shown with each favourite stop
+
+/**
+ * Format a favourite with its stop / route from the active feed
+ * available is false when the stop or route is no longer in the feed
+ */
+const formatFavorite = (favorite, target) => ({
+    id: favorite._id,
+    type: favorite.type,
+    targetId: favorite.targetId,
+    label: favorite.label,
+    position: favorite.position,
+    available: Boolean(target),
+    [favorite.type]: target ? (favorite.type === 'stop' ? formatStop(target) : formatRoute(target)) : null,
+    createdAt: favorite.createdAt
+});
+
+/**
+ * @desc    Get the user's favourite stops and routes (stops include their next departures)
+ * @route   GET /api/users/favorites
+ * @access  Private
+ */
+const getFavorites = async (req, res) => { 
+    try { 
+        const favorites = await Favorite.find({ user: req.user._id, hiddenAt: null })
+            .sort({ position: 1, createdAt: 1 })
+            .lean();
+
+        const feedVersion = await getActiveFeedVersion();
+        const targetIds = (type) => favorites.filter(favorite => favorite.type === type).map(favorite => favorite.targetId);
+
+        // look up the stops and routes in the active feed (none until a feed is imported)
+        const [stops, routes] = feedVersion
+            ? await Promise.all([
+                Stop.find({ feedVersion: feedVersion._id, stopId: { $in: targetIds('stop') } }).lean(),
+                Route.find({ feedVersion: feedVersion._id, routeId: { $in: targetIds('route') } }).lean()
+            ])
+            : [[], []];
+
+        const stopsById = new Map(stops.map(stop => [stop.stopId, stop]));
+        const routesById = new Map(routes.map(route => [route.routeId, route]));
+        const now = new Date();
+
+        const result = await Promise.all(favorites.map(async (favorite) => { 
+            if (favorite.type === 'route') return formatFavorite(favorite, routesById.get(favorite.targetId));
+
+            const stop = stopsById.get(favorite.targetId);
+            return { 
+                ...formatFavorite(favorite, stop),
+                nextDepartures: stop ? await getDeparturesAtStop(feedVersion._id, stop, now, NEXT_DEPARTURES) : []
+            };
+        }));
+
+        res.status(200).json({
+            success: true,
+            count: result.length,
+            favorites: result
+        });
+    }
+    catch (error) { 
+        console.error(`Get favorites error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching favourites'
+        });
+    }
+}
+
+/**
+ * @desc    Add a stop or route to the user's favourites (added at the end of the list)
+ * @route   POST /api/users/favorites
+ * @access  Private
+ */
+const addFavorite = async (req, res) => { 
+    try { 
+        const { type, id, label } = req.body;
+
+        if (!['stop', 'route'].includes(type) || !id) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a type (stop or route) and id'
+            });
+        }
+
+        const feedVersion = await getActiveFeedVersion();
+
+        if (!feedVersion) { 
+            return res.status(503).json({
+                success: false,
+                message: 'Transit data is not available yet'
+            });
+        }
+
+        // only stops and routes that exist in the current feed can be added
+        const target = type === 'stop'
+            ? await Stop.findOne({ feedVersion: feedVersion._id, stopId: String(id) }).lean()
+            : await Route.findOne({ feedVersion: feedVersion._id, routeId: String(id) }).lean();
+
+        if (!target) { 
+            return res.status(404).json({
+                success: false,
+                message: type === 'stop' ? 'Stop not found' : 'Route not found'
+            });
+        }
+
+        const [count, last] = await Promise.all([
+            Favorite.countDocuments({ user: req.user._id, hiddenAt: null }),
+            Favorite.findOne({ user: req.user._id }).sort({ position: -1 }).select('position')
+        ]);
+
+        if (count >= MAX_FAVORITES) { 
+            return res.status(400).json({
+                success: false,
+                message: `You can save up to ${MAX_FAVORITES} favourites`
+            });
+        }
+
+        const favorite = await Favorite.create({
+            user: req.user._id,
+            type,
+            targetId: String(id),
+            label: label || null,
+            position: last ? last.position + 1 : 0
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Favourite added',
+            favorite: formatFavorite(favorite, target)
+        });
+    }
+    catch (error) { 
+        console.error(`Add favorite error: ${error.stack}`);
+
+        // unique index on user + type + target
+        if (error.code === 11000) { 
+            return res.status(409).json({
+                success: false,
+                message: 'Already in your favourites'
+            });
+        }
+
+        if (error.name === 'ValidationError') { 
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error adding favourite'
+        });
+    }
+}
+
+/**
+ * @desc    Rename a favourite (empty label - back to the stop / route name)
+ * @route   PUT /api/users/favorites/:id
+ * @access  Private
+ */
+const updateFavorite = async (req, res) => { 
+    try { 
+        const favorite = await Favorite.findOne({ _id: req.params.id, user: req.user._id, hiddenAt: null });
+
+        if (!favorite) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Favourite not found'
+            });
+        }
+
+        favorite.label = req.body.label || null;
+        await favorite.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Favourite updated',
+            favorite: { 
+                id: favorite._id,
+                type: favorite.type,
+                targetId: favorite.targetId,
+                label: favorite.label,
+                position: favorite.position
+            }
+        });
+    }
+    catch (error) { 
+        console.error(`Update favorite error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') { 
+            return res.status(404).json({
+                success: false,
+                message: 'Favourite not found'
+            });
+        }
+
+        if (error.name === 'ValidationError') { 
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating favourite'
+        });
+    }
+}
+
+/**
+ * @desc    Reorder favourites - ids in the new order, favourites left out keep their order after them
+ * @route   PUT /api/users/favorites/order
+ * @access  Private
+ */
+const reorderFavorites = async (req, res) => { 
+    try { 
+        const { ids } = req.body;
+
+        if (!Array.isArray(ids) || ids.length === 0) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the favourite ids in the new order'
+            });
+        }
+
+        const favorites = await Favorite.find({ user: req.user._id, hiddenAt: null }).sort({ position: 1, createdAt: 1 });
+        const favoritesById = new Map(favorites.map(favorite => [favorite._id.toString(), favorite]));
+
+        if (new Set(ids.map(String)).size !== ids.length || ids.some(id => !favoritesById.has(String(id)))) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Favourite ids must be your own favourites, each listed once'
+            });
+        }
+
+        const ordered = [
+            ...ids.map(id => favoritesById.get(String(id))),
+            ...favorites.filter(favorite => !ids.map(String).includes(favorite._id.toString()))
+        ];
+
+        await Favorite.bulkWrite(ordered.map((favorite, position) => ({
+            updateOne: { filter: { _id: favorite._id }, update: { position } }
+        })));
+
+        res.status(200).json({
+            success: true,
+            message: 'Favourites reordered',
+            ids: ordered.map(favorite => favorite._id)
+        });
+    }
+    catch (error) { 
+        console.error(`Reorder favorites error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error reordering favourites'
+        });
+    }
+}
+
+/**
+ * @desc    Remove a favourite
+ * @route   DELETE /api/users/favorites/:id
+ * @access  Private
+ */
+const deleteFavorite = async (req, res) => { 
+    try { 
+        const favorite = await Favorite.findOneAndDelete({ _id: req.params.id, user: req.user._id, hiddenAt: null });
+
+        if (!favorite) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Favourite not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Favourite removed'
+        });
+    }
+    catch (error) { 
+        console.error(`Delete favorite error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') { 
+            return res.status(404).json({
+                success: false,
+                message: 'Favourite not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error removing favourite'
+        });
+    }
+}
+
+module.exports = { 
+    getFavorites,
+    addFavorite,
+    updateFavorite,
+    reorderFavorites,
+    deleteFavorite
+};
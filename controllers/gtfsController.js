@@ -0,0 +1,144 @@
+/**
+ * GTFS Controller
+ * 
+ * Admin endpoints to import GTFS static feeds and follow their progress
+ */
+
+const fs = require('fs');
+const path = require('path');
+const FeedVersion = require('../models/FeedVersion');
+const { createFeedVersion, importGtfsFeed } = require('../utils/gtfsImporter');
+
+// GTFS zips are read from this folder on the server
+const getDataDir = () => path.resolve(process.env.GTFS_DATA_DIR || path.join(__dirname, '..', 'data', 'gtfs'));
+
+/**
+ * @desc    Start importing a GTFS zip from the server's GTFS data folder
+ *          Import runs in the background, follow it with GET /api/admin/gtfs/imports/:id
+ * @route   POST /api/admin/gtfs/import
+ * @access  Private/Admin
+ */
+const importGtfs = async (req, res) => { 
+    try { 
+        const { file } = req.body;
+
+        if (!file) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the GTFS zip file name'
+            });
+        }
+
+        // only files inside the data folder can be imported
+        const dataDir = getDataDir();
+        const filePath = path.resolve(dataDir, file);
+
+        if (!filePath.startsWith(dataDir + path.sep) || !fs.existsSync(filePath)) { 
+            return res.status(404).json({
+                success: false,
+                message: 'GTFS file not found'
+            });
+        }
+
+        const feedVersion = await createFeedVersion(path.basename(filePath), req.user._id);
+
+        // run the import in the background (large feeds take minutes)
+        importGtfsFeed(filePath, feedVersion).catch(error => { 
+            console.error(`GTFS import error: ${error.stack}`);
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'GTFS import started',
+            feedVersion: {
+                id: feedVersion._id,
+                source: feedVersion.source,
+                status: feedVersion.status
+            }
+        });
+    }
+    catch (error) { 
+        console.error(`Import GTFS error: ${error.stack}`);
+
+        if (error.code === 'IMPORT_IN_PROGRESS') { 
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error starting GTFS import'
+        });
+    }
+}
+
+/**
+ * @desc    Get GTFS imports (most recent first)
+ * @route   GET /api/admin/gtfs/imports
+ * @access  Private/Admin
+ */
+const getFeedVersions = async (req, res) => { 
+    try { 
+        const feedVersions = await FeedVersion.find().sort({ startedAt: -1 }).limit(50);
+
+        res.status(200).json({
+            success: true,
+            count: feedVersions.length,
+            feedVersions
+        });
+    }
+    catch (error) { 
+        console.error(`Get feed versions error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching GTFS imports'
+        });
+    }
+}
+
+/**
+ * @desc    Get a GTFS import (status, counts and errors)
+ * @route   GET /api/admin/gtfs/imports/:id
+ * @access  Private/Admin
+ */
+const getFeedVersionById = async (req, res) => { 
+    try { 
+        const feedVersion = await FeedVersion.findById(req.params.id);
+
+        if (!feedVersion) { 
+            return res.status(404).json({
+                success: false,
+                message: 'GTFS import not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            feedVersion
+        });
+    }
+    catch (error) { 
+        console.error(`Get feed version error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'GTFS import not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching GTFS import'
+        });
+    }
+}
+
+module.exports = { 
+    importGtfs,
+    getFeedVersions,
+    getFeedVersionById
+};
@@ -0,0 +1,283 @@
+/**
+ * Live Controller
+ * 
+ * Pushes live vehicle positions and predictions to clients over Server-Sent Events
+ * A client subscribes to a route, a stop or a map area (bounding box) when it opens the stream
+ * and gets new data after every GTFS-Realtime poll
+ */
+
+const jwt = require('jsonwebtoken');
+const Stop = require('../models/Stop');
+const Session = require('../models/Session');
+const { realtimeEvents, getVehiclePositions, getTripUpdates } = require('../utils/gtfsRealtime');
+const { getActiveFeedVersion } = require('../utils/gtfs');
+const { getDepartures, getDepartureStopIds } = require('../utils/departures');
+
+const HEARTBEAT_INTERVAL = 25 * 1000;   // keeps proxies from closing idle streams (and checks the session is still valid)
+const MAX_STREAMS_PER_USER = 5;
+const STOP_DEPARTURES_LIMIT = 10;
+
+// open streams (one client per connection)
+const clients = new Set();
+
+/**
+ * Format a vehicle for the stream
+ */
+const formatVehicle = (vehicle) => ({
+    id: vehicle.vehicleId,
+    label: vehicle.label,
+    tripId: vehicle.tripId,
+    routeId: vehicle.routeId,
+    directionId: vehicle.directionId,
+    lat: vehicle.location.coordinates[1],
+    lng: vehicle.location.coordinates[0],
+    bearing: vehicle.bearing,
+    speed: vehicle.speed,
+    stopId: vehicle.stopId,
+    currentStatus: vehicle.currentStatus,
+    occupancyStatus: vehicle.occupancyStatus,
+    timestamp: vehicle.timestamp
+});
+
+/**
+ * Write an event to a client
+ */
+const send = (client, event, data) => { 
+    if (client.res.writableEnded) return; // ended while the data was worked out
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Check if a vehicle matches a client's subscription
+ */
+const isSubscribed = (client, vehicle) => { 
+    const { routeIds, bbox, stopTripIds } = client.subscription;
+
+    if (routeIds && !routeIds.includes(vehicle.routeId)) return false;
+    if (stopTripIds && !stopTripIds.has(vehicle.tripId)) return false;
+
+    if (bbox) { 
+        const [lng, lat] = vehicle.location.coordinates;
+        if (lng < bbox[0] || lat < bbox[1] || lng > bbox[2] || lat > bbox[3]) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Send the vehicles a client is subscribed to
+ */
+const sendVehicles = (client, vehicles) => { 
+    send(client, 'vehicles', { 
+        vehicles: vehicles.filter(vehicle => isSubscribed(client, vehicle)).map(formatVehicle)
+    });
+}
+
+/**
+ * Send the predicted trips of the subscribed routes
+ */
+const sendTripUpdates = (client, tripUpdates) => { 
+    const { routeIds } = client.subscription;
+
+    send(client, 'tripUpdates', { 
+        tripUpdates: tripUpdates
+            .filter(tripUpdate => routeIds.includes(tripUpdate.routeId))
+            .map(tripUpdate => ({
+                tripId: tripUpdate.tripId,
+                routeId: tripUpdate.routeId,
+                directionId: tripUpdate.directionId,
+                vehicleId: tripUpdate.vehicleId,
+                status: tripUpdate.scheduleRelationship,
+                delay: tripUpdate.delay ?? tripUpdate.stopTimeUpdates[0]?.departureDelay ?? tripUpdate.stopTimeUpdates[0]?.arrivalDelay,
+                stopTimeUpdates: tripUpdate.stopTimeUpdates
+            }))
+    });
+}
+
+/**
+ * Work out the next departures (with predictions) of a stop and send them to its clients
+ * Also remembers the trips serving it so only those vehicles are sent
+ * @param {object[]} stopClients - clients subscribed to the same stop
+ */
+const refreshStopDepartures = async (stopClients) => { 
+    const feedVersion = await getActiveFeedVersion();
+    if (!feedVersion) return;
+
+    const departures = await getDepartures(feedVersion._id, stopClients[0].subscription.stopIds, new Date(), STOP_DEPARTURES_LIMIT);
+    const stopTripIds = new Set(departures.map(departure => departure.tripId));
+
+    const data = { 
+        departures: departures.map(departure => ({
+            tripId: departure.tripId,
+            routeId: departure.routeId,
+            headsign: departure.headsign,
+            stopId: departure.stopId,
+            scheduledTime: departure.scheduledTime,
+            predictedTime: departure.predictedTime,
+            delay: departure.delay,
+            status: departure.status
+        }))
+    };
+
+    for (const client of stopClients) { 
+        client.subscription.stopTripIds = stopTripIds;
+        send(client, 'departures', data);
+    }
+}
+
+// push new realtime data to every open stream
+realtimeEvents.on('vehiclePositions', (vehicles) => { 
+    for (const client of clients) sendVehicles(client, vehicles);
+});
+
+realtimeEvents.on('tripUpdates', async (tripUpdates) => { 
+    // departures are worked out once per stop and sent to all of its clients
+    const stops = new Map();
+
+    for (const client of clients) { 
+        if (client.subscription.stopIds) { 
+            const key = [...client.subscription.stopIds].sort().join(',');
+            if (!stops.has(key)) stops.set(key, []);
+            stops.get(key).push(client);
+        }
+        else if (client.subscription.routeIds) sendTripUpdates(client, tripUpdates);
+    }
+
+    for (const stopClients of stops.values()) { 
+        try { 
+            await refreshStopDepartures(stopClients);
+        }
+        catch (error) { 
+            console.error(`Live stream update error: ${error.stack}`);
+        }
+    }
+});
+
+/**
+ * Read the subscription from the query string
+ * @returns {object} { subscription } or { error }
+ */
+const parseSubscription = async (query) => { 
+    const subscription = {};
+
+    if (query.route) { 
+        subscription.routeIds = String(query.route).split(',').map(routeId => routeId.trim()).filter(Boolean);
+    }
+
+    if (query.bbox) { 
+        const bbox = String(query.bbox).split(',').map(Number);
+
+        if (bbox.length !== 4 || bbox.some(value => !Number.isFinite(value)) || bbox[0] >= bbox[2] || bbox[1] >= bbox[3]) { 
+            return { error: 'bbox must be minLng,minLat,maxLng,maxLat' };
+        }
+        subscription.bbox = bbox;
+    }
+
+    if (query.stop) { 
+        const feedVersion = await getActiveFeedVersion();
+        const stop = feedVersion && await Stop.findOne({ feedVersion: feedVersion._id, stopId: String(query.stop) }).lean();
+
+        if (!stop) return { error: 'Stop not found' };
+
+        subscription.stopIds = await getDepartureStopIds(feedVersion._id, stop);
+    }
+
+    if (!subscription.routeIds && !subscription.bbox && !subscription.stopIds) { 
+        return { error: 'Subscribe to a route, a stop or a bbox' };
+    }
+
+    return { subscription };
+}
+
+/**
+ * @desc    Stream live vehicle positions and predictions (Server-Sent Events)
+ *          Subscribe with ?route= (one or more route ids), ?stop= or ?bbox=minLng,minLat,maxLng,maxLat
+ *          Events: vehicles, tripUpdates (route), departures (stop)
+ *          The stream closes when the access token expires (reconnect with a fresh token) or its session is revoked
+ * @route   GET /api/live/vehicles?route=&stop=&bbox=&access_token=
+ * @access  Private
+ */
+const streamVehicles = async (req, res) => { 
+    try { 
+        const { subscription, error } = await parseSubscription(req.query);
+
+        if (error) { 
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const userId = req.user._id.toString();
+        const userStreams = [...clients].filter(client => client.userId === userId).length;
+
+        if (userStreams >= MAX_STREAMS_PER_USER) { 
+            return res.status(429).json({
+                success: false,
+                message: 'Too many open live streams'
+            });
+        }
+
+        res.writeHead(200, { 
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'   // no buffering behind nginx
+        });
+
+        const client = { userId, subscription, res };
+        clients.add(client);
+
+        let heartbeat, expiry;
+
+        const close = () => { 
+            clearInterval(heartbeat);
+            clearTimeout(expiry);
+            clients.delete(client);
+        }
+
+        // send a last event and end the stream
+        const end = (event, message) => { 
+            if (res.writableEnded) return;
+            close();
+            send(client, event, { message });
+            res.end();
+        }
+
+        // the session can be revoked while the stream is open (logout, password change...)
+        heartbeat = setInterval(async () => { 
+            try { 
+                const session = await Session.findById(req.authSession._id);
+                if (!session || !session.isValid()) return end('revoked', 'Session has expired or been revoked');
+
+                if (!res.writableEnded) res.write(': ping\n\n');
+            }
+            catch (error) { 
+                console.error(`Live stream session check error: ${error.stack}`);
+            }
+        }, HEARTBEAT_INTERVAL);
+
+        // protect verified the token, end the stream when it expires
+        const { exp } = jwt.decode(req.headers.authorization.split(' ')[1]);
+        expiry = setTimeout(() => end('expired', 'Access token expired, reconnect with a new token'), Math.max(exp * 1000 - Date.now(), 0));
+
+        req.on('close', close);
+
+        // current state right away, then updates after every poll
+        if (subscription.stopIds) await refreshStopDepartures([client]);
+        sendVehicles(client, getVehiclePositions());
+        if (subscription.routeIds && !subscription.stopIds) sendTripUpdates(client, getTripUpdates());
+    }
+    catch (error) { 
+        console.error(`Live stream error: ${error.stack}`);
+
+        if (res.headersSent) return res.end();
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error opening live stream'
+        });
+    }
+}
+
+module.exports = { streamVehicles };
@@ -0,0 +1,92 @@
+/**
+ * Plan Controller
+ * 
+ * Trip planning between two points over the active GTFS timetable
+ * The first plan of a service day loads its timetable into memory, later plans reuse it
+ */
+
+const { planTrip } = require('../utils/tripPlanner');
+const { getServiceDate, getServiceDateRange } = require('../utils/gtfs');
+
+const DEFAULT_ITINERARIES = 3;
+const MAX_ITINERARIES = 5;
+const MAX_DEPART_OFFSET = 7 * 24 * 60 * 60 * 1000;  // plans leave within 7 days of now
+
+/**
+ * Parse a "lat,lng" query parameter
+ * @returns {object|null} { lat, lng }, null if invalid
+ */
+const parsePoint = (value) => { 
+    const [lat, lng] = String(value || '').split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng };
+}
+
+/**
+ * @desc    Plan trips between two points, leaving at departAt (default now, within 7 days and the schedule's dates)
+ *          Itineraries have walking, transit and transfer legs with boarding / alighting stops and times
+ * @route   GET /api/plan?from=lat,lng&to=lat,lng&departAt=&limit=
+ * @access  Public
+ */
+const getPlan = async (req, res) => { 
+    try { 
+        const from = parsePoint(req.query.from);
+        const to = parsePoint(req.query.to);
+
+        if (!from || !to) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide from and to as lat,lng'
+            });
+        }
+
+        const departAt = req.query.departAt ? new Date(req.query.departAt) : new Date();
+
+        if (isNaN(departAt)) { 
+            return res.status(400).json({
+                success: false,
+                message: 'departAt must be a date and time (ISO 8601)'
+            });
+        }
+
+        if (Math.abs(departAt - Date.now()) > MAX_DEPART_OFFSET) { 
+            return res.status(400).json({
+                success: false,
+                message: 'departAt must be within 7 days of now'
+            });
+        }
+
+        // the timetable only covers the days of the feed's calendar
+        const serviceRange = await getServiceDateRange(req.feedVersion._id);
+        const serviceDate = getServiceDate(departAt);
+
+        if (serviceRange && (serviceDate < serviceRange.startDate || serviceDate > serviceRange.endDate)) { 
+            return res.status(400).json({
+                success: false,
+                message: 'departAt is outside the dates covered by the transit schedule'
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_ITINERARIES, 1), MAX_ITINERARIES);
+        const itineraries = await planTrip(req.feedVersion._id, { from, to, departAt, limit });
+
+        res.status(200).json({
+            success: true,
+            from,
+            to,
+            departAt,
+            count: itineraries.length,
+            itineraries
+        });
+    }
+    catch (error) { 
+        console.error(`Plan trip error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error planning trip'
+        });
+    }
+}
+
+module.exports = { getPlan };
@@ -0,0 +1,444 @@
+/**
+ * Rating Controller
+ * 
+ * Riders rate routes and stops on reliability, cleanliness and safety (1 to 5) with an optional comment
+ * One rating per rider and target, edited in place; aggregates are updated as ratings change
+ * Admins hide abusive comments (the scores still count)
+ */
+
+const Rating = require('../models/Rating');
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const { getActiveFeedVersion } = require('../utils/gtfs');
+const { DIMENSIONS, addRating, removeRating, getRatingSummaries } = require('../utils/ratings');
+
+const TARGET_MODELS = { 
+    route: { model: Route, field: 'routeId', label: 'Route' },
+    stop: { model: Stop, field: 'stopId', label: 'Stop' }
+};
+
+/**
+ * Public name of a rating's author (first name and last initial)
+ */
+const formatAuthor = (user) => { 
+    if (!user?.firstName) return null;
+    return user.lastName ? `${user.firstName} ${user.lastName[0]}.` : user.firstName;
+}
+
+/**
+ * Format a rating for its author and admins
+ */
+const formatRating = (rating) => ({
+    id: rating._id,
+    user: rating.user,
+    targetType: rating.targetType,
+    targetId: rating.targetId,
+    reliability: rating.reliability,
+    cleanliness: rating.cleanliness,
+    safety: rating.safety,
+    comment: rating.comment,
+    ratedAt: rating.ratedAt,
+    commentHidden: Boolean(rating.commentHiddenAt),
+    commentHiddenAt: rating.commentHiddenAt,
+    commentHiddenReason: rating.commentHiddenReason,
+    createdAt: rating.createdAt,
+    updatedAt: rating.updatedAt
+});
+
+/**
+ * Format a rating for the public list of a target (no user id, no moderation details)
+ */
+const formatPublicRating = (rating) => ({
+    id: rating._id,
+    author: formatAuthor(rating.user),
+    reliability: rating.reliability,
+    cleanliness: rating.cleanliness,
+    safety: rating.safety,
+    comment: rating.comment,
+    ratedAt: rating.ratedAt,
+    updatedAt: rating.updatedAt
+});
+
+/**
+ * Check that the rated route or stop exists in the active feed
+ * @returns {object} { status, message } when the target can't be rated, null otherwise
+ */
+const checkTarget = async (targetType, targetId) => { 
+    const target = TARGET_MODELS[targetType];
+    const feedVersion = await getActiveFeedVersion();
+    if (!feedVersion) return { status: 503, message: 'Transit data is not available yet' };
+
+    const exists = await target.model.exists({ feedVersion: feedVersion._id, [target.field]: targetId });
+    return exists ? null : { status: 404, message: `${target.label} not found` };
+}
+
+/**
+ * @desc    Rate a route or stop, or edit the user's rating of it - { reliability, cleanliness, safety, comment }
+ *          Scores are required for a new rating, an edit only needs the fields that change
+ * @route   PUT /api/ratings/:type/:id
+ * @access  Private (verified email)
+ */
+const rateTarget = async (req, res) => { 
+    try { 
+        const targetType = req.params.type;
+        const targetId = req.params.id;
+
+        if (!TARGET_MODELS[targetType]) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Only routes and stops can be rated'
+            });
+        }
+
+        const targetError = await checkTarget(targetType, targetId);
+
+        if (targetError) { 
+            return res.status(targetError.status).json({
+                success: false,
+                message: targetError.message
+            });
+        }
+
+        const { comment } = req.body;
+        const scores = {};
+        for (const dimension of DIMENSIONS) { 
+            if (req.body[dimension] !== undefined) scores[dimension] = req.body[dimension];
+        }
+
+        let rating = await Rating.findOne({ user: req.user._id, targetType, targetId });
+
+        if (!rating) { 
+            rating = await Rating.create({
+                user: req.user._id,
+                targetType,
+                targetId,
+                ...scores,
+                comment: comment || null
+            });
+            await addRating(rating);
+
+            return res.status(201).json({
+                success: true,
+                message: 'Rating saved',
+                rating: formatRating(rating)
+            });
+        }
+
+        // keep the scores counted so far to take them out of the aggregate
+        const previous = { 
+            targetType,
+            targetId,
+            ratedAt: rating.ratedAt,
+            ...Object.fromEntries(DIMENSIONS.map(dimension => [dimension, rating[dimension]]))
+        };
+
+        // a hidden comment stays hidden when it is edited
+        rating.set(scores);
+        if (comment !== undefined) rating.comment = comment || null;
+
+        const scoresChanged = DIMENSIONS.some(dimension => rating.isModified(dimension));
+        if (scoresChanged) rating.ratedAt = Date.now();
+
+        // the save fails if the rating changed since it was read, so only one edit moves its scores in the aggregate
+        await rating.save();
+
+        if (scoresChanged) { 
+            await removeRating(previous);
+            await addRating(rating);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Rating updated',
+            rating: formatRating(rating)
+        });
+    }
+    catch (error) { 
+        console.error(`Rate target error: ${error.stack}`);
+
+        if (error.name === 'ValidationError') { 
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        // same rating saved or edited twice at once
+        if (error.code === 11000 || error.name === 'VersionError' || error.name === 'DocumentNotFoundError') { 
+            return res.status(409).json({
+                success: false,
+                message: 'Rating was just saved, please try again'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error saving rating'
+        });
+    }
+}
+
+/**
+ * @desc    Get the rating summary of a route or stop and its visible comments, newest first
+ * @route   GET /api/ratings/:type/:id?page=&limit=
+ * @access  Public
+ */
+const getTargetRatings = async (req, res) => { 
+    try { 
+        const targetType = req.params.type;
+        const targetId = req.params.id;
+
+        if (!TARGET_MODELS[targetType]) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Only routes and stops can be rated'
+            });
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const filter = { targetType, targetId, comment: { $ne: null }, commentHiddenAt: null };
+
+        const [summaries, ratings, total] = await Promise.all([
+            getRatingSummaries(targetType, [targetId]),
+            Rating.find(filter)
+                .populate('user', 'firstName lastName')
+                .sort({ updatedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Rating.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            targetType,
+            targetId,
+            summary: summaries.get(targetId),
+            count: ratings.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            ratings: ratings.map(formatPublicRating)
+        });
+    }
+    catch (error) { 
+        console.error(`Get target ratings error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching ratings'
+        });
+    }
+}
+
+/**
+ * @desc    Get the user's ratings, last edited first
+ * @route   GET /api/ratings/mine?type=&page=&limit=
+ * @access  Private
+ */
+const getMyRatings = async (req, res) => { 
+    try { 
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const filter = { user: req.user._id };
+        if (req.query.type) filter.targetType = String(req.query.type);
+
+        const [ratings, total] = await Promise.all([
+            Rating.find(filter)
+                .sort({ updatedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Rating.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: ratings.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            ratings: ratings.map(formatRating)
+        });
+    }
+    catch (error) { 
+        console.error(`Get my ratings error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching ratings'
+        });
+    }
+}
+
+/**
+ * @desc    Delete the user's rating of a route or stop
+ * @route   DELETE /api/ratings/:type/:id
+ * @access  Private
+ */
+const deleteRating = async (req, res) => { 
+    try { 
+        const rating = await Rating.findOneAndDelete({
+            user: req.user._id,
+            targetType: req.params.type,
+            targetId: req.params.id
+        });
+
+        if (!rating) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Rating not found'
+            });
+        }
+
+        await removeRating(rating);
+
+        res.status(200).json({
+            success: true,
+            message: 'Rating deleted'
+        });
+    }
+    catch (error) { 
+        console.error(`Delete rating error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting rating'
+        });
+    }
+}
+
+/**
+ * @desc    Get rating comments to moderate, newest first (filter by hidden, target, user or text)
+ * @route   GET /api/ratings/moderation?hidden=&targetType=&targetId=&user=&q=&page=&limit=
+ * @access  Private/Admin
+ */
+const getRatingsForModeration = async (req, res) => { 
+    try { 
+        const { hidden, targetType, targetId, user, q } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        // only ratings with a comment need moderating
+        const filter = { comment: { $ne: null } };
+        if (hidden === 'true') filter.commentHiddenAt = { $ne: null };
+        if (hidden === 'false') filter.commentHiddenAt = null;
+        if (targetType) filter.targetType = String(targetType);
+        if (targetId) filter.targetId = String(targetId);
+        if (user) filter.user = String(user);
+        if (q) { 
+            const search = String(q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            filter.comment = { $ne: null, $regex: search, $options: 'i' };
+        }
+
+        const [ratings, total] = await Promise.all([
+            Rating.find(filter)
+                .populate('user', 'firstName lastName email')
+                .sort({ updatedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Rating.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: ratings.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            ratings: ratings.map(formatRating)
+        });
+    }
+    catch (error) { 
+        console.error(`Get ratings for moderation error: ${error.stack}`);
+
+        // invalid user id in the filter
+        if (error.name === 'CastError') { 
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid filter value'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching ratings'
+        });
+    }
+}
+
+/**
+ * @desc    Hide or show the comment of a rating - { hidden, reason }
+ * @route   PUT /api/ratings/moderation/:ratingId
+ * @access  Private/Admin
+ */
+const moderateRating = async (req, res) => { 
+    try { 
+        const { hidden, reason } = req.body;
+
+        if (typeof hidden !== 'boolean') { 
+            return res.status(400).json({
+                success: false,
+                message: 'hidden must be true or false'
+            });
+        }
+
+        const rating = await Rating.findById(req.params.ratingId);
+
+        if (!rating || !rating.comment) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Rating comment not found'
+            });
+        }
+
+        if (hidden) { 
+            rating.commentHiddenAt = Date.now();
+            rating.commentHiddenBy = req.user._id;
+            rating.commentHiddenReason = reason || null;
+        }
+        else { 
+            rating.commentHiddenAt = null;
+            rating.commentHiddenBy = null;
+            rating.commentHiddenReason = null;
+        }
+
+        await rating.save();
+
+        res.status(200).json({
+            success: true,
+            message: hidden ? 'Comment hidden' : 'Comment shown',
+            rating: formatRating(rating)
+        });
+    }
+    catch (error) { 
+        console.error(`Moderate rating error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') { 
+            return res.status(404).json({
+                success: false,
+                message: 'Rating comment not found'
+            });
+        }
+
+        if (error.name === 'ValidationError') { 
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error moderating rating'
+        });
+    }
+}
+
+module.exports = { 
+    rateTarget,
+    getTargetRatings,
+    getMyRatings,
+    deleteRating,
+    getRatingsForModeration,
+    moderateRating
+};
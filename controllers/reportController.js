@@ -0,0 +1,453 @@
+/**
+ * Report Controller
+ * 
+ * Riders report transit issues against a route, stop, vehicle or trip
+ * Riders see and manage their own reports, admins see all reports to triage and respond
+ */
+
+const Report = require('../models/Report');
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const Trip = require('../models/Trip');
+const { getActiveFeedVersion } = require('../utils/gtfs');
+
+const TARGET_MODELS = { 
+    route: { model: Route, field: 'routeId', label: 'Route' },
+    stop: { model: Stop, field: 'stopId', label: 'Stop' },
+    trip: { model: Trip, field: 'tripId', label: 'Trip' }
+};
+
+/**
+ * Format a report for API responses
+ */
+const formatReport = (report) => ({
+    id: report._id,
+    user: report.user,
+    targetType: report.targetType,
+    targetId: report.targetId,
+    category: report.category,
+    severity: report.severity,
+    description: report.description,
+    location: report.location?.coordinates
+        ? { lat: report.location.coordinates[1], lng: report.location.coordinates[0] }
+        : null,
+    occurredAt: report.occurredAt,
+    status: report.status,
+    responses: report.responses,
+    closedAt: report.closedAt,
+    createdAt: report.createdAt,
+    updatedAt: report.updatedAt
+});
+
+/**
+ * Read the optional location ({ lat, lng }) of a report
+ * @returns {object} { location } GeoJSON point or null, or { error }
+ */
+const parseLocation = (value) => { 
+    if (value === undefined || value === null) return { location: null };
+
+    const lat = Number(value.lat);
+    const lng = Number(value.lng);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) { 
+        return { error: 'location must have a valid lat and lng' };
+    }
+
+    return { location: { type: 'Point', coordinates: [lng, lat] } };
+}
+
+/**
+ * Check that the route, stop or trip of a report exists in the active feed
+ * Vehicles come and go with the realtime feed, any vehicle number is accepted
+ * @returns {object} { status, message } when the target can't be used, null otherwise
+ */
+const checkTarget = async (targetType, targetId) => { 
+    const target = TARGET_MODELS[targetType];
+    if (!target || !targetId) return null;     // type and id are checked by the model
+
+    const feedVersion = await getActiveFeedVersion();
+    if (!feedVersion) return { status: 503, message: 'Transit data is not available yet' };
+
+    const exists = await target.model.exists({ feedVersion: feedVersion._id, [target.field]: String(targetId) });
+    return exists ? null : { status: 404, message: `${target.label} not found` };
+}
+
+/**
+ * Send the error response for saving a report
+ */
+const handleSaveError = (error, res, action) => { 
+    // Handle invalid MongoDB ID format
+    if (error.kind === 'ObjectId') { 
+        return res.status(404).json({
+            success: false,
+            message: 'Report not found'
+        });
+    }
+
+    if (error.name === 'ValidationError') { 
+        return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors).map(err => err.message).join(', ')
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: `Server error ${action} report`
+    });
+}
+
+/**
+ * @desc    File a report - { targetType, targetId, category, severity, description, location: { lat, lng }, occurredAt }
+ * @route   POST /api/reports
+ * @access  Private (verified email)
+ */
+const createReport = async (req, res) => { 
+    try { 
+        const { targetType, targetId, category, severity, description, occurredAt } = req.body;
+
+        const { location, error } = parseLocation(req.body.location);
+
+        if (error) { 
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        if (occurredAt && new Date(occurredAt) > new Date()) { 
+            return res.status(400).json({
+                success: false,
+                message: 'occurredAt cannot be in the future'
+            });
+        }
+
+        const targetError = await checkTarget(targetType, targetId);
+
+        if (targetError) { 
+            return res.status(targetError.status).json({
+                success: false,
+                message: targetError.message
+            });
+        }
+
+        const report = await Report.create({
+            user: req.user._id,
+            targetType,
+            targetId: targetId && String(targetId),
+            category,
+            severity,
+            description,
+            location: location || undefined,
+            occurredAt
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Report submitted',
+            report: formatReport(report)
+        });
+    }
+    catch (error) { 
+        console.error(`Create report error: ${error.stack}`);
+        handleSaveError(error, res, 'submitting');
+    }
+}
+
+/**
+ * @desc    Get the user's reports, newest first (?status=)
+ * @route   GET /api/reports?status=&page=&limit=
+ * @access  Private
+ */
+const getMyReports = async (req, res) => { 
+    try { 
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const filter = { user: req.user._id };
+        if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+
+        const [reports, total] = await Promise.all([
+            Report.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Report.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: reports.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            reports: reports.map(formatReport)
+        });
+    }
+    catch (error) { 
+        console.error(`Get reports error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching reports'
+        });
+    }
+}
+
+/**
+ * @desc    Get all reports to triage (filter by status, category, severity, target or user)
+ * @route   GET /api/reports/triage?status=&category=&severity=&targetType=&targetId=&user=&page=&limit=
+ * @access  Private/Admin
+ */
+const getAllReports = async (req, res) => { 
+    try { 
+        const { status, category, severity, targetType, targetId, user } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        // build filter from the query parameters
+        const filter = {};
+        if (status) filter.status = { $in: String(status).split(',') };
+        if (category) filter.category = { $in: String(category).split(',') };
+        if (severity) filter.severity = { $in: String(severity).split(',') };
+        if (targetType) filter.targetType = String(targetType);
+        if (targetId) filter.targetId = String(targetId);
+        if (user) filter.user = String(user);
+
+        const [reports, total] = await Promise.all([
+            Report.find(filter)
+                .populate('user', 'firstName lastName email')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Report.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: reports.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            reports: reports.map(formatReport)
+        });
+    }
+    catch (error) { 
+        console.error(`Get all reports error: ${error.stack}`);
+
+        // invalid user id in the filter
+        if (error.name === 'CastError') { 
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid filter value'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching reports'
+        });
+    }
+}
+
+/**
+ * @desc    Get a report (own report, or any report for admins)
+ * @route   GET /api/reports/:id
+ * @access  Private
+ */
+const getReportById = async (req, res) => { 
+    try { 
+        const report = await Report.findById(req.params.id).populate('user', 'firstName lastName email');
+
+        // other users' reports are reported as not found
+        if (!report || (req.user.role !== 'admin' && !report.user?._id.equals(req.user._id))) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            report: formatReport(report)
+        });
+    }
+    catch (error) { 
+        console.error(`Get report error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') { 
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching report'
+        });
+    }
+}
+
+/**
+ * @desc    Edit an own report while it is still open (category, severity, description, location, occurredAt)
+ * @route   PUT /api/reports/:id
+ * @access  Private (verified email)
+ */
+const updateReport = async (req, res) => { 
+    try { 
+        const report = await Report.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!report) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        if (report.status !== 'open') { 
+            return res.status(400).json({
+                success: false,
+                message: 'Reports can only be edited before they are reviewed'
+            });
+        }
+
+        const { category, severity, description, occurredAt } = req.body;
+
+        if (occurredAt && new Date(occurredAt) > new Date()) { 
+            return res.status(400).json({
+                success: false,
+                message: 'occurredAt cannot be in the future'
+            });
+        }
+
+        if (req.body.location !== undefined) { 
+            const { location, error } = parseLocation(req.body.location);
+
+            if (error) { 
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            report.location = location || undefined;
+        }
+
+        if (category !== undefined) report.category = category;
+        if (severity !== undefined) report.severity = severity;
+        if (description !== undefined) report.description = description;
+        if (occurredAt !== undefined) report.occurredAt = occurredAt;
+
+        await report.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Report updated',
+            report: formatReport(report)
+        });
+    }
+    catch (error) { 
+        console.error(`Update report error: ${error.stack}`);
+        handleSaveError(error, res, 'updating');
+    }
+}
+
+/**
+ * @desc    Triage a report - change its status, severity or category and / or respond to the rider
+ *          Body { status, severity, category, response }
+ * @route   PUT /api/reports/:id/triage
+ * @access  Private/Admin
+ */
+const triageReport = async (req, res) => { 
+    try { 
+        const { status, severity, category, response } = req.body;
+
+        if (status === undefined && severity === undefined && category === undefined && !response) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a status, severity, category or response'
+            });
+        }
+
+        const report = await Report.findById(req.params.id);
+
+        if (!report) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        if (status !== undefined && status !== report.status) { 
+            report.status = status;
+            report.closedAt = ['resolved', 'dismissed'].includes(status) ? Date.now() : null;
+        }
+        if (severity !== undefined) report.severity = severity;
+        if (category !== undefined) report.category = category;
+        if (response) report.responses.push({ message: response, author: req.user._id });
+
+        await report.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Report updated',
+            report: formatReport(report)
+        });
+    }
+    catch (error) { 
+        console.error(`Triage report error: ${error.stack}`);
+        handleSaveError(error, res, 'updating');
+    }
+}
+
+/**
+ * @desc    Delete a report (own report, or any report for admins)
+ * @route   DELETE /api/reports/:id
+ * @access  Private
+ */
+const deleteReport = async (req, res) => { 
+    try { 
+        const filter = { _id: req.params.id };
+        if (req.user.role !== 'admin') filter.user = req.user._id;
+
+        const report = await Report.findOneAndDelete(filter);
+
+        if (!report) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Report deleted'
+        });
+    }
+    catch (error) { 
+        console.error(`Delete report error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') { 
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting report'
+        });
+    }
+}
+
+module.exports = { 
+    createReport,
+    getMyReports,
+    getAllReports,
+    getReportById,
+    updateReport,
+    triageReport,
+    deleteReport
+};
@@ -0,0 +1,117 @@
+/**
+ * Route Controller
+ * 
+ * Public read access to the transit routes of the active GTFS feed
+ * Routes are identified by their GTFS route_id
+ */
+
+const Route = require('../models/Route');
+const { parseRouteTypes, formatRoute, getRouteShapes } = require('../utils/gtfs');
+const { getRatingSummaries } = require('../utils/ratings');
+
+/**
+ * @desc    Get routes with their shapes and rider ratings (filter by mode: bus, ctrain)
+ * @route   GET /api/routes?type=&page=&limit=
+ * @access  Public
+ */
+const getRoutes = async (req, res) => { 
+    try { 
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const filter = { feedVersion: req.feedVersion._id };
+
+        if (req.query.type) { 
+            const types = parseRouteTypes(req.query.type);
+
+            if (!types) { 
+                return res.status(400).json({
+                    success: false,
+                    message: 'Route type must be bus or ctrain'
+                });
+            }
+            filter.type = { $in: types };
+        }
+
+        // route numbers are sorted as numbers (2, 10, 201 instead of 10, 2, 201)
+        const [routes, total] = await Promise.all([
+            Route.find(filter)
+                .sort({ sortOrder: 1, shortName: 1 })
+                .collation({ locale: 'en', numericOrdering: true })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Route.countDocuments(filter)
+        ]);
+
+        const routeIds = routes.map(route => route.routeId);
+        const [shapes, ratings] = await Promise.all([
+            getRouteShapes(req.feedVersion._id, routeIds),
+            getRatingSummaries('route', routeIds)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: routes.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            routes: routes.map(route => ({ 
+                ...formatRoute(route),
+                shapes: shapes.get(route.routeId),
+                ratings: ratings.get(route.routeId)
+            }))
+        });
+    }
+    catch (error) { 
+        console.error(`Get routes error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching routes'
+        });
+    }
+}
+
+/**
+ * @desc    Get a route with its shapes and rider ratings
+ * @route   GET /api/routes/:id
+ * @access  Public
+ */
+const getRouteById = async (req, res) => { 
+    try { 
+        const route = await Route.findOne({ feedVersion: req.feedVersion._id, routeId: req.params.id }).lean();
+
+        if (!route) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Route not found'
+            });
+        }
+
+        const [shapes, ratings] = await Promise.all([
+            getRouteShapes(req.feedVersion._id, [route.routeId]),
+            getRatingSummaries('route', [route.routeId])
+        ]);
+
+        res.status(200).json({
+            success: true,
+            route: { 
+                ...formatRoute(route),
+                shapes: shapes.get(route.routeId),
+                ratings: ratings.get(route.routeId)
+            }
+        });
+    }
+    catch (error) { 
+        console.error(`Get route error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching route'
+        });
+    }
+}
+
+module.exports = { 
+    getRoutes,
+    getRouteById
+};
@@ -0,0 +1,229 @@
+/**
+ * Saved Trip Controller
+ * 
+ * Lets users keep planned trips on their profile and plan them again later
+ */
+
+const SavedTrip = require('../models/SavedTrip');
+
+const MAX_SAVED_TRIPS = 50;
+const MAX_ITINERARY_SIZE = 50 * 1024;   // characters of JSON
+
+/**
+ * Format a saved trip for API responses
+ */
+const formatSavedTrip = (trip) => ({
+    id: trip._id,
+    name: trip.name,
+    from: trip.from,
+    to: trip.to,
+    itinerary: trip.itinerary,
+    createdAt: trip.createdAt,
+    updatedAt: trip.updatedAt
+});
+
+/**
+ * Check the itinerary sent by the client (an itinerary from GET /api/plan)
+ * @returns {string|null} error message
+ */
+const validateItinerary = (itinerary) => { 
+    if (itinerary === undefined || itinerary === null) return null;
+
+    if (typeof itinerary !== 'object' || !Array.isArray(itinerary.legs)) { 
+        return 'itinerary must be an itinerary from the trip planner';
+    }
+    if (JSON.stringify(itinerary).length > MAX_ITINERARY_SIZE) { 
+        return 'itinerary is too large';
+    }
+
+    return null;
+}
+
+/**
+ * @desc    Get the user's saved trips, newest first
+ * @route   GET /api/users/trips
+ * @access  Private
+ */
+const getSavedTrips = async (req, res) => { 
+    try { 
+        const trips = await SavedTrip.find({ user: req.user._id, hiddenAt: null }).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: trips.length,
+            trips: trips.map(formatSavedTrip)
+        });
+    }
+    catch (error) { 
+        console.error(`Get saved trips error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching saved trips'
+        });
+    }
+}
+
+/**
+ * @desc    Save a planned trip - { name, from: { lat, lng, label }, to: { lat, lng, label }, itinerary }
+ * @route   POST /api/users/trips
+ * @access  Private
+ */
+const saveTrip = async (req, res) => { 
+    try { 
+        const { name, from, to, itinerary } = req.body;
+
+        const itineraryError = validateItinerary(itinerary);
+        if (itineraryError) { 
+            return res.status(400).json({
+                success: false,
+                message: itineraryError
+            });
+        }
+
+        const count = await SavedTrip.countDocuments({ user: req.user._id, hiddenAt: null });
+
+        if (count >= MAX_SAVED_TRIPS) { 
+            return res.status(400).json({
+                success: false,
+                message: `You can save up to ${MAX_SAVED_TRIPS} trips`
+            });
+        }
+
+        const trip = await SavedTrip.create({
+            user: req.user._id,
+            name,
+            from,
+            to,
+            itinerary: itinerary || null
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Trip saved',
+            trip: formatSavedTrip(trip)
+        });
+    }
+    catch (error) { 
+        console.error(`Save trip error: ${error.stack}`);
+
+        if (error.name === 'ValidationError') { 
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error saving trip'
+        });
+    }
+}
+
+/**
+ * @desc    Rename a saved trip or replace its itinerary
+ * @route   PUT /api/users/trips/:id
+ * @access  Private
+ */
+const updateSavedTrip = async (req, res) => { 
+    try { 
+        const { name, itinerary } = req.body;
+
+        const itineraryError = validateItinerary(itinerary);
+        if (itineraryError) { 
+            return res.status(400).json({
+                success: false,
+                message: itineraryError
+            });
+        }
+
+        const trip = await SavedTrip.findOne({ _id: req.params.id, user: req.user._id, hiddenAt: null });
+
+        if (!trip) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Saved trip not found'
+            });
+        }
+
+        if (name !== undefined) trip.name = name;
+        if (itinerary !== undefined) trip.itinerary = itinerary;
+
+        await trip.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Saved trip updated',
+            trip: formatSavedTrip(trip)
+        });
+    }
+    catch (error) { 
+        console.error(`Update saved trip error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') { 
+            return res.status(404).json({
+                success: false,
+                message: 'Saved trip not found'
+            });
+        }
+
+        if (error.name === 'ValidationError') { 
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating saved trip'
+        });
+    }
+}
+
+/**
+ * @desc    Remove a saved trip
+ * @route   DELETE /api/users/trips/:id
+ * @access  Private
+ */
+const deleteSavedTrip = async (req, res) => { 
+    try { 
+        const trip = await SavedTrip.findOneAndDelete({ _id: req.params.id, user: req.user._id, hiddenAt: null });
+
+        if (!trip) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Saved trip not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Saved trip removed'
+        });
+    }
+    catch (error) { 
+        console.error(`Delete saved trip error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') { 
+            return res.status(404).json({
+                success: false,
+                message: 'Saved trip not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error removing saved trip'
+        });
+    }
+}
+
+module.exports = { 
+    getSavedTrips,
+    saveTrip,
+    updateSavedTrip,
+    deleteSavedTrip
+};
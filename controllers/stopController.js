@@ -0,0 +1,371 @@
+/**
+ * Stop Controller
+ * 
+ * Public read access to the stops and stations of the active GTFS feed
+ * Stops are identified by their GTFS stop_id
+ */
+
+const Stop = require('../models/Stop');
+const Route = require('../models/Route');
+const { parseRouteTypes, formatRoute, formatStop, getRouteShapes } = require('../utils/gtfs');
+const { getDeparturesAtStop } = require('../utils/departures');
+const { geocodePostalCode } = require('../utils/postalCode');
+const { getRatingSummaries } = require('../utils/ratings');
+
+const NEARBY_DEFAULT_RADIUS = 500;   // meters
+const NEARBY_MAX_RADIUS = 2000;
+const HOME_DEFAULT_RADIUS = 1000;    // home is the centre of the postal code area, not the address
+const DEPARTURES_DEFAULT_LIMIT = 10;
+const DEPARTURES_MAX_LIMIT = 50;
+
+/**
+ * Build the stop filter shared by the list and nearby searches (?type=, ?route=)
+ * @returns {object|null} filter, null if the route type is invalid
+ */
+const buildStopFilter = (req) => { 
+    const filter = { feedVersion: req.feedVersion._id };
+
+    if (req.query.type) { 
+        const types = parseRouteTypes(req.query.type);
+        if (!types) return null;
+
+        filter.routeTypes = { $in: types };
+    }
+    if (req.query.route) filter.routeIds = String(req.query.route);
+
+    return filter;
+}
+
+/**
+ * Read the radius and paging of a nearby search
+ * @returns {object} { radius, page, limit } or { error }
+ */
+const parseNearbyQuery = (query, defaultRadius) => { 
+    const radius = query.radius === undefined ? defaultRadius : Number(query.radius);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+
+    if (!Number.isFinite(radius) || radius <= 0 || radius > NEARBY_MAX_RADIUS) { 
+        return { error: `Radius must be between 1 and ${NEARBY_MAX_RADIUS} meters` };
+    }
+
+    return { radius, page, limit };
+}
+
+/**
+ * Find the stops matching a filter within a radius of a position, closest first
+ * @returns {object} { stops, total } - stops are formatted with their distance in meters and rider ratings
+ */
+const findNearbyStops = async (filter, { lat, lng, radius, page, limit }) => { 
+    // $geoNear uses the 2dsphere index and sorts by distance
+    const [result] = await Stop.aggregate([
+        { 
+            $geoNear: { 
+                near: { type: 'Point', coordinates: [lng, lat] },
+                distanceField: 'distance',
+                maxDistance: radius,
+                spherical: true,
+                query: filter
+            }
+        },
+        { 
+            $facet: { 
+                stops: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    const ratings = await getRatingSummaries('stop', result.stops.map(stop => stop.stopId));
+
+    return { 
+        stops: result.stops.map(stop => ({ 
+            ...formatStop(stop),
+            distance: Math.round(stop.distance),
+            ratings: ratings.get(stop.stopId)
+        })),
+        total: result.total[0]?.count || 0
+    };
+}
+
+/**
+ * @desc    Get stops with their rider ratings (filter by mode, route, or name / stop code)
+ * @route   GET /api/stops?type=&route=&q=&page=&limit=
+ * @access  Public
+ */
+const getStops = async (req, res) => { 
+    try { 
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const filter = buildStopFilter(req);
+
+        if (!filter) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Route type must be bus or ctrain'
+            });
+        }
+
+        // search by name (contains) or stop code (exact)
+        if (req.query.q) { 
+            const search = String(req.query.q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            filter.$or = [
+                { name: { $regex: search, $options: 'i' } },
+                { code: search }
+            ];
+        }
+
+        const [stops, total] = await Promise.all([
+            Stop.find(filter)
+                .sort({ name: 1, stopId: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Stop.countDocuments(filter)
+        ]);
+
+        const ratings = await getRatingSummaries('stop', stops.map(stop => stop.stopId));
+
+        res.status(200).json({
+            success: true,
+            count: stops.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            stops: stops.map(stop => ({ ...formatStop(stop), ratings: ratings.get(stop.stopId) }))
+        });
+    }
+    catch (error) { 
+        console.error(`Get stops error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching stops'
+        });
+    }
+}
+
+/**
+ * @desc    Get stops near a position, closest first (distance in meters)
+ * @route   GET /api/stops/nearby?lat=&lng=&radius=&type=&route=&page=&limit=
+ * @access  Public
+ */
+const getNearbyStops = async (req, res) => { 
+    try { 
+        const lat = Number(req.query.lat);
+        const lng = Number(req.query.lng);
+
+        if (req.query.lat === undefined || req.query.lng === undefined 
+            || !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid lat and lng'
+            });
+        }
+
+        const { radius, page, limit, error } = parseNearbyQuery(req.query, NEARBY_DEFAULT_RADIUS);
+
+        if (error) { 
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const filter = buildStopFilter(req);
+
+        if (!filter) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Route type must be bus or ctrain'
+            });
+        }
+
+        const { stops, total } = await findNearbyStops(filter, { lat, lng, radius, page, limit });
+
+        res.status(200).json({
+            success: true,
+            count: stops.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            stops
+        });
+    }
+    catch (error) { 
+        console.error(`Get nearby stops error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error searching nearby stops'
+        });
+    }
+}
+
+/**
+ * @desc    Get the stops closest to the user's home area (centre of their postal code's FSA)
+ *          Same filters as /api/stops/nearby, radius defaults to 1000 meters
+ * @route   GET /api/users/me/nearby-stops?radius=&type=&route=&page=&limit=
+ * @access  Private
+ */
+const getHomeNearbyStops = async (req, res) => { 
+    try { 
+        const home = req.user.postalCode && geocodePostalCode(req.user.postalCode);
+
+        if (!home) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please add a Calgary postal code to your profile to see stops near home'
+            });
+        }
+
+        const { radius, page, limit, error } = parseNearbyQuery(req.query, HOME_DEFAULT_RADIUS);
+
+        if (error) { 
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const filter = buildStopFilter(req);
+
+        if (!filter) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Route type must be bus or ctrain'
+            });
+        }
+
+        const { stops, total } = await findNearbyStops(filter, { lat: home.lat, lng: home.lng, radius, page, limit });
+
+        res.status(200).json({
+            success: true,
+            home: { 
+                postalCode: req.user.postalCode,
+                fsa: home.fsa,
+                area: home.area,
+                lat: home.lat,
+                lng: home.lng
+            },
+            count: stops.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            stops
+        });
+    }
+    catch (error) { 
+        console.error(`Get home nearby stops error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error searching stops near home'
+        });
+    }
+}
+
+/**
+ * @desc    Get a stop with its rider ratings and the routes serving it (and their shapes)
+ *          Stations also list their platforms
+ * @route   GET /api/stops/:id
+ * @access  Public
+ */
+const getStopById = async (req, res) => { 
+    try { 
+        const feedVersionId = req.feedVersion._id;
+        const stop = await Stop.findOne({ feedVersion: feedVersionId, stopId: req.params.id }).lean();
+
+        if (!stop) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Stop not found'
+            });
+        }
+
+        const [routes, platforms] = await Promise.all([
+            Route.find({ feedVersion: feedVersionId, routeId: { $in: stop.routeIds } })
+                .sort({ sortOrder: 1, shortName: 1 })
+                .collation({ locale: 'en', numericOrdering: true })
+                .lean(),
+            stop.locationType === 1
+                ? Stop.find({ feedVersion: feedVersionId, parentStation: stop.stopId }).sort({ name: 1 }).lean()
+                : []
+        ]);
+
+        const [shapes, ratings] = await Promise.all([
+            getRouteShapes(feedVersionId, routes.map(route => route.routeId)),
+            getRatingSummaries('stop', [stop.stopId])
+        ]);
+
+        res.status(200).json({
+            success: true,
+            stop: { 
+                ...formatStop(stop),
+                ratings: ratings.get(stop.stopId),
+                routes: routes.map(route => ({ ...formatRoute(route), shapes: shapes.get(route.routeId) })),
+                platforms: platforms.map(formatStop)
+            }
+        });
+    }
+    catch (error) { 
+        console.error(`Get stop error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching stop'
+        });
+    }
+}
+
+/**
+ * @desc    Get the next departures at a stop with realtime predictions (stations include all their platforms)
+ *          ?from= ISO date/time, defaults to now
+ * @route   GET /api/stops/:id/departures?from=&limit=
+ * @access  Public
+ */
+const getStopDepartures = async (req, res) => { 
+    try { 
+        const feedVersionId = req.feedVersion._id;
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEPARTURES_DEFAULT_LIMIT, 1), DEPARTURES_MAX_LIMIT);
+
+        if (Number.isNaN(from.getTime())) { 
+            return res.status(400).json({
+                success: false,
+                message: 'from must be a valid date and time'
+            });
+        }
+
+        const stop = await Stop.findOne({ feedVersion: feedVersionId, stopId: req.params.id }).lean();
+
+        if (!stop) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Stop not found'
+            });
+        }
+
+        const departures = await getDeparturesAtStop(feedVersionId, stop, from, limit);
+
+        res.status(200).json({
+            success: true,
+            stop: { id: stop.stopId, code: stop.code, name: stop.name },
+            from,
+            count: departures.length,
+            departures
+        });
+    }
+    catch (error) { 
+        console.error(`Get stop departures error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching departures'
+        });
+    }
+}
+
+module.exports = { 
+    getStops,
+    getNearbyStops,
+    getHomeNearbyStops,
+    getStopById,
+    getStopDepartures
+};
@@ -6,7 +6,19 @@
  */
 
 const User = require('../models/User');
+const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { revokeSession, revokeAllSessions } = require('../utils/session');
+const { generateSecret, getOtpauthURI, verifyCode, generateBackupCodes, normalizeBackupCode } = require('../utils/totp');
+const { hashToken, generateLinkToken } = require('../config/jwt');
+const { sendPasswordSetupEmail, sendVerificationEmail, sendPasswordResetEmail } = require('../utils/email');
+const { MAX_VERIFICATION_ATTEMPTS, countCodeAttempt, discardCode, recordFailedLogin, sendLockedResponse } = require('../utils/lockout');
+const { notifySecurityEvent } = require('../utils/securityNotifications');
+const { validatePostalCode } = require('../utils/postalCode');
+const { hideAccountContent, restoreAccountContent } = require('../utils/accountContent');
+const { recordAdminAction, completeAdminAction, failAdminAction } = require('../utils/auditLog');
 
 /**
  * @desc    Update user profile
@@ -26,12 +38,25 @@ const updateProfile = async(req, res) => {
         }
 
         // define fields that can be updated
-        const { firstName, lastName, postalCode } = req.body;
+        const { firstName, lastName, postalCode, preferredLanguage } = req.body;
 
         // update fields if provided
         if (firstName) user.firstName = firstName;
         if (lastName) user.lastName = lastName;
-        if (postalCode) user.postalCode = postalCode;
+        if (postalCode) { 
+            // Canadian format, in Calgary - stored as "A1A 1A1"
+            const result = validatePostalCode(postalCode);
+
+            if (result.error) { 
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: [result.error]
+                });
+            }
+            user.postalCode = result.postalCode;
+        }
+        if (preferredLanguage) user.preferredLanguage = preferredLanguage;
 
         // save updated user 
         const updatedUser = await user.save(); // use mongoose save method
@@ -46,8 +71,9 @@ const updateProfile = async(req, res) => {
             lastName: updatedUser.lastName,
             email: updatedUser.email,
             postalCode: updatedUser.postalCode,
+            preferredLanguage: updatedUser.preferredLanguage,
             role: updatedUser.role,
-            authMethod: updatedUser.authMethod,
+            authMethods: updatedUser.authMethods,
             profilePicture: updatedUser.profilePicture
         }
         });
@@ -100,11 +126,11 @@ const changePassword = async (req, res) => {
             });
         }
 
-        // check if user is an OAuth user (OAuth user does not have a password)
-        if (user.authMethod !== 'local') { 
+        // check if user is an OAuth only user (OAuth user does not have a password)
+        if (!user.hasIdentity('local')) { 
             return res.status(400).json({
                 success: false,
-                message: 'Cannot change password for OAuth accounts'
+                message: 'Account has no password yet. Use password setup to add one'
             })
         }
 
@@ -130,6 +156,12 @@ const changePassword = async (req, res) => {
         user.password = newPassword;
         await user.save(); // call mongoose method to save
 
+        // sign out every other device, the current session stays logged in
+        await revokeAllSessions(user._id, 'password_changed', req.authSession._id);
+
+        // let the owner know in case it wasn't them
+        await notifySecurityEvent(user, 'passwordChanged', req);
+
         res.status(200).json({
             success: true,
             message: 'Password changed successfully'
@@ -156,6 +188,141 @@ const changePassword = async (req, res) => {
     }
 }
 
+/**
+ * @desc    Request a code to add a password (accounts without one, e.g. Google only)
+ * @route   POST /api/users/password/setup/request
+ * @access  Private
+ */
+const requestPasswordSetup = async (req, res) => { 
+    try { 
+        const user = await User.findById(req.user.id);
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // accounts with a password use change password instead
+        if (user.hasIdentity('local')) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Account already has a password'
+            });
+        }
+
+        // generate 6 digit code - only the hash is stored
+        const code = crypto.randomInt(100000, 1000000).toString();
+
+        user.passwordSetupCode = hashToken(code);
+        user.passwordSetupExpires = Date.now() + 10 * 60 * 1000;  // 10 minutes
+        user.passwordSetupAttempts = 0;
+        await user.save();
+
+        // send the code to the account email to confirm the owner is adding the password
+        await sendPasswordSetupEmail(user, code);
+
+        res.status(200).json({
+            success: true,
+            message: 'Confirmation code sent to your email'
+        });
+    }
+    catch (error) { 
+        console.error(`Request password setup error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error sending confirmation code'
+        });
+    }
+}
+
+/**
+ * @desc    Add a password using the emailed code - enables email + password login
+ * @route   POST /api/users/password/setup/confirm
+ * @access  Private
+ */
+const confirmPasswordSetup = async (req, res) => { 
+    try { 
+        const { code, newPassword } = req.body;
+
+        if (!code || !newPassword) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the confirmation code and a new password'
+            });
+        }
+
+        // find user with a setup code that hasnt expired, counting the attempt before the code is checked
+        const user = await countCodeAttempt(req.user.id, 'passwordSetup', '+password');
+
+        if (!user) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired confirmation code'
+            });
+        }
+
+        if (user.hasIdentity('local')) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Account already has a password'
+            });
+        }
+
+        // attempts used up (by parallel guesses too), or a wrong code on the last one - discard the code
+        const isMatch = user.passwordSetupCode === hashToken(String(code));
+
+        if (user.passwordSetupAttempts > MAX_VERIFICATION_ATTEMPTS || (!isMatch && user.passwordSetupAttempts >= MAX_VERIFICATION_ATTEMPTS)) { 
+            await discardCode(user, 'passwordSetup');
+
+            return res.status(429).json({
+                success: false,
+                message: 'Too many incorrect attempts. Please request a new confirmation code'
+            });
+        }
+
+        if (!isMatch) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired confirmation code'
+            });
+        }
+
+        // set password (hashed by pre-save middleware) and link the local identity
+        user.password = newPassword;
+        user.identities.push({ provider: 'local' });
+        user.passwordSetupCode = undefined;
+        user.passwordSetupExpires = undefined;
+        user.passwordSetupAttempts = 0;
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Password added. You can now login with your email and password',
+            authMethods: user.authMethods
+        });
+    }
+    catch (error) { 
+        console.error(`Confirm password setup error: ${error.stack}`);
+
+        // Handle validation error (if new password doesnt meet requirements)
+        if (error.name === 'ValidationError') { 
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Password validation failed',
+                errors: messages
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error adding password'
+        });
+    }
+}
+
 /**
  * @desc    Delete user account (will implement soft delete - sets isActive to false)
  * @route   DELETE /api/users/account
@@ -176,6 +343,15 @@ const deleteAccount = async (req, res) => {
         user.isActive = false;
         await user.save();
 
+        // revoke all sessions so existing tokens stop working immediately
+        await revokeAllSessions(user._id, 'account_deactivated');
+
+        // hide favourites and saved trips (kept in case the account is reactivated)
+        await hideAccountContent(user._id);
+
+        // let the owner know in case it wasn't them
+        await notifySecurityEvent(user, 'accountDeactivated', req);
+
         res.status(200).json({
             success: true,
             message: 'Account deactivated successfully'         
@@ -191,40 +367,92 @@ const deleteAccount = async (req, res) => {
 }
 
 /**
- * @desc    Get all users (admin only)
- * @route   GET /api/users
- * @access  Private/Admin
+ * @desc    Get active sessions (devices the user is signed in on)
+ * @route   GET /api/users/sessions
+ * @access  Private
  */
-const getAllUsers = async (req, res) => { 
+const getSessions = async (req, res) => { 
     try { 
-        // get all active users but exclude password from payload 
-        const users = await User.find({ isActive: true}).select('-password') // returns an array of users that has isActive as true
+        // only sessions that are still usable, most recently used first
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: Date.now() }
+        }).sort({ lastSeenAt: -1 });
 
-        // send json payload with users to confirm success
         res.status(200).json({
             success: true,
-            count: users.length,
-            users
+            count: sessions.length,
+            sessions: sessions.map(session => ({
+                id: session._id,
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+                authMethod: session.authMethod,
+                createdAt: session.createdAt,
+                lastSeenAt: session.lastSeenAt,
+                current: session._id.equals(req.authSession._id) // flag the session making this request
+            }))
         });
     }
     catch (error) { 
-        console.error('Get all users error:', error);
+        console.error(`Get sessions error: ${error.stack}`);
         res.status(500).json({
-        success: false,
-        message: 'Server error fetching users'
+            success: false,
+            message: 'Server error fetching sessions'
         });
     }
 }
 
 /**
- * @desc    Get user by ID (admin only)
- * @route   GET /api/users/:id
- * @access  Private/Admin
+ * @desc    Revoke one of the user's sessions (sign out a device)
+ * @route   DELETE /api/users/sessions/:id
+ * @access  Private
  */
+const deleteSession = async (req, res) => { 
+    try { 
+        // session must belong to the user making the request
+        const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
 
-const getUserById = async (req, res) => { 
+        if (!session) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await revokeSession(session._id, 'user_revoked');
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    }
+    catch (error) { 
+        console.error(`Delete session error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error revoking session'
+        });
+    }
+}
+
+/**
+ * @desc    Start 2FA enrollment - generate a secret and otpauth URI (for the QR code)
+ * @route   POST /api/users/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = async (req, res) => { 
     try { 
-        const user = await User.findById(req.params.id).select('-password'); // use id in the param to find user
+        const user = await User.findById(req.user.id);
 
         if (!user) { 
             return res.status(404).json({
@@ -233,34 +461,1093 @@ const getUserById = async (req, res) => {
             });
         }
 
-        // return json payload with user to confirm success
+        // 2FA protects password logins, Google accounts rely on Google's own 2FA
+        if (!user.hasIdentity('local')) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is only available for password accounts'
+            });
+        }
+
+        if (user.twoFactorEnabled) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        // secret stays pending until the user confirms it with a code from their app
+        const secret = generateSecret();
+        user.twoFactorPendingSecret = secret;
+        await user.save();
+
         res.status(200).json({
             success: true,
-            user
+            secret,
+            otpauthURI: getOtpauthURI(secret, user.email)
         });
-    } 
+    }
     catch (error) { 
-        console.error(`Get user by ID error: ${error.stack}`);
-
-        // Handle invalid MongoDB ID format
-        if (error.kind === 'ObjectId') {
-        return res.status(404).json({
+        console.error(`2FA setup error: ${error.stack}`);
+        res.status(500).json({
             success: false,
-            message: 'User not found'
+            message: 'Server error setting up two-factor authentication'
         });
+    }
+}
+
+/**
+ * @desc    Confirm 2FA enrollment with a first code - enables 2FA and returns backup codes
+ * @route   POST /api/users/2fa/confirm
+ * @access  Private
+ */
+const confirmTwoFactor = async (req, res) => { 
+    try { 
+        const { code } = req.body;
+
+        if (!code) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a code from your authenticator app'
+            });
+        }
+
+        const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!user.twoFactorPendingSecret) { 
+            return res.status(400).json({
+                success: false,
+                message: 'No two-factor setup in progress'
+            });
+        }
+
+        // check the code against the pending secret
+        const step = verifyCode(user.twoFactorPendingSecret, code);
+
+        if (step === null) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid two-factor code'
+            });
         }
 
+        // enable 2FA and create backup codes (only the hashes are stored)
+        const backupCodes = generateBackupCodes();
+        user.twoFactorEnabled = true;
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorLastUsedStep = step;
+        user.twoFactorBackupCodes = backupCodes.map(backupCode => hashToken(normalizeBackupCode(backupCode)));
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            backupCodes // shown once - user should store them somewhere safe
+        });
+    }
+    catch (error) { 
+        console.error(`2FA confirm error: ${error.stack}`);
         res.status(500).json({
+            success: false,
+            message: 'Server error enabling two-factor authentication'
+        });
+    }
+}
+
+/**
+ * Count a wrong password or 2FA code as a failed login (the account is locked like after failed logins)
+ * @returns {object} express response - 423 if the account just got locked, 401 otherwise
+ */
+const sendFailedAttempt = async (req, res, user, message) => { 
+    const lockedUntil = await recordFailedLogin(user, req.ip);
+
+    if (lockedUntil) { 
+        return sendLockedResponse(res, 423, 'Account is temporarily locked due to too many failed login attempts', lockedUntil);
+    }
+
+    return res.status(401).json({
         success: false,
-        message: 'Server error fetching user'
+        message
+    });
+}
+
+/**
+ * @desc    Replace backup codes with a new set (requires a current 2FA code)
+ * @route   POST /api/users/2fa/backup-codes
+ * @access  Private
+ */
+const regenerateBackupCodes = async (req, res) => { 
+    try { 
+        const { code } = req.body;
+
+        if (!code) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a two-factor code'
+            });
+        }
+
+        const user = await User.findById(req.user.id)
+            .select('+twoFactorSecret +twoFactorLastUsedStep +twoFactorBackupCodes');
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!user.twoFactorEnabled) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        // wrong codes count as failed logins
+        if (user.isLocked()) { 
+            return sendLockedResponse(res, 423, 'Account is temporarily locked due to too many failed login attempts', user.lockedUntil);
+        }
+
+        if (!user.verifyTwoFactorCode(code)) { 
+            return sendFailedAttempt(req, res, user, 'Invalid two-factor code');
+        }
+
+        // old backup codes stop working
+        const backupCodes = generateBackupCodes();
+        user.twoFactorBackupCodes = backupCodes.map(backupCode => hashToken(normalizeBackupCode(backupCode)));
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Backup codes regenerated',
+            backupCodes
+        });
+    }
+    catch (error) { 
+        console.error(`Regenerate backup codes error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error regenerating backup codes'
         });
     }
 }
 
+/**
+ * @desc    Disable 2FA (requires current password and a 2FA code)
+ * @route   DELETE /api/users/2fa
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res) => { 
+    try { 
+        const { password, code } = req.body;
+
+        if (!password || !code) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide your password and a two-factor code'
+            });
+        }
+
+        const user = await User.findById(req.user.id)
+            .select('+password +twoFactorSecret +twoFactorLastUsedStep +twoFactorBackupCodes');
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!user.twoFactorEnabled) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        // wrong passwords and codes count as failed logins
+        if (user.isLocked()) { 
+            return sendLockedResponse(res, 423, 'Account is temporarily locked due to too many failed login attempts', user.lockedUntil);
+        }
+
+        // re-authenticate with both factors before turning 2FA off
+        const isMatch = await user.comparePassword(password);
+
+        if (!isMatch || !user.verifyTwoFactorCode(code)) { 
+            return sendFailedAttempt(req, res, user, 'Password or two-factor code is incorrect');
+        }
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = undefined;
+        user.twoFactorLastUsedStep = undefined;
+        user.twoFactorBackupCodes = [];
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    }
+    catch (error) { 
+        console.error(`2FA disable error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error disabling two-factor authentication'
+        });
+    }
+}
+
+/**
+ * Re-authenticate the user before changing sign-in methods (password + 2FA code if enabled)
+ * Wrong passwords and codes count as failed logins, the error response is sent here
+ * @param {object} user - user with password and 2FA fields selected
+ * @returns {boolean} true if re-authentication succeeded
+ */
+const reauthenticate = async (req, res, user) => { 
+    const { password, code } = req.body;
+
+    if (user.isLocked()) { 
+        sendLockedResponse(res, 423, 'Account is temporarily locked due to too many failed login attempts', user.lockedUntil);
+        return false;
+    }
+
+    if (!password || (user.twoFactorEnabled && !code)) { 
+        res.status(401).json({
+            success: false,
+            message: password ? 'Please provide a two-factor code' : 'Please confirm your password'
+        });
+        return false;
+    }
+
+    const isMatch = await user.comparePassword(password);
+
+    if (!isMatch) { 
+        await sendFailedAttempt(req, res, user, 'Password is incorrect');
+        return false;
+    }
+
+    if (user.twoFactorEnabled && !user.verifyTwoFactorCode(code)) { 
+        await sendFailedAttempt(req, res, user, 'Invalid two-factor code');
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * @desc    Start linking a Google account - re-authenticates and returns the URL that starts the Google flow
+ *          The request must carry the browser's cookies (the link is kept in its session)
+ * @route   POST /api/users/identities/google/link
+ * @access  Private
+ */
+const linkGoogleIdentity = async (req, res) => { 
+    try { 
+        const user = await User.findById(req.user.id)
+            .select('+password +twoFactorSecret +twoFactorLastUsedStep +twoFactorBackupCodes');
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.hasIdentity('google')) { 
+            return res.status(400).json({
+                success: false,
+                message: 'A Google account is already linked'
+            });
+        }
+
+        // linking needs the password (only accounts with a password can be missing google)
+        if (!await reauthenticate(req, res, user)) return;
+
+        // save used 2FA code so it can't be replayed
+        await user.save();
+
+        // the link token stays in this browser's session - only the browser that asked can finish linking
+        req.session.googleLinkToken = generateLinkToken(user._id, 'google');
+
+        // frontend sends the same browser to this URL, the google callback links the account
+        res.status(200).json({
+            success: true,
+            linkURL: '/api/auth/google?link=true'
+        });
+    }
+    catch (error) { 
+        console.error(`Link google error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error linking Google account'
+        });
+    }
+}
+
+/**
+ * @desc    Unlink a sign-in method (requires re-authentication, at least one method must remain)
+ * @route   DELETE /api/users/identities/:provider
+ * @access  Private
+ */
+const unlinkIdentity = async (req, res) => { 
+    try { 
+        const { provider } = req.params;
+
+        const user = await User.findById(req.user.id)
+            .select('+password +twoFactorSecret +twoFactorLastUsedStep +twoFactorBackupCodes');
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!user.hasIdentity(provider)) { 
+            return res.status(404).json({
+                success: false,
+                message: 'Sign-in method is not linked'
+            });
+        }
+
+        // user would be locked out of their account
+        if (user.identities.length === 1) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot remove your only sign-in method'
+            });
+        }
+
+        if (!await reauthenticate(req, res, user)) return;
+
+        user.identities = user.identities.filter(identity => identity.provider !== provider);
+
+        // removing the password also removes 2FA (it only protects password logins)
+        if (provider === 'local') { 
+            user.password = undefined;
+            user.twoFactorEnabled = false;
+            user.twoFactorSecret = undefined;
+            user.twoFactorLastUsedStep = undefined;
+            user.twoFactorBackupCodes = [];
+        }
+
+        await user.save();
+
+        // sign out devices that signed in with the removed method
+        await revokeAllSessions(user._id, 'identity_unlinked', req.authSession._id, provider);
+
+        res.status(200).json({
+            success: true,
+            message: 'Sign-in method removed',
+            authMethods: user.authMethods
+        });
+    }
+    catch (error) { 
+        console.error(`Unlink identity error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error removing sign-in method'
+        });
+    }
+}
+
+// sortable fields of the admin user list (names sort case-insensitively)
+const USER_SORT_FIELDS = ['createdAt', 'updatedAt', 'firstName', 'lastName', 'email', 'role'];
+const USER_DATE_FIELDS = ['createdAt', 'updatedAt'];
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// columns of the user CSV export
+const USER_CSV_COLUMNS = ['id', 'firstName', 'lastName', 'email', 'role', 'authMethods', 'isEmailVerified', 'isActive', 'postalCode', 'preferredLanguage', 'createdAt'];
+
+/**
+ * Read a true / false query parameter
+ * @returns {boolean|undefined|null} undefined when not given, null when not valid
+ */
+const parseBooleanQuery = (value) => { 
+    if (value === undefined) return undefined;
+    if (value === 'true' || value === 'false') return value === 'true';
+    return null;
+}
+
+/**
+ * Build the user filter shared by the admin list and the CSV export
+ * q searches first name, last name and email (contains, case-insensitive)
+ * Only active users are included unless isActive is false or all
+ * @returns {object} { filter } or { error }
+ */
+const buildUserFilter = (query) => { 
+    const { q, role, authMethod, createdFrom, createdTo } = query;
+    const filter = {};
+
+    if (q) { 
+        const search = String(q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        filter.$or = ['firstName', 'lastName', 'email'].map(field => ({ [field]: { $regex: search, $options: 'i' } }));
+    }
+
+    if (role) { 
+        if (!['user', 'admin'].includes(role)) return { error: 'role must be user or admin' };
+        filter.role = role;
+    }
+
+    if (authMethod) { 
+        if (!['local', 'google'].includes(authMethod)) return { error: 'authMethod must be local or google' };
+        filter['identities.provider'] = authMethod;
+    }
+
+    const isEmailVerified = parseBooleanQuery(query.isEmailVerified);
+    if (isEmailVerified === null) return { error: 'isEmailVerified must be true or false' };
+    if (isEmailVerified !== undefined) filter.isEmailVerified = isEmailVerified;
+
+    if (query.isActive !== 'all') { 
+        const isActive = parseBooleanQuery(query.isActive);
+        if (isActive === null) return { error: 'isActive must be true, false or all' };
+        filter.isActive = isActive ?? true;
+    }
+
+    // a date without a time includes the whole day
+    if (createdFrom || createdTo) { 
+        filter.createdAt = {};
+        const from = createdFrom && new Date(createdFrom);
+        const to = createdTo && new Date(createdTo);
+
+        if ((from && isNaN(from)) || (to && isNaN(to))) return { error: 'createdFrom and createdTo must be dates' };
+        if (from) filter.createdAt.$gte = from;
+        if (to) { 
+            if (/^\d{4}-\d{2}-\d{2}$/.test(createdTo)) filter.createdAt.$lt = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+            else filter.createdAt.$lte = to;
+        }
+    }
+
+    return { filter };
+}
+
+/**
+ * Read the sort of the admin user list (field name, - prefix for descending, default -createdAt)
+ * @returns {object} { field, direction } or { error }
+ */
+const parseUserSort = (value = '-createdAt') => { 
+    const direction = String(value).startsWith('-') ? -1 : 1;
+    const field = String(value).replace(/^[-+]/, '');
+
+    if (!USER_SORT_FIELDS.includes(field)) return { error: `sort must be one of ${USER_SORT_FIELDS.join(', ')} (prefix with - for descending)` };
+    return { field, direction };
+}
+
+/**
+ * Encode the position after a user in the list (sort value and id)
+ */
+const encodeUserCursor = (user, field) => Buffer.from(JSON.stringify({ v: user[field], id: user._id })).toString('base64url');
+
+/**
+ * Filter for the users after a cursor, in sort order (ties broken by id)
+ * @returns {object|null} filter, null when the cursor is not valid
+ */
+const decodeUserCursor = (cursor, { field, direction }) => { 
+    try { 
+        const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (!mongoose.isValidObjectId(id)) return null;
+
+        const value = USER_DATE_FIELDS.includes(field) ? new Date(v) : v;
+        const after = direction === 1 ? '$gt' : '$lt';
+
+        return { $or: [{ [field]: { [after]: value } }, { [field]: value, _id: { [after]: new mongoose.Types.ObjectId(id) } }] };
+    }
+    catch (error) { 
+        return null;
+    }
+}
+
+/**
+ * @desc    Get users (admin only) - search, filter, sort and cursor pagination
+ *          Pass the returned nextCursor as cursor to get the next page
+ * @route   GET /api/users?q=&role=&authMethod=&isEmailVerified=&isActive=&createdFrom=&createdTo=&sort=&limit=&cursor=
+ * @access  Private/Admin
+ */
+const getAllUsers = async (req, res) => { 
+    try { 
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const { filter, error } = buildUserFilter(req.query);
+        const sort = parseUserSort(req.query.sort);
+
+        if (error || sort.error) { 
+            return res.status(400).json({
+                success: false,
+                message: error || sort.error
+            });
+        }
+
+        let pageFilter = filter;
+
+        if (req.query.cursor) { 
+            const after = decodeUserCursor(req.query.cursor, sort);
+
+            if (!after) { 
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid cursor'
+                });
+            }
+            pageFilter = { $and: [filter, after] };
+        }
+
+        // one extra user tells whether there is a next page
+        const query = User.find(pageFilter)
+            .select('-password')
+            .sort({ [sort.field]: sort.direction, _id: sort.direction })
+            .limit(limit + 1);
+        if (['firstName', 'lastName'].includes(sort.field)) query.collation(NAME_COLLATION);
+
+        const [users, total] = await Promise.all([
+            query,
+            User.countDocuments(filter)
+        ]);
+
+        const hasMore = users.length > limit;
+        if (hasMore) users.pop();
+
+        // send json payload with users to confirm success
+        res.status(200).json({
+            success: true,
+            count: users.length,
+            total,
+            nextCursor: hasMore ? encodeUserCursor(users[users.length - 1], sort.field) : null,
+            users
+        });
+    }
+    catch (error) { 
+        console.error(`Get all users error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching users'
+        });
+    }
+}
+
+/**
+ * Format a value as a CSV field (quoted when needed, formulas neutralised for spreadsheet apps)
+ */
+const toCsvField = (value) => { 
+    if (value === undefined || value === null) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @desc    Export the users matching the list filters as CSV (admin only), in the list's sort order
+ * @route   GET /api/users/export?q=&role=&authMethod=&isEmailVerified=&isActive=&createdFrom=&createdTo=&sort=
+ * @access  Private/Admin
+ */
+const exportUsers = async (req, res) => { 
+    try { 
+        const { filter, error } = buildUserFilter(req.query);
+        const sort = parseUserSort(req.query.sort);
+
+        if (error || sort.error) { 
+            return res.status(400).json({
+                success: false,
+                message: error || sort.error
+            });
+        }
+
+        const query = User.find(filter)
+            .select(USER_CSV_COLUMNS.filter(column => !['id', 'authMethods'].includes(column)).join(' ') + ' identities')
+            .sort({ [sort.field]: sort.direction, _id: sort.direction });
+        if (['firstName', 'lastName'].includes(sort.field)) query.collation(NAME_COLLATION);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="users-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.write(`${USER_CSV_COLUMNS.join(',')}\r\n`);
+
+        // stream the users instead of loading them all
+        for await (const user of query.cursor()) { 
+            const row = { ...user.toObject(), id: user._id, authMethods: user.authMethods.join(' ') };
+            res.write(`${USER_CSV_COLUMNS.map(column => toCsvField(row[column])).join(',')}\r\n`);
+        }
+
+        res.end();
+    }
+    catch (error) { 
+        console.error(`Export users error: ${error.stack}`);
+
+        // the CSV has started, cut it short
+        if (res.headersSent) return res.end();
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error exporting users'
+        });
+    }
+}
+
+/**
+ * @desc    Get user by ID (admin only)
+ * @route   GET /api/users/:id
+ * @access  Private/Admin
+ */
+
+const getUserById = async (req, res) => { 
+    try { 
+        const user = await User.findById(req.params.id).select('-password'); // use id in the param to find user
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // return json payload with user to confirm success
+        res.status(200).json({
+            success: true,
+            user
+        });
+    } 
+    catch (error) { 
+        console.error(`Get user by ID error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') {
+        return res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+        }
+
+        res.status(500).json({
+        success: false,
+        message: 'Server error fetching user'
+        });
+    }
+}
+
+/**
+ * @desc    Unlock a user account locked after too many failed logins (admin only)
+ * @route   PUT /api/users/:id/unlock
+ * @access  Private/Admin
+ */
+const unlockUser = async (req, res) => { 
+    try { 
+        const user = await User.findById(req.params.id);
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const before = { 
+            lockedUntil: user.lockedUntil,
+            failedLoginAttempts: user.failedLoginAttempts,
+            lockoutCount: user.lockoutCount
+        };
+
+        const entry = await recordAdminAction(req, 'user.unlocked', user, before, { lockedUntil: null, failedLoginAttempts: 0, lockoutCount: 0 });
+
+        // clear lockout and failed attempt counters
+        user.lockedUntil = null;
+        user.failedLoginAttempts = 0;
+        user.lockoutCount = 0;
+        await user.save();
+
+        await completeAdminAction(entry);
+
+        res.status(200).json({
+            success: true,
+            message: 'Account unlocked successfully'
+        });
+    }
+    catch (error) { 
+        console.error(`Unlock user error: ${error.stack}`);
+
+        // Handle invalid MongoDB ID format
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error unlocking user'
+        });
+    }
+}
+
+/**
+ * Check whether other active admins would remain if a user stopped being an admin
+ * @param {object} user - admin being demoted or deactivated
+ * @returns {boolean} true when the user is the last active admin
+ */
+const isLastAdmin = async (user) => { 
+    if (user.role !== 'admin' || !user.isActive) return false;
+
+    const otherAdmins = await User.countDocuments({ role: 'admin', isActive: true, _id: { $ne: user._id } });
+    return otherAdmins === 0;
+}
+
+/**
+ * Change a user's role or active status without ever leaving no active admin
+ * The write only applies if the user is unchanged since it was read, then it is undone
+ * if no active admin is left (two admins demoting each other at once can't both succeed)
+ * @param {object} user - User as read before the change
+ * @param {object} changes - { role } or { isActive }
+ * @returns {object} { user } once applied, { conflict } if the user changed meanwhile, { lastAdmin } if undone
+ */
+const changeAdminAccess = async (user, changes) => { 
+    const previous = { role: user.role, isActive: user.isActive };
+
+    const updated = await User.findOneAndUpdate({ _id: user._id, ...previous }, { $set: changes }, { new: true, runValidators: true });
+    if (!updated) return { conflict: true };
+
+    const activeAdmins = await User.countDocuments({ role: 'admin', isActive: true });
+    if (activeAdmins > 0) return { user: updated };
+
+    await User.updateOne({ _id: user._id, ...changes }, { $set: previous });
+    return { lastAdmin: true };
+}
+
+/**
+ * Send the error response of a changeAdminAccess that didn't apply
+ */
+const sendAccessChangeError = (result, res, lastAdminMessage) => { 
+    if (result.lastAdmin) { 
+        return res.status(400).json({
+            success: false,
+            message: lastAdminMessage
+        });
+    }
+
+    res.status(409).json({
+        success: false,
+        message: 'User was just changed, please try again'
+    });
+}
+
+/**
+ * Send the error response of an admin action on a user
+ */
+const handleAdminError = (error, res, action) => { 
+    // Handle invalid MongoDB ID format
+    if (error.kind === 'ObjectId') { 
+        return res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+
+    if (error.name === 'ValidationError') { 
+        return res.status(400).json({
+            success: false,
+            message: Object.values(error.errors).map(err => err.message).join(', ')
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: `Server error ${action}`
+    });
+}
+
+/**
+ * @desc    Change a user's role - { role: 'user' | 'admin' } (the last admin can't be demoted)
+ * @route   PUT /api/users/:id/role
+ * @access  Private/Admin
+ */
+const updateUserRole = async (req, res) => { 
+    try { 
+        const { role } = req.body;
+
+        if (!['user', 'admin'].includes(role)) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Role must be user or admin'
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.role === role) { 
+            return res.status(400).json({
+                success: false,
+                message: `User is already ${role === 'admin' ? 'an admin' : 'a user'}`
+            });
+        }
+
+        if (role !== 'admin' && await isLastAdmin(user)) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot demote the last admin'
+            });
+        }
+
+        const entry = await recordAdminAction(req, 'user.role_changed', user, { role: user.role }, { role });
+
+        const result = await changeAdminAccess(user, { role });
+
+        if (!result.user) { 
+            await failAdminAction(entry);
+            return sendAccessChangeError(result, res, 'Cannot demote the last admin');
+        }
+
+        await completeAdminAction(entry);
+
+        res.status(200).json({
+            success: true,
+            message: 'Role updated',
+            user: { id: result.user._id, email: result.user.email, role: result.user.role }
+        });
+    }
+    catch (error) { 
+        console.error(`Update user role error: ${error.stack}`);
+        handleAdminError(error, res, 'updating role');
+    }
+}
+
+/**
+ * @desc    Deactivate or reactivate an account - { isActive }
+ *          Deactivating signs the user out everywhere and hides their favourites and saved trips,
+ *          reactivating brings them back (the last admin and the admin's own account can't be deactivated)
+ * @route   PUT /api/users/:id/status
+ * @access  Private/Admin
+ */
+const updateUserStatus = async (req, res) => { 
+    try { 
+        const { isActive } = req.body;
+
+        if (typeof isActive !== 'boolean') { 
+            return res.status(400).json({
+                success: false,
+                message: 'isActive must be true or false'
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.isActive === isActive) { 
+            return res.status(400).json({
+                success: false,
+                message: isActive ? 'Account is already active' : 'Account is already deactivated'
+            });
+        }
+
+        if (!isActive && user._id.equals(req.user._id)) { 
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot deactivate your own account here'
+            });
+        }
+
+        if (!isActive && await isLastAdmin(user)) { 
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot deactivate the last admin'
+            });
+        }
+
+        const entry = await recordAdminAction(req, isActive ? 'user.reactivated' : 'user.deactivated', user, { isActive: !isActive }, { isActive });
+
+        const result = await changeAdminAccess(user, { isActive });
+
+        if (!result.user) { 
+            await failAdminAction(entry);
+            return sendAccessChangeError(result, res, 'Cannot deactivate the last admin');
+        }
+
+        if (isActive) { 
+            await restoreAccountContent(user._id);
+        }
+        else { 
+            await revokeAllSessions(user._id, 'admin_deactivated');
+            await hideAccountContent(user._id);
+        }
+
+        await completeAdminAction(entry);
+
+        res.status(200).json({
+            success: true,
+            message: isActive ? 'Account reactivated' : 'Account deactivated',
+            user: { id: result.user._id, email: result.user.email, isActive: result.user.isActive }
+        });
+    }
+    catch (error) { 
+        console.error(`Update user status error: ${error.stack}`);
+        handleAdminError(error, res, 'updating account status');
+    }
+}
+
+/**
+ * @desc    Make a user verify their email again (marks it unverified and emails a new code)
+ * @route   POST /api/users/:id/require-verification
+ * @access  Private/Admin
+ */
+const requireEmailVerification = async (req, res) => { 
+    try { 
+        const user = await User.findById(req.params.id);
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const entry = await recordAdminAction(req, 'user.verification_required', user, { isEmailVerified: user.isEmailVerified }, { isEmailVerified: false });
+
+        // Generate new 6 digit code
+        const verificationCode = crypto.randomInt(100000, 1000000).toString();
+
+        user.isEmailVerified = false;
+        user.emailVerificationCode = verificationCode;
+        user.emailVerificationExpires = Date.now() + 10 * 60 * 1000;  // 10 minutes
+        user.emailVerificationAttempts = 0;
+        await user.save();
+
+        await sendVerificationEmail(user, verificationCode);
+
+        await completeAdminAction(entry);
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verification required, a new code was sent to the user'
+        });
+    }
+    catch (error) { 
+        console.error(`Require email verification error: ${error.stack}`);
+        handleAdminError(error, res, 'requiring email verification');
+    }
+}
+
+/**
+ * @desc    Email a user a password reset link (accounts with a password)
+ * @route   POST /api/users/:id/password-reset
+ * @access  Private/Admin
+ */
+const sendUserPasswordReset = async (req, res) => { 
+    try { 
+        const user = await User.findById(req.params.id).select('+passwordResetExpires');
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!user.hasIdentity('local')) { 
+            return res.status(400).json({
+                success: false,
+                message: 'User signs in with Google only and has no password to reset'
+            });
+        }
+
+        const before = { passwordResetExpires: user.passwordResetExpires || null };
+        const passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);  // 1 hour before token expires
+
+        const entry = await recordAdminAction(req, 'user.password_reset_sent', user, before, { passwordResetExpires });
+
+        const resetToken = crypto.randomBytes(32).toString('hex');
+        user.passwordResetToken = hashToken(resetToken);
+        user.passwordResetExpires = passwordResetExpires;
+        await user.save();
+
+        await sendPasswordResetEmail(user, resetToken);
+
+        await completeAdminAction(entry);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset email sent'
+        });
+    }
+    catch (error) { 
+        console.error(`Send password reset error: ${error.stack}`);
+        handleAdminError(error, res, 'sending password reset email');
+    }
+}
+
+/**
+ * @desc    Sign a user out of every device
+ * @route   DELETE /api/users/:id/sessions
+ * @access  Private/Admin
+ */
+const revokeUserSessions = async (req, res) => { 
+    try { 
+        const user = await User.findById(req.params.id);
+
+        if (!user) { 
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const activeSessions = await Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: Date.now() } });
+        const entry = await recordAdminAction(req, 'user.sessions_revoked', user, { activeSessions }, { activeSessions: 0 });
+
+        const revoked = await revokeAllSessions(user._id, 'admin_revoked');
+
+        await completeAdminAction(entry);
+
+        res.status(200).json({
+            success: true,
+            message: `${revoked} session(s) revoked`,
+            revoked
+        });
+    }
+    catch (error) { 
+        console.error(`Revoke user sessions error: ${error.stack}`);
+        handleAdminError(error, res, 'revoking sessions');
+    }
+}
+
 module.exports = {
   updateProfile,
   changePassword,
+  requestPasswordSetup,
+  confirmPasswordSetup,
   deleteAccount,
+  getSessions,
+  deleteSession,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  linkGoogleIdentity,
+  unlinkIdentity,
   getAllUsers,
-  getUserById
+  exportUsers,
+  getUserById,
+  unlockUser,
+  updateUserRole,
+  updateUserStatus,
+  requireEmailVerification,
+  sendUserPasswordReset,
+  revokeUserSessions
 };
\ No newline at end of file
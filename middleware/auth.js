@@ -7,6 +7,8 @@
 
 const { verifyToken } = require('../config/jwt');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { touchSession } = require('../utils/session');
 
 /**
  * Protect routes - verify JWT token and authenticate user
@@ -25,6 +27,20 @@ const protect = async (req, res, next) => {
             // verify token using helper and returns decoded payload
             const decoded = verifyToken(token)
 
+            // check that the session the token was issued for has not been revoked (logout, password change...)
+            const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+            if (!session || !session.isValid() || session.user.toString() !== decoded.id) { 
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has expired or been revoked'
+                });
+            };
+
+            // keep the session on the request (req.session is used by express-session)
+            req.authSession = session;
+            await touchSession(session); // update last seen time for the sessions list
+
             // get user from db using id from token but dont include password
             // use the methods findByID() - get user id, and select() - exclude
             req.user = await User.findById(decoded.id).select('-password')
@@ -66,6 +82,18 @@ const protect = async (req, res, next) => {
     }
 };
 
+/**
+ * Read the access token from ?access_token= for streaming routes
+ * Browsers' EventSource can't send an Authorization header
+ * Must be used BEFORE protect (which still verifies the token), only on streaming routes
+ */
+const tokenFromQuery = (req, res, next) => { 
+    if (!req.headers.authorization && typeof req.query.access_token === 'string') { 
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
 /**
  * Admin authorization middleware (Role Checker)
  * Must be used AFTER protect middleware
@@ -83,4 +111,20 @@ const admin = (req, res, next) => {
     }
 };
 
-module.exports = { protect, admin };
\ No newline at end of file
+/**
+ * Verified email middleware
+ * Must be used AFTER protect middleware
+ * Checks if authenticated user has verified their email (e.g. before posting content)
+ */
+const verified = (req, res, next) => { 
+    if (req.user && req.user.isEmailVerified) { 
+        next();
+    } else { 
+        res.status(403).json({ 
+            success: false,
+            message: 'Please verify your email first' 
+        })
+    }
+};
+
+module.exports = { protect, admin, verified, tokenFromQuery };
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * Rate Limiting Middleware
+ * 
+ * Limits how many requests a client can make in a time window
+ * Clients are identified by IP, email (from the request body) or user id (requires protect middleware)
+ * Counters are kept in memory, or in MongoDB when the server runs on more than one instance
+ */
+
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * In-memory store (default) - counters are lost on restart and not shared between instances
+ * @returns {object} store with increment(key, windowMs) and reset(key)
+ */
+const createMemoryStore = () => { 
+    const hits = new Map();
+
+    // clear finished windows every minute (unref so it doesn't keep the process alive)
+    setInterval(() => { 
+        const now = Date.now();
+        for (const [key, entry] of hits) { 
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }, 60 * 1000).unref();
+
+    return { 
+        // count a request for a key and return { count, resetAt } for the current window
+        increment: async (key, windowMs) => { 
+            const now = Date.now();
+            let entry = hits.get(key);
+
+            // start a new window if there is none or the previous one is over
+            if (!entry || entry.resetAt <= now) { 
+                entry = { count: 0, resetAt: now + windowMs };
+                hits.set(key, entry);
+            }
+
+            entry.count += 1;
+            return { count: entry.count, resetAt: new Date(entry.resetAt) };
+        },
+
+        // clear the counter of a key
+        reset: async (key) => { 
+            hits.delete(key);
+        }
+    };
+}
+
+/**
+ * MongoDB store - counters are shared between every server instance
+ * @returns {object} store with increment(key, windowMs) and reset(key)
+ */
+const createMongoStore = () => { 
+    // count a request for a key and return { count, resetAt } for the current window
+    const increment = async (key, windowMs) => { 
+        const now = Date.now();
+
+        // increment the current window if it is still open
+        let entry = await RateLimit.findOneAndUpdate(
+            { key, resetAt: { $gt: now } },
+            { $inc: { count: 1 } },
+            { new: true }
+        );
+
+        if (!entry) { 
+            try { 
+                // window is over (or never existed) - start a new one
+                // only a finished window is replaced, if another instance already started the new one
+                // the upsert hits the unique key and the request is counted against that window
+                entry = await RateLimit.findOneAndUpdate(
+                    { key, resetAt: { $lte: now } },
+                    { count: 1, resetAt: now + windowMs },
+                    { new: true, upsert: true }
+                );
+            }
+            catch (error) { 
+                // another instance started the window at the same time - count against it
+                if (error.code !== 11000) throw error;
+                return increment(key, windowMs);
+            }
+        }
+
+        return { count: entry.count, resetAt: entry.resetAt };
+    }
+
+    return { 
+        increment,
+
+        // clear the counter of a key
+        reset: async (key) => { 
+            await RateLimit.deleteOne({ key });
+        }
+    };
+}
+
+// one shared store per process, picked with RATE_LIMIT_STORE (memory or mongo)
+let defaultStore;
+const getDefaultStore = () => { 
+    if (!defaultStore) { 
+        defaultStore = process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+    }
+    return defaultStore;
+}
+
+// ways to identify the client making the request
+const keyGenerators = { 
+    ip: (req) => req.ip,
+    email: (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+    user: (req) => (req.user ? req.user._id.toString() : null)
+};
+
+/**
+ * Create a rate limiter middleware
+ * @param {object} options
+ * @param {string} options.name - limiter name (keeps counters of different policies apart)
+ * @param {number} options.windowMs - window length in milliseconds
+ * @param {number} options.max - requests allowed per window
+ * @param {string|function} options.keyBy - 'ip', 'email', 'user' or a function (req) => key
+ * @param {string} options.message - message sent when the limit is reached
+ * @param {object} options.store - store to use (defaults to the shared store)
+ * @returns {function} express middleware
+ */
+const rateLimit = ({ 
+    name,
+    windowMs = 15 * 60 * 1000,
+    max = 100,
+    keyBy = 'ip',
+    message = 'Too many requests. Please try again later.',
+    store
+}) => { 
+    const getKey = typeof keyBy === 'function' ? keyBy : keyGenerators[keyBy];
+
+    if (!name || !getKey) { 
+        throw new Error(`Invalid rate limit policy: ${name}`);
+    }
+
+    return async (req, res, next) => { 
+        try { 
+            const clientKey = getKey(req);
+
+            // nothing to key on (e.g. no email in body) - let the route handle validation
+            if (!clientKey) return next();
+
+            const { count, resetAt } = await (store || getDefaultStore()).increment(`${name}:${clientKey}`, windowMs);
+            const resetSeconds = Math.max(0, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+
+            // standard rate limit headers
+            res.set('RateLimit-Limit', max.toString());
+            res.set('RateLimit-Remaining', Math.max(0, max - count).toString());
+            res.set('RateLimit-Reset', resetSeconds.toString());
+
+            if (count > max) { 
+                res.set('Retry-After', resetSeconds.toString());
+                return res.status(429).json({
+                    success: false,
+                    message
+                });
+            }
+
+            next();
+        }
+        catch (error) { 
+            // fail open - a store outage should not take the route down
+            console.error(`Rate limit error: ${error.stack}`);
+            next();
+        }
+    };
+};
+
+module.exports = { 
+    rateLimit,
+    createMemoryStore,
+    createMongoStore
+};
@@ -0,0 +1,36 @@
+/**
+ * Transit Data Middleware
+ * 
+ * Makes sure a GTFS feed has been imported before transit data is queried
+ */
+
+const { getActiveFeedVersion } = require('../utils/gtfs');
+
+/**
+ * Attach the active feed version to the request (req.feedVersion)
+ * Responds 503 while no feed has been imported
+ */
+const requireActiveFeed = async (req, res, next) => { 
+    try { 
+        const feedVersion = await getActiveFeedVersion();
+
+        if (!feedVersion) { 
+            return res.status(503).json({
+                success: false,
+                message: 'Transit data is not available yet'
+            });
+        }
+
+        req.feedVersion = feedVersion;
+        next();
+    }
+    catch (error) { 
+        console.error(`Active feed error: ${error.stack}`);
+        res.status(500).json({
+            success: false,
+            message: 'Server error loading transit data'
+        });
+    }
+}
+
+module.exports = { requireActiveFeed };
@@ -0,0 +1,38 @@
+/**
+ * Agency Model Schema
+ * 
+ * GTFS agency.txt - transit agencies in the feed (Calgary Transit)
+ */
+
+const mongoose = require('mongoose');
+
+// create agency schema using mongoose
+const AgencySchema = new mongoose.Schema({
+
+  // feed import the record belongs to
+  feedVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeedVersion',
+    required: true
+  },
+
+  agencyId: {
+    type: String,
+    default: ''  // optional in GTFS when the feed has a single agency
+  },
+
+  name: {
+    type: String,
+    required: true
+  },
+
+  url: String,
+  timezone: String,
+  lang: String,
+  phone: String
+});
+
+AgencySchema.index({ feedVersion: 1, agencyId: 1 }, { unique: true });
+
+// Export the model
+module.exports = mongoose.model('Agency', AgencySchema);
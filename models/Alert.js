@@ -0,0 +1,70 @@
+/**
+ * Alert Model Schema
+ * 
+ * Service alerts and announcements posted by ops staff ("Route 3 detour on Centre St")
+ * Shown to riders next to the alerts from the GTFS-Realtime feed
+ */
+
+const mongoose = require('mongoose');
+
+// create alert schema using mongoose
+const AlertSchema = new mongoose.Schema({
+
+  title: { 
+    type: String,
+    required: [true, 'Please provide a title'],
+    trim: true,
+    maxlength: [120, 'Title cannot exceed 120 characters']
+  },
+
+  // Rich text (sanitized HTML - see utils/richText.js)
+  body: { 
+    type: String,
+    default: '',
+    maxlength: [10000, 'Body cannot exceed 10000 characters']
+  },
+
+  // Link to more information
+  url: { 
+    type: String,
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'Please provide a valid URL'],
+    default: null
+  },
+
+  // Same levels as GTFS-Realtime alerts
+  severity: { 
+    type: String,
+    enum: ['info', 'warning', 'severe'],
+    default: 'info'
+  },
+
+  // What the alert affects (GTFS route_id / stop_id, empty - system wide announcement)
+  routeIds: [String],
+  stopIds: [String],
+
+  // When the alert applies (no period - until it is removed)
+  activePeriods: [{
+    _id: false,
+    start: Date,
+    end: Date
+  }],
+
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  updatedBy: { 
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  timestamps: true
+});
+
+AlertSchema.index({ routeIds: 1 });
+AlertSchema.index({ stopIds: 1 });
+
+// Export the model
+module.exports = mongoose.model('Alert', AlertSchema);
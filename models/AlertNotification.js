@@ -0,0 +1,46 @@
+/**
+ * Alert Notification Model Schema
+ * 
+ * One record per alert emailed to a user - the unique index stops the same alert
+ * from being emailed twice (realtime alerts come back on every poll)
+ */
+
+const mongoose = require('mongoose');
+
+// create alert notification schema using mongoose
+const AlertNotificationSchema = new mongoose.Schema({
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Source and id of the alert ("admin:<id>" or "realtime:<feed entity id>")
+  alertKey: {
+    type: String,
+    required: true
+  },
+
+  // Queued email (sent later when it arrived during quiet hours)
+  emailJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailJob',
+    default: null
+  },
+
+  scheduledFor: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true  // automatically manages createdAt and updatedAt
+});
+
+AlertNotificationSchema.index({ user: 1, alertKey: 1 }, { unique: true });
+
+// forget notifications after 90 days (alerts don't last that long)
+AlertNotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Export the model
+module.exports = mongoose.model('AlertNotification', AlertNotificationSchema);
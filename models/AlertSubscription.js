@@ -0,0 +1,64 @@
+/**
+ * Alert Subscription Model Schema
+ * 
+ * Routes and stops a user wants service alert emails for
+ * Emails are only sent on the chosen days and outside quiet hours (Calgary time),
+ * alerts arriving outside the window are emailed when it opens
+ */
+
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;  // HH:MM, 24h
+
+// create alert subscription schema using mongoose
+const AlertSubscriptionSchema = new mongoose.Schema({
+
+  // Subscriber
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['stop', 'route'],
+    required: true
+  },
+
+  // GTFS stop_id or route_id
+  targetId: {
+    type: String,
+    required: true
+  },
+
+  // Days alerts can be emailed (0 - Sunday ... 6 - Saturday)
+  days: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [0, 1, 2, 3, 4, 5, 6]
+  },
+
+  // No emails between start and end (can cross midnight, e.g. 22:00 - 07:00)
+  quietHours: {
+    type: {
+      _id: false,
+      start: { type: String, match: [TIME_PATTERN, 'Quiet hours must be HH:MM'], required: true },
+      end: { type: String, match: [TIME_PATTERN, 'Quiet hours must be HH:MM'], required: true }
+    },
+    default: null
+  },
+
+  // Paused subscriptions don't get emails
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true  // automatically manages createdAt and updatedAt
+});
+
+AlertSubscriptionSchema.index({ user: 1, type: 1, targetId: 1 }, { unique: true });
+AlertSubscriptionSchema.index({ type: 1, targetId: 1 });
+
+// Export the model
+module.exports = mongoose.model('AlertSubscription', AlertSubscriptionSchema);
@@ -0,0 +1,79 @@
+/**
+ * Audit Log Model Schema
+ * 
+ * Record of admin actions on user accounts (role changes, deactivation, forced verification...)
+ * Holds who did it, to whom, and the values before and after the change
+ */
+
+const mongoose = require('mongoose');
+
+// create audit log schema using mongoose
+const AuditLogSchema = new mongoose.Schema({
+
+  // admin who made the change
+  actor: { 
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  action: { 
+    type: String,
+    enum: [
+      'user.role_changed',
+      'user.deactivated',
+      'user.reactivated',
+      'user.verification_required',
+      'user.password_reset_sent',
+      'user.sessions_revoked',
+      'user.unlocked'
+    ],
+    required: true
+  },
+
+  // user the action was taken on
+  target: { 
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // changed values ({ field: value }), null when nothing was stored before / after
+  before: { 
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  after: { 
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // written as pending before the change and completed after it, failed if the change didn't apply
+  // (an entry left pending means the request stopped midway, the change may or may not have been made)
+  status: { 
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  // where the request came from
+  ipAddress: { 
+    type: String,
+    default: null
+  },
+
+  userAgent: { 
+    type: String,
+    default: null
+  }
+}, { 
+  timestamps: true
+});
+
+AuditLogSchema.index({ target: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Export the model
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
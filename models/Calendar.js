@@ -0,0 +1,48 @@
+/**
+ * Calendar Model Schema
+ * 
+ * GTFS calendar.txt - weekly service pattern and the dates it runs between
+ */
+
+const mongoose = require('mongoose');
+
+// create calendar schema using mongoose
+const CalendarSchema = new mongoose.Schema({
+
+  // feed import the record belongs to
+  feedVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeedVersion',
+    required: true
+  },
+
+  serviceId: {
+    type: String,
+    required: true
+  },
+
+  // days of the week the service runs
+  monday: Boolean,
+  tuesday: Boolean,
+  wednesday: Boolean,
+  thursday: Boolean,
+  friday: Boolean,
+  saturday: Boolean,
+  sunday: Boolean,
+
+  // YYYYMMDD (compares correctly as strings)
+  startDate: {
+    type: String,
+    required: true
+  },
+
+  endDate: {
+    type: String,
+    required: true
+  }
+});
+
+CalendarSchema.index({ feedVersion: 1, serviceId: 1 }, { unique: true });
+
+// Export the model
+module.exports = mongoose.model('Calendar', CalendarSchema);
@@ -0,0 +1,42 @@
+/**
+ * Calendar Date Model Schema
+ * 
+ * GTFS calendar_dates.txt - exceptions to the weekly calendar (holidays, special service)
+ */
+
+const mongoose = require('mongoose');
+
+// create calendar date schema using mongoose
+const CalendarDateSchema = new mongoose.Schema({
+
+  // feed import the record belongs to
+  feedVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeedVersion',
+    required: true
+  },
+
+  serviceId: {
+    type: String,
+    required: true
+  },
+
+  // YYYYMMDD
+  date: {
+    type: String,
+    required: true
+  },
+
+  // 1 - service added on this date, 2 - service removed on this date
+  exceptionType: {
+    type: Number,
+    enum: [1, 2],
+    required: true
+  }
+});
+
+CalendarDateSchema.index({ feedVersion: 1, serviceId: 1, date: 1 }, { unique: true });
+CalendarDateSchema.index({ feedVersion: 1, date: 1 });
+
+// Export the model
+module.exports = mongoose.model('CalendarDate', CalendarDateSchema);
@@ -0,0 +1,111 @@
+/**
+ * Email Job Model Schema
+ * 
+ * Outbound email queue - every email is stored here first and sent by the email worker
+ * Failed sends are retried with exponential backoff, then moved to the dead state
+ */
+
+const mongoose = require('mongoose');
+
+// create email job schema using mongoose
+const EmailJobSchema = new mongoose.Schema({
+
+  // Rendered message
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  subject: {
+    type: String,
+    required: true
+  },
+
+  // the body can hold one-time codes and reset / "this wasn't me" links - only the worker reads it,
+  // and it is removed once the job is sent, dead or cancelled
+  html: {
+    type: String,
+    required: function() { 
+      return ['pending', 'sending', 'failed'].includes(this.status);
+    },
+    select: false // do not return
+  },
+
+  text: {
+    type: String,
+    select: false // do not return
+  },
+
+  // template the message was rendered from (for filtering in the admin view)
+  template: {
+    type: String,
+    index: true
+  },
+
+  // Delivery Status
+  // pending - waiting to be sent, sending - claimed by a worker,
+  // failed - will be retried, sent - delivered to the transport, dead - gave up after maxAttempts,
+  // cancelled - no longer wanted when it was due (e.g. an alert removed while the email was held)
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'failed', 'sent', 'dead', 'cancelled'],
+    default: 'pending'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+
+  // earliest time the next attempt can run
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // when a worker claimed the job (stale claims are picked up again)
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  // id returned by the transport
+  messageId: {
+    type: String,
+    default: null
+  },
+
+  sentAt: {
+    type: Date,
+    default: null
+  },
+
+  // sent and cancelled jobs are removed after a while (MongoDB TTL index), failed ones are kept for inspection
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true  // automatically manages createdAt and updatedAt
+});
+
+// worker looks up jobs that are due
+EmailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// remove old sent jobs automatically
+EmailJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the model
+module.exports = mongoose.model('EmailJob', EmailJobSchema);
@@ -0,0 +1,59 @@
+/**
+ * Favorite Model Schema
+ * 
+ * Stops and routes a user saved for quick access ("Home", "Work")
+ * Targets are GTFS ids so favourites survive new feed imports
+ */
+
+const mongoose = require('mongoose');
+
+// create favorite schema using mongoose
+const FavoriteSchema = new mongoose.Schema({
+
+  // Owner of the favourite
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['stop', 'route'],
+    required: true
+  },
+
+  // GTFS stop_id or route_id
+  targetId: {
+    type: String,
+    required: true
+  },
+
+  // Custom name shown instead of the stop / route name
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters'],
+    default: null
+  },
+
+  // Order in the user's list (lowest first)
+  position: {
+    type: Number,
+    default: 0
+  },
+
+  // Set when the account is deactivated (favourites are kept but not shown)
+  hiddenAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true  // automatically manages createdAt and updatedAt
+});
+
+FavoriteSchema.index({ user: 1, type: 1, targetId: 1 }, { unique: true });
+FavoriteSchema.index({ user: 1, position: 1 });
+
+// Export the model
+module.exports = mongoose.model('Favorite', FavoriteSchema);
@@ -0,0 +1,87 @@
+/**
+ * Feed Version Model Schema
+ * 
+ * One document per GTFS static import
+ * Every imported agency, route, stop, trip... is tagged with its feed version,
+ * so a new feed is loaded next to the current one and only becomes visible once it is fully imported
+ */
+
+const mongoose = require('mongoose');
+
+// create feed version schema using mongoose
+const FeedVersionSchema = new mongoose.Schema({
+
+  // zip file the feed was imported from
+  source: {
+    type: String,
+    required: true
+  },
+
+  // importing - data being loaded, active - data served by the API,
+  // superseded - replaced by a newer feed, failed - import aborted (data removed)
+  status: {
+    type: String,
+    enum: ['importing', 'active', 'superseded', 'failed'],
+    default: 'importing'
+  },
+
+  // feed_info.txt (optional in GTFS)
+  feedInfo: {
+    publisherName: String,
+    version: String,
+    startDate: String,
+    endDate: String
+  },
+
+  // number of records imported per file
+  counts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+
+  // validation or import errors (first ones only)
+  importErrors: {
+    type: [String],
+    default: []
+  },
+
+  // admin that started the import (empty when run from the CLI)
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  activatedAt: {
+    type: Date,
+    default: null
+  },
+
+  // records of old feeds are removed to save space (the feed version is kept as history)
+  dataRemovedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true  // automatically manages createdAt and updatedAt
+});
+
+// active feed lookup (newest active first)
+FeedVersionSchema.index({ status: 1, activatedAt: -1 });
+
+// only one import at a time - a second 'importing' feed version is rejected by the database
+FeedVersionSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'importing' }, name: 'one_import_at_a_time' });
+
+// Export the model
+module.exports = mongoose.model('FeedVersion', FeedVersionSchema);
@@ -0,0 +1,56 @@
+/**
+ * Login Attempt Model Schema
+ * 
+ * Failed login counters per IP address (companion to the per-account counters on User)
+ * Used to slow down password guessing across many accounts from the same client
+ */
+
+const mongoose = require('mongoose');
+
+// create login attempt schema using mongoose
+const LoginAttemptSchema = new mongoose.Schema({
+
+  // Client IP address
+  ipAddress: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // failed attempts in the current window
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+
+  // start of the current counting window
+  windowStart: {
+    type: Date,
+    default: Date.now
+  },
+
+  // number of lockouts in a row - each lockout lasts longer than the previous one
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // record is removed once the IP has been quiet for a day
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true  // automatically manages createdAt and updatedAt
+});
+
+// remove stale records automatically (MongoDB TTL index)
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the model
+module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
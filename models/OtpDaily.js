@@ -0,0 +1,66 @@
+/**
+ * OTP Daily Model Schema
+ * 
+ * On-time performance of a service day, per route, stop and hour
+ * Delays are kept as a histogram so early / late thresholds can be picked when the data is read
+ */
+
+const mongoose = require('mongoose');
+
+// create otp daily schema using mongoose
+const OtpDailySchema = new mongoose.Schema({
+
+  // service date (YYYYMMDD) and its day of the week (0 = Sunday)
+  serviceDate: { 
+    type: String,
+    required: true
+  },
+
+  dayOfWeek: { 
+    type: Number,
+    required: true
+  },
+
+  routeId: { 
+    type: String,
+    required: true
+  },
+
+  stopId: { 
+    type: String,
+    required: true
+  },
+
+  // hour the trips are scheduled at the stop (0-23)
+  hour: { 
+    type: Number,
+    required: true
+  },
+
+  // departures observed and the sum of their delays (seconds)
+  count: { 
+    type: Number,
+    default: 0
+  },
+
+  delaySum: { 
+    type: Number,
+    default: 0
+  },
+
+  // departures per 30 second delay bucket - key n counts delays from n * 30 to n * 30 + 29 seconds
+  delays: { 
+    type: Map,
+    of: Number,
+    default: {}
+  }
+}, { 
+  timestamps: true
+});
+
+OtpDailySchema.index({ serviceDate: 1, routeId: 1, stopId: 1, hour: 1 }, { unique: true });
+OtpDailySchema.index({ routeId: 1, serviceDate: 1 });
+OtpDailySchema.index({ stopId: 1, serviceDate: 1 });
+
+// Export the model
+module.exports = mongoose.model('OtpDaily', OtpDailySchema);
@@ -0,0 +1,37 @@
+/**
+ * Rate Limit Model Schema
+ * 
+ * Request counters for the Mongo rate limit store
+ * Shared between server instances so limits hold across a multi-instance deploy
+ */
+
+const mongoose = require('mongoose');
+
+// create rate limit schema using mongoose
+const RateLimitSchema = new mongoose.Schema({
+
+  // limiter name + client key (e.g. "forgot-password:email:jane@example.com")
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // requests in the current window
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  // end of the current window
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// remove finished windows automatically (MongoDB TTL index)
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export the model
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
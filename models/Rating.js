@@ -0,0 +1,88 @@
+/**
+ * Rating Model Schema
+ * 
+ * A rider's rating of a route or stop (reliability, cleanliness, safety from 1 to 5) with an optional comment
+ * One rating per user and target, edited in place
+ * Scores are summed into RatingAggregate as they change (see utils/ratings.js)
+ */
+
+const mongoose = require('mongoose');
+
+// score from 1 to 5
+const score = (name) => ({
+  type: Number,
+  required: [true, `Please rate ${name} from 1 to 5`],
+  min: [1, `${name} must be from 1 to 5`],
+  max: [5, `${name} must be from 1 to 5`],
+  validate: {
+    validator: Number.isInteger,
+    message: `${name} must be a whole number`
+  }
+});
+
+// create rating schema using mongoose
+const RatingSchema = new mongoose.Schema({
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  targetType: {
+    type: String,
+    enum: ['route', 'stop'],
+    required: true
+  },
+
+  // GTFS route_id or stop_id
+  targetId: {
+    type: String,
+    required: true
+  },
+
+  reliability: score('Reliability'),
+  cleanliness: score('Cleanliness'),
+  safety: score('Safety'),
+
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+    default: null
+  },
+
+  // Last time the scores changed (the week the scores count in for the trend)
+  ratedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Moderation - hidden comments are only shown to their author and admins (scores still count)
+  commentHiddenAt: {
+    type: Date,
+    default: null
+  },
+
+  commentHiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  commentHiddenReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+    default: null
+  }
+}, {
+  timestamps: true,
+  optimisticConcurrency: true // an edit saved from a stale copy fails instead of miscounting the aggregate
+});
+
+RatingSchema.index({ user: 1, targetType: 1, targetId: 1 }, { unique: true });
+RatingSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Export the model
+module.exports = mongoose.model('Rating', RatingSchema);
@@ -0,0 +1,57 @@
+/**
+ * Rating Aggregate Model Schema
+ * 
+ * Running totals of the ratings of a route or stop, kept up to date as ratings change
+ * Read by the routes / stops API so listings don't go through every rating
+ */
+
+const mongoose = require('mongoose');
+
+// score totals ({ reliability, cleanliness, safety })
+const SumsSchema = new mongoose.Schema({
+  reliability: { type: Number, default: 0 },
+  cleanliness: { type: Number, default: 0 },
+  safety: { type: Number, default: 0 }
+}, { _id: false });
+
+// create rating aggregate schema using mongoose
+const RatingAggregateSchema = new mongoose.Schema({
+
+  targetType: {
+    type: String,
+    enum: ['route', 'stop'],
+    required: true
+  },
+
+  // GTFS route_id or stop_id
+  targetId: {
+    type: String,
+    required: true
+  },
+
+  // all ratings
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  sums: {
+    type: SumsSchema,
+    default: () => ({})
+  },
+
+  // totals per week (by ratedAt, newest first, the last 8 weeks) for the recent trend
+  weeks: [{
+    _id: false,
+    start: Date,
+    count: Number,
+    sums: SumsSchema
+  }]
+}, {
+  timestamps: true
+});
+
+RatingAggregateSchema.index({ targetType: 1, targetId: 1 }, { unique: true });
+
+// Export the model
+module.exports = mongoose.model('RatingAggregate', RatingAggregateSchema);
@@ -0,0 +1,125 @@
+/**
+ * Report Model Schema
+ * 
+ * Issues riders report against a route, stop, vehicle or trip (delays, crowding, cleanliness, safety)
+ * Admins triage reports, change their status and respond to the rider
+ */
+
+const mongoose = require('mongoose');
+
+// admin reply shown to the rider
+const ResponseSchema = new mongoose.Schema({
+  message: { 
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [2000, 'Response cannot exceed 2000 characters']
+  },
+  author: { 
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: { 
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// create report schema using mongoose
+const ReportSchema = new mongoose.Schema({
+
+  // Rider who filed the report
+  user: { 
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // What the report is about - GTFS route_id / stop_id / trip_id or the vehicle number
+  targetType: { 
+    type: String,
+    enum: { 
+      values: ['route', 'stop', 'vehicle', 'trip'],
+      message: 'Report must be about a route, stop, vehicle or trip'
+    },
+    required: true
+  },
+
+  targetId: { 
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Target id cannot exceed 50 characters']
+  },
+
+  category: { 
+    type: String,
+    enum: { 
+      values: ['delay', 'crowding', 'cleanliness', 'safety', 'other'],
+      message: 'Category must be delay, crowding, cleanliness, safety or other'
+    },
+    required: [true, 'Please provide a category']
+  },
+
+  severity: { 
+    type: String,
+    enum: { 
+      values: ['low', 'medium', 'high'],
+      message: 'Severity must be low, medium or high'
+    },
+    default: 'medium'
+  },
+
+  description: { 
+    type: String,
+    required: [true, 'Please describe the issue'],
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+
+  // Where it happened (optional, GeoJSON point - longitude first)
+  location: { 
+    type: { 
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: { 
+      type: [Number],
+      default: undefined
+    }
+  },
+
+  // When it happened (defaults to when the report was filed)
+  occurredAt: { 
+    type: Date,
+    default: Date.now
+  },
+
+  // Triage
+  status: { 
+    type: String,
+    enum: { 
+      values: ['open', 'in_progress', 'resolved', 'dismissed'],
+      message: 'Status must be open, in_progress, resolved or dismissed'
+    },
+    default: 'open'
+  },
+
+  responses: [ResponseSchema],
+
+  // Set when the report is resolved or dismissed
+  closedAt: { 
+    type: Date,
+    default: null
+  }
+}, { 
+  timestamps: true
+});
+
+ReportSchema.index({ user: 1, createdAt: -1 });
+ReportSchema.index({ status: 1, createdAt: -1 });
+ReportSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+ReportSchema.index({ location: '2dsphere' });
+
+// Export the model
+module.exports = mongoose.model('Report', ReportSchema);
@@ -0,0 +1,48 @@
+/**
+ * Route Model Schema
+ * 
+ * GTFS routes.txt - bus and CTrain routes
+ */
+
+const mongoose = require('mongoose');
+
+// create route schema using mongoose
+const RouteSchema = new mongoose.Schema({
+
+  // feed import the record belongs to
+  feedVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeedVersion',
+    required: true
+  },
+
+  routeId: {
+    type: String,
+    required: true
+  },
+
+  agencyId: {
+    type: String,
+    default: ''
+  },
+
+  shortName: String,  // e.g. "301", "202"
+  longName: String,   // e.g. "BRT North / City Centre"
+  desc: String,
+
+  // GTFS route_type (0 - light rail / CTrain, 3 - bus...)
+  type: {
+    type: Number,
+    required: true
+  },
+
+  url: String,
+  color: String,
+  textColor: String,
+  sortOrder: Number
+});
+
+RouteSchema.index({ feedVersion: 1, routeId: 1 }, { unique: true });
+
+// Export the model
+module.exports = mongoose.model('Route', RouteSchema);
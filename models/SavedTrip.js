@@ -0,0 +1,76 @@
+/**
+ * Saved Trip Model Schema
+ * 
+ * Trips a user planned and kept on their profile ("Home to work")
+ * The origin and destination are kept to plan the trip again, the itinerary is the option they picked
+ */
+
+const mongoose = require('mongoose');
+
+// point picked on the map or from search ({ lat, lng, label })
+const PlaceSchema = new mongoose.Schema({
+  lat: { 
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  lng: { 
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  label: { 
+    type: String,
+    trim: true,
+    maxlength: [100, 'Place label cannot exceed 100 characters']
+  }
+}, { _id: false });
+
+// create saved trip schema using mongoose
+const SavedTripSchema = new mongoose.Schema({
+
+  // Owner of the trip
+  user: { 
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  name: { 
+    type: String,
+    required: [true, 'Please provide a name for the trip'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+
+  from: { 
+    type: PlaceSchema,
+    required: true
+  },
+
+  to: { 
+    type: PlaceSchema,
+    required: true
+  },
+
+  // Itinerary from GET /api/plan the user picked (optional)
+  itinerary: { 
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Set when the account is deleted (trips come back if the account is restored)
+  hiddenAt: { 
+    type: Date,
+    default: null
+  }
+}, { 
+  timestamps: true
+});
+
+SavedTripSchema.index({ user: 1, createdAt: -1 });
+
+// Export the model
+module.exports = mongoose.model('SavedTrip', SavedTripSchema);
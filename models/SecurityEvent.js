@@ -0,0 +1,60 @@
+/**
+ * Security Event Model Schema
+ * 
+ * Record of sensitive account events (password changed, Google linked...) that the user was notified about
+ * Each event holds a single-use "this wasn't me" token that lets the owner lock the account down
+ */
+
+const mongoose = require('mongoose');
+
+// create security event schema using mongoose
+const SecurityEventSchema = new mongoose.Schema({
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  type: {
+    type: String,
+    enum: ['passwordChanged', 'passwordResetCompleted', 'googleLinked', 'accountDeactivated'],
+    required: true
+  },
+
+  // where the event came from
+  ipAddress: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  // hash of the "this wasn't me" token sent in the email
+  secureTokenHash: {
+    type: String,
+    select: false // do not return
+  },
+
+  secureTokenExpires: {
+    type: Date,
+    select: false // do not return
+  },
+
+  // when the owner reported the event with the "this wasn't me" link
+  reportedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true  // automatically manages createdAt and updatedAt
+});
+
+SecurityEventSchema.index({ secureTokenHash: 1 }, { sparse: true });
+
+// Export the model
+module.exports = mongoose.model('SecurityEvent', SecurityEventSchema);
@@ -0,0 +1,58 @@
+/**
+ * Service Alert Model Schema
+ * 
+ * Latest GTFS-Realtime ServiceAlerts snapshot (alerts published by Calgary Transit's feed)
+ * Replaced on every poll, alerts missing from the latest feed are removed
+ */
+
+const mongoose = require('mongoose');
+
+// translated text ({ text, language })
+const TranslationSchema = new mongoose.Schema({
+  text: String,
+  language: String
+}, { _id: false });
+
+// create service alert schema using mongoose
+const ServiceAlertSchema = new mongoose.Schema({
+
+  // feed entity id
+  alertId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  cause: String,      // e.g. CONSTRUCTION, ACCIDENT
+  effect: String,     // e.g. DETOUR, NO_SERVICE
+  severity: String,   // INFO, WARNING, SEVERE, UNKNOWN_SEVERITY
+
+  headerText: [TranslationSchema],
+  descriptionText: [TranslationSchema],
+  url: [TranslationSchema],
+
+  // when the alert applies (no period - always)
+  activePeriods: [{
+    _id: false,
+    start: Date,
+    end: Date
+  }],
+
+  // what the alert affects
+  routeIds: [String],
+  stopIds: [String],
+  tripIds: [String],
+
+  // poll that produced the record
+  fetchedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+ServiceAlertSchema.index({ routeIds: 1 });
+ServiceAlertSchema.index({ stopIds: 1 });
+ServiceAlertSchema.index({ fetchedAt: 1 }); // latest poll (instances reading the snapshot) and removal of older ones
+
+// Export the model
+module.exports = mongoose.model('ServiceAlert', ServiceAlertSchema);
@@ -0,0 +1,102 @@
+/**
+ * Session Model Schema
+ * 
+ * One session per signed-in device
+ * Holds the hash of the current refresh token so access tokens can be revoked server-side
+ */
+
+const mongoose = require('mongoose');
+
+// create session schema using mongoose
+const SessionSchema = new mongoose.Schema({
+
+  // Owner of the session
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Hash of the current refresh token (rotated on every refresh)
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false // do not return
+  },
+
+  // One-time code the frontend exchanges for the session's tokens after an OAuth redirect
+  exchangeCodeHash: {
+    type: String,
+    select: false // do not return
+  },
+
+  exchangeCodeExpires: {
+    type: Date,
+    select: false // do not return
+  },
+
+  // Device information (shown in the user's list of active sessions)
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  ipAddress: {
+    type: String,
+    default: null
+  },
+
+  // How the user signed in for this session
+  authMethod: {
+    type: String,
+    enum: ['local', 'google'],
+    required: true,
+    default: 'local'
+  },
+
+  // Last time the session was used to access the API
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Session expiry (refresh token lifetime)
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Revocation (logout, password change, reuse detection...)
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    default: null
+  },
+
+  // Last time the refresh token was rotated
+  lastRefreshedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true  // automatically manages createdAt and updatedAt
+});
+
+// look up a session by its exchange code (only sessions waiting for an exchange have one)
+SessionSchema.index({ exchangeCodeHash: 1 }, { sparse: true });
+
+// remove expired sessions automatically (MongoDB TTL index)
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the session can still be used
+SessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Export the model
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,46 @@
+/**
+ * Shape Model Schema
+ * 
+ * GTFS shapes.txt - path a vehicle travels, stored as one GeoJSON line per shape
+ */
+
+const mongoose = require('mongoose');
+
+// create shape schema using mongoose
+const ShapeSchema = new mongoose.Schema({
+
+  // feed import the record belongs to
+  feedVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeedVersion',
+    required: true
+  },
+
+  shapeId: {
+    type: String,
+    required: true
+  },
+
+  // GeoJSON line (points ordered by shape_pt_sequence, longitude first)
+  geometry: {
+    type: {
+      type: String,
+      enum: ['LineString'],
+      default: 'LineString'
+    },
+    coordinates: {
+      type: [[Number]]
+    }
+  },
+
+  // shape_dist_traveled for each point (when the feed provides it)
+  distances: {
+    type: [Number],
+    default: undefined
+  }
+});
+
+ShapeSchema.index({ feedVersion: 1, shapeId: 1 }, { unique: true });
+
+// Export the model
+module.exports = mongoose.model('Shape', ShapeSchema);
@@ -0,0 +1,69 @@
+/**
+ * Stop Model Schema
+ * 
+ * GTFS stops.txt - bus stops, CTrain stations and platforms
+ */
+
+const mongoose = require('mongoose');
+
+// create stop schema using mongoose
+const StopSchema = new mongoose.Schema({
+
+  // feed import the record belongs to
+  feedVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeedVersion',
+    required: true
+  },
+
+  stopId: {
+    type: String,
+    required: true
+  },
+
+  code: String,   // number shown at the stop (e.g. for Teletransit)
+  name: String,
+  desc: String,
+
+  // GeoJSON point (longitude first)
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number]
+    }
+  },
+
+  zoneId: String,
+  url: String,
+
+  // GTFS location_type (0 - stop/platform, 1 - station...)
+  locationType: {
+    type: Number,
+    default: 0
+  },
+
+  parentStation: String,
+  wheelchairBoarding: Number,
+
+  // routes serving the stop and their GTFS route_type (filled in at the end of the import)
+  routeIds: {
+    type: [String],
+    default: []
+  },
+
+  routeTypes: {
+    type: [Number],
+    default: []
+  }
+});
+
+StopSchema.index({ feedVersion: 1, stopId: 1 }, { unique: true });
+StopSchema.index({ location: '2dsphere', feedVersion: 1 });   // nearby search
+StopSchema.index({ feedVersion: 1, routeIds: 1 });
+
+// Export the model
+module.exports = mongoose.model('Stop', StopSchema);
@@ -0,0 +1,55 @@
+/**
+ * Stop Time Model Schema
+ * 
+ * GTFS stop_times.txt - when a trip arrives at and leaves each of its stops
+ * Times can go past 24:00:00 for trips that run after midnight, so seconds are stored
+ * counted from the start of the service day (e.g. 25:10:00 = 90600)
+ */
+
+const mongoose = require('mongoose');
+
+// create stop time schema using mongoose
+const StopTimeSchema = new mongoose.Schema({
+
+  // feed import the record belongs to
+  feedVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeedVersion',
+    required: true
+  },
+
+  tripId: {
+    type: String,
+    required: true
+  },
+
+  stopId: {
+    type: String,
+    required: true
+  },
+
+  stopSequence: {
+    type: Number,
+    required: true
+  },
+
+  // times as written in the feed (HH:MM:SS)
+  arrivalTime: String,
+  departureTime: String,
+
+  // seconds since the start of the service day
+  arrivalSeconds: Number,
+  departureSeconds: Number,
+
+  stopHeadsign: String,
+  pickupType: Number,
+  dropOffType: Number,
+  shapeDistTraveled: Number,
+  timepoint: Number
+});
+
+StopTimeSchema.index({ feedVersion: 1, tripId: 1, stopSequence: 1 }, { unique: true });
+StopTimeSchema.index({ feedVersion: 1, stopId: 1, departureSeconds: 1 });
+
+// Export the model
+module.exports = mongoose.model('StopTime', StopTimeSchema);
@@ -0,0 +1,48 @@
+/**
+ * Trip Model Schema
+ * 
+ * GTFS trips.txt - one scheduled run of a route
+ */
+
+const mongoose = require('mongoose');
+
+// create trip schema using mongoose
+const TripSchema = new mongoose.Schema({
+
+  // feed import the record belongs to
+  feedVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeedVersion',
+    required: true
+  },
+
+  tripId: {
+    type: String,
+    required: true
+  },
+
+  routeId: {
+    type: String,
+    required: true
+  },
+
+  // calendar / calendar_dates service the trip runs on
+  serviceId: {
+    type: String,
+    required: true
+  },
+
+  headsign: String,
+  shortName: String,
+  directionId: Number,
+  blockId: String,
+  shapeId: String,
+  wheelchairAccessible: Number,
+  bikesAllowed: Number
+});
+
+TripSchema.index({ feedVersion: 1, tripId: 1 }, { unique: true });
+TripSchema.index({ feedVersion: 1, routeId: 1 });
+
+// Export the model
+module.exports = mongoose.model('Trip', TripSchema);
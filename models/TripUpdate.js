@@ -0,0 +1,71 @@
+/**
+ * Trip Update Model Schema
+ * 
+ * Latest GTFS-Realtime TripUpdates snapshot - predicted arrival/departure times for running trips
+ * Replaced on every poll, trips missing from the latest feed are removed
+ */
+
+const mongoose = require('mongoose');
+
+// prediction for one stop of the trip
+const StopTimeUpdateSchema = new mongoose.Schema({
+  stopSequence: Number,
+  stopId: String,
+  arrivalTime: Date,
+  arrivalDelay: Number,     // seconds, positive when late
+  departureTime: Date,
+  departureDelay: Number,
+  scheduleRelationship: {
+    type: String,
+    default: 'SCHEDULED'    // SCHEDULED, SKIPPED, NO_DATA
+  }
+}, { _id: false });
+
+// create trip update schema using mongoose
+const TripUpdateSchema = new mongoose.Schema({
+
+  tripId: {
+    type: String,
+    required: true
+  },
+
+  // service date of the trip (YYYYMMDD), empty when the feed doesn't send it
+  startDate: {
+    type: String,
+    default: ''
+  },
+
+  routeId: String,
+  directionId: Number,
+  vehicleId: String,
+
+  scheduleRelationship: {
+    type: String,
+    default: 'SCHEDULED'    // SCHEDULED, ADDED, CANCELED...
+  },
+
+  // trip level delay (seconds) when the feed sends one
+  delay: Number,
+
+  // true when the trip was found in the active GTFS feed
+  matched: {
+    type: Boolean,
+    default: false
+  },
+
+  stopTimeUpdates: [StopTimeUpdateSchema],
+
+  timestamp: Date,
+
+  // poll that produced the record
+  fetchedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+TripUpdateSchema.index({ tripId: 1, startDate: 1 }, { unique: true });
+TripUpdateSchema.index({ fetchedAt: 1 }); // latest poll (instances reading the snapshot) and removal of older ones
+
+// Export the model
+module.exports = mongoose.model('TripUpdate', TripUpdateSchema);
@@ -0,0 +1,61 @@
+/**
+ * Trip Update Observation Model Schema
+ * 
+ * Archive of realtime predictions for stops a vehicle is reaching or has just left, one record per trip stop
+ * and service day, updated on every poll so it ends up with the last prediction before the vehicle left the stop
+ * Rolled up into OtpDaily once the service day is over (see utils/otp.js), removed after 60 days
+ */
+
+const mongoose = require('mongoose');
+
+// create trip update observation schema using mongoose
+const TripUpdateObservationSchema = new mongoose.Schema({
+
+  // service date of the trip (YYYYMMDD)
+  serviceDate: { 
+    type: String,
+    required: true
+  },
+
+  tripId: { 
+    type: String,
+    required: true
+  },
+
+  stopSequence: { 
+    type: Number,
+    required: true
+  },
+
+  stopId: String,
+  routeId: String,
+  directionId: Number,
+  vehicleId: String,
+
+  scheduledTime: Date,
+  predictedTime: Date,
+
+  // seconds, positive when late
+  delay: { 
+    type: Number,
+    required: true
+  },
+
+  // when the trip is scheduled at the stop (hour 0-23 of the service day, 0 = Sunday)
+  hour: Number,
+  dayOfWeek: Number,
+
+  // poll that produced the latest prediction
+  observedAt: { 
+    type: Date,
+    required: true
+  }
+});
+
+TripUpdateObservationSchema.index({ serviceDate: 1, tripId: 1, stopSequence: 1 }, { unique: true });
+
+// remove old observations automatically (MongoDB TTL index)
+TripUpdateObservationSchema.index({ observedAt: 1 }, { expireAfterSeconds: 60 * 24 * 60 * 60 });
+
+// Export the model
+module.exports = mongoose.model('TripUpdateObservation', TripUpdateObservationSchema);
@@ -6,6 +6,34 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { verifyCode, normalizeBackupCode } = require('../utils/totp');
+const { hashToken } = require('../config/jwt');
+
+// Linked sign-in identity (local password, Google, future providers)
+const IdentitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['local', 'google'],
+    required: true
+  },
+
+  // account id at the provider (not used for local)
+  providerId: {
+    type: String
+  },
+
+  // email the provider returned when the identity was linked
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 // create user schema using mongoose
 const UserSchema = new mongoose.Schema({
@@ -35,8 +63,8 @@ const UserSchema = new mongoose.Schema({
   password: {
     type: String,
     required: function() { 
-      // password is only required for local auth users
-      return this.authMethod === 'local';
+      // password is only required when the user has a local identity
+      return this.hasIdentity('local');
     },
     minlength: [7, 'At least 7 characters'],
     match: [
@@ -56,19 +84,44 @@ const UserSchema = new mongoose.Schema({
     select: false // do not return
   },
 
-  // Google OAuth ID
-  googleId: { 
+  // set when the owner reports activity they didn't do - login is blocked until the password is reset
+  passwordResetRequired: { 
+    type: Boolean,
+    default: false
+  },
+
+  // Password setup for accounts without a password (e.g. Google only) - confirmed by email code
+  passwordSetupCode: { 
     type: String,
-    sparse: true, // allow multiple null values but unique non-null values
-    unique: true
+    select: false // do not return
   },
 
-  // Track Authentication Method 
-  authMethod: { 
+  passwordSetupExpires: { 
+    type: Date,
+    select: false // do not return
+  },
+
+  passwordSetupAttempts: { 
+    type: Number,
+    default: 0,
+    select: false // do not return
+  },
+
+  // Linked Identities (a user can sign in with any of them)
+  identities: {
+    type: [IdentitySchema],
+    validate: [
+      (identities) => identities.length > 0,
+      'At least one sign-in method is required'
+    ]
+  },
+
+  // Google account id of the linked google identity, kept in step with identities on validate
+  // (the unique index stops one google account from being linked to two users)
+  googleId: { 
     type: String,
-    enum: ['local', 'google'],
-    required: true,
-    default: 'local'
+    sparse: true, // allow multiple null values but unique non-null values
+    unique: true
   },
 
   // OAuth Profile picture (if available, can be utilized)
@@ -82,7 +135,7 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: function() { 
       // if user does login via OAuth, consider it as pre-verified
-      return this.authMethod === 'google';
+      return this.hasIdentity('google');
     }
   },
 
@@ -96,12 +149,75 @@ const UserSchema = new mongoose.Schema({
     select: false // dont return
   },
 
+  // wrong codes entered for the current verification code (code is cleared after too many)
+  emailVerificationAttempts: {
+    type: Number,
+    default: 0,
+    select: false // dont return
+  },
+
+  // Two-Factor Authentication (TOTP, local accounts only)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+
+  twoFactorSecret: {
+    type: String,
+    select: false // do not return
+  },
+
+  // secret waiting for the user to confirm it with a first code
+  twoFactorPendingSecret: {
+    type: String,
+    select: false // do not return
+  },
+
+  // time step of the last accepted code (a code can't be used twice)
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false // do not return
+  },
+
+  // hashed single-use backup codes
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false // do not return
+  },
+
+  // Login Lockout (brute-force protection)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+
+  // number of lockouts in a row - each lockout lasts longer than the previous one
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
   // Profile Information (OAuth users will be asked for postal code later)
   postalCode: {
     type: String, 
     trim: true
   },
 
+  // Language used for emails (English or French)
+  preferredLanguage: {
+    type: String,
+    enum: {
+      values: ['en', 'fr'],
+      message: 'Preferred language must be en or fr'
+    },
+    default: 'en'
+  },
+
   // Role Management 
   role: { 
     type: String,
@@ -125,7 +241,23 @@ const UserSchema = new mongoose.Schema({
     default: Date.now
   }
 }, {
-  timestamps: true  // automatically manages createdAt and updatedAt
+  timestamps: true,  // automatically manages createdAt and updatedAt
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// admin user list (newest first by default)
+UserSchema.index({ isActive: 1, createdAt: -1 });
+
+// List of linked sign-in methods (e.g. ['local', 'google'])
+UserSchema.virtual('authMethods').get(function() {
+  return (this.identities || []).map(identity => identity.provider);
+});
+
+// Mirror the google identity into googleId (removed when google is unlinked)
+UserSchema.pre('validate', function() {
+  const google = (this.identities || []).find(identity => identity.provider === 'google');
+  this.googleId = google ? google.providerId : undefined;
 });
 
 // Hash the password for 'local' users before saving to the DB
@@ -154,5 +286,46 @@ UserSchema.methods.comparePassword = async function(userPassword) {
   return await bcrypt.compare(userPassword, this.password);
 };
 
+// Method to check if a sign-in method is linked
+UserSchema.methods.hasIdentity = function(provider) {
+  return (this.identities || []).some(identity => identity.provider === provider);
+};
+
+// Method to get a linked identity by provider
+UserSchema.methods.getIdentity = function(provider) {
+  return (this.identities || []).find(identity => identity.provider === provider);
+};
+
+// Method to check a 2FA code (authenticator code or single-use backup code)
+// requires twoFactorSecret, twoFactorLastUsedStep and twoFactorBackupCodes to be selected
+// marks the code as used - the caller must save the user
+UserSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret) {
+    return false;
+  }
+
+  // authenticator app code
+  const step = verifyCode(this.twoFactorSecret, code, this.twoFactorLastUsedStep ?? -1);
+  if (step !== null) {
+    this.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  // backup code - removed once used
+  const hashedCode = hashToken(normalizeBackupCode(code));
+  const index = (this.twoFactorBackupCodes || []).indexOf(hashedCode);
+  if (index !== -1) {
+    this.twoFactorBackupCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Method to check if the account is currently locked after too many failed logins
+UserSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > Date.now();
+};
+
 // Export the model
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,67 @@
+/**
+ * Vehicle Position Model Schema
+ * 
+ * Latest GTFS-Realtime VehiclePositions snapshot - one document per vehicle
+ * Replaced on every poll, vehicles missing from the latest feed are removed
+ */
+
+const mongoose = require('mongoose');
+
+// create vehicle position schema using mongoose
+const VehiclePositionSchema = new mongoose.Schema({
+
+  vehicleId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  label: String,  // number shown on the bus / train
+
+  // trip being served (empty when the vehicle is not in service)
+  tripId: String,
+  routeId: String,
+  directionId: Number,
+  startDate: String,
+
+  // true when the trip was found in the active GTFS feed
+  matched: {
+    type: Boolean,
+    default: false
+  },
+
+  // GeoJSON point (longitude first)
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number]
+    }
+  },
+
+  bearing: Number,
+  speed: Number,  // meters per second
+
+  currentStopSequence: Number,
+  stopId: String,
+  currentStatus: String,   // INCOMING_AT, STOPPED_AT, IN_TRANSIT_TO
+  occupancyStatus: String,
+
+  // when the vehicle reported the position
+  timestamp: Date,
+
+  // poll that produced the record
+  fetchedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+VehiclePositionSchema.index({ routeId: 1 });
+VehiclePositionSchema.index({ fetchedAt: 1 }); // latest poll (instances reading the snapshot) and removal of older ones
+
+// Export the model
+module.exports = mongoose.model('VehiclePosition', VehiclePositionSchema);
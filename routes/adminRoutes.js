@@ -0,0 +1,146 @@
+/**
+ * Admin Routes
+ * 
+ * Defines admin-only endpoints (operations and maintenance)
+ * Every route requires authentication and the admin role
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getEmailJobs,
+    getEmailJobById,
+    retryEmailJob
+} = require('../controllers/emailController');
+const {
+    importGtfs,
+    getFeedVersions,
+    getFeedVersionById
+} = require('../controllers/gtfsController');
+const {
+    getAdminAlerts,
+    getAlertById,
+    createAlert,
+    updateAlert,
+    deleteAlert
+} = require('../controllers/alertController');
+const { getAuditLog } = require('../controllers/auditLogController');
+const { protect, admin } = require('../middleware/auth');
+
+// EMAIL QUEUE ROUTES
+
+/**
+ * @route   GET /api/admin/emails
+ * @desc    Get queued emails (e.g. ?status=failed,dead to inspect failed sends)
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.get('/emails', protect, admin, getEmailJobs);
+
+/**
+ * @route   GET /api/admin/emails/:id
+ * @desc    Get a queued email and its last error (not its content)
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.get('/emails/:id', protect, admin, getEmailJobById);
+
+/**
+ * @route   POST /api/admin/emails/:id/retry
+ * @desc    Put a failed email back in the queue right away
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.post('/emails/:id/retry', protect, admin, retryEmailJob);
+
+// GTFS IMPORT ROUTES
+
+/**
+ * @route   POST /api/admin/gtfs/import
+ * @desc    Import a GTFS zip from the server's GTFS data folder (runs in the background)
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.post('/gtfs/import', protect, admin, importGtfs);
+
+/**
+ * @route   GET /api/admin/gtfs/imports
+ * @desc    Get GTFS imports and their status
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.get('/gtfs/imports', protect, admin, getFeedVersions);
+
+/**
+ * @route   GET /api/admin/gtfs/imports/:id
+ * @desc    Get a GTFS import with its record counts and errors
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.get('/gtfs/imports/:id', protect, admin, getFeedVersionById);
+
+// SERVICE ALERT ROUTES
+
+/**
+ * @route   GET /api/admin/alerts
+ * @desc    Get the alerts posted by staff (?active=true - only alerts that apply now)
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.get('/alerts', protect, admin, getAdminAlerts);
+
+/**
+ * @route   POST /api/admin/alerts
+ * @desc    Post a service alert or announcement (emails the subscribers of the affected routes and stops)
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.post('/alerts', protect, admin, createAlert);
+
+/**
+ * @route   GET /api/admin/alerts/:id
+ * @desc    Get an alert posted by staff
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.get('/alerts/:id', protect, admin, getAlertById);
+
+/**
+ * @route   PUT /api/admin/alerts/:id
+ * @desc    Edit an alert
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.put('/alerts/:id', protect, admin, updateAlert);
+
+/**
+ * @route   DELETE /api/admin/alerts/:id
+ * @desc    Remove an alert
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.delete('/alerts/:id', protect, admin, deleteAlert);
+
+// AUDIT LOG ROUTES
+
+/**
+ * @route   GET /api/admin/audit-log
+ * @desc    Get admin actions on user accounts (role, status, verification, password reset, sessions, unlock)
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.get('/audit-log', protect, admin, getAuditLog);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+/**
+ * Alert Routes
+ * 
+ * Defines the public endpoint for service alerts
+ * Alerts are posted by ops staff (see adminRoutes) or come from the GTFS-Realtime feed
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getAlerts } = require('../controllers/alertController');
+
+/**
+ * @route   GET /api/alerts
+ * @desc    Get service alerts (?route=, ?stop=, ?active=true, ?lang=, ?limit=)
+ * @access  Public
+ */
+router.get('/', getAlerts);
+
+module.exports = router;
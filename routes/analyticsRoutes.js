@@ -0,0 +1,23 @@
+/**
+ * Analytics Routes
+ * 
+ * Defines the endpoints for transit analytics computed from archived realtime data
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getOtp } = require('../controllers/analyticsController');
+const { rateLimit } = require('../middleware/rateLimit');
+const rateLimitPolicies = require('../config/rateLimit');
+
+const analyticsLimiter = rateLimit(rateLimitPolicies.analytics);
+
+/**
+ * @route   GET /api/analytics/otp
+ * @desc    Get on-time performance by route, stop, hour of the day or day of the week
+ *          Use analyticsLimiter to limit queries per IP
+ * @access  Public
+ */
+router.get('/otp', analyticsLimiter, getOtp);
+
+module.exports = router;
@@ -12,16 +12,32 @@ const passport = require('passport')
 const {
   registerUser,
   loginUser,
+  loginTwoFactor,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
   getCurrentUser,
   googleAuth,
   googleAuthCallback,
+  exchangeGoogleCode,
   completeOAuthProfile,
   verifyEmail,
   resendVerificationCode,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  secureAccount
 } = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const rateLimitPolicies = require('../config/rateLimit');
+
+// rate limiters for routes that send emails
+const registerLimiter = rateLimit(rateLimitPolicies.register);
+const forgotPasswordLimiters = [
+  rateLimit(rateLimitPolicies.forgotPasswordIp),
+  rateLimit(rateLimitPolicies.forgotPasswordEmail)
+];
+const resendVerificationLimiter = rateLimit(rateLimitPolicies.resendVerification);
 
 // LOCAL ROUTES
 
@@ -29,9 +45,10 @@ const { protect } = require('../middleware/auth');
  * @route   POST /api/auth/register
  * @desc    Register a new user (local authentication)
  *          Controller function registerUser will be handle the route
+ *          Rate limited per IP (sends a verification email)
  * @access  Public
  */
-router.post('/register', registerUser); 
+router.post('/register', registerLimiter, registerUser); 
 
 /**
  * @route   POST /api/auth/login
@@ -41,6 +58,40 @@ router.post('/register', registerUser);
  */
 router.post('/login', loginUser);
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step for accounts with two-factor authentication
+ *          Controller function loginTwoFactor exchanges the mfa token + code for a session
+ * @access  Public (requires mfa token from login)
+ */
+router.post('/login/2fa', loginTwoFactor);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token
+ *          Controller function refreshAccessToken rotates the refresh token (old one can't be reused)
+ * @access  Public (requires valid refresh token)
+ */
+router.post('/refresh', refreshAccessToken);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout the current session
+ *          Middleware protect will be used to validate user
+ *          Controller function logoutUser revokes the session the token belongs to
+ * @access  Private
+ */
+router.post('/logout', protect, logoutUser);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout from every device
+ *          Middleware protect will be used to validate user
+ *          Controller function logoutAllSessions revokes every session of the user
+ * @access  Private
+ */
+router.post('/logout-all', protect, logoutAllSessions);
+
 /**
  * @route   POST /api/auth/me
  * @desc    Get current logged in user information
@@ -55,12 +106,11 @@ router.get('/me', protect, getCurrentUser);
 /**
  * @route   GET /api/auth/google
  * @desc    Initiate Google OAuth flow
- *          Uses passport.authentication middleware to trigger OAuth flow
+ *          Controller function googleAuth uses passport.authenticate to trigger OAuth flow
+ *          ?link=true links google to the account that started linking in this browser instead of signing in
  * @access  Public
  */
-router.get('/google', passport.authenticate('google',{ 
-    scope: ['profile', 'email'] // gets the profile and email
-}));
+router.get('/google', googleAuth);
 
 /**
  * @route   GET /api/auth/google/callback
@@ -73,6 +123,13 @@ router.get('/google/callback', passport.authenticate('google', {
     session: false
 }), googleAuthCallback)
 
+/**
+ * @route   POST /api/auth/google/exchange
+ * @desc    Exchange the one-time code from the Google callback redirect for the access and refresh tokens
+ * @access  Public
+ */
+router.post('/google/exchange', exchangeGoogleCode);
+
 /**
  * @route   PUT /api/auth/complete-profile
  * @desc    Complete OAuth profile (add postal code)
@@ -98,18 +155,20 @@ router.post('/verify-email', protect, verifyEmail);
  * @desc    Resend verification code
  *          Protect middleware will used to validate user authentication
  *          resendVerificationCode from controller will handle resending code to user
+ *          Rate limited per user
  * @access  Private
  */
-router.post('/resend-verification', protect, resendVerificationCode);
+router.post('/resend-verification', protect, resendVerificationLimiter, resendVerificationCode);
 
 // Password reset routes
 /**
  * @route   POST /api/auth/forgot-password
  * @desc    Request password reset
  *          forgotPassword from controller will send the email link to the user
+ *          Rate limited per IP and per email
  * @access  Public
  */
-router.post('/forgot-password', forgotPassword);
+router.post('/forgot-password', forgotPasswordLimiters, forgotPassword);
 
 /**
  * @route   PUT /api/auth/reset-password/:token
@@ -119,6 +178,14 @@ router.post('/forgot-password', forgotPassword);
  */
 router.put('/reset-password/:token', resetPassword);
 
+/**
+ * @route   POST /api/auth/secure-account/:token
+ * @desc    "This wasn't me" link from a security notification email
+ *          secureAccount from controller signs out every device and starts a password reset
+ * @access  Public
+ */
+router.post('/secure-account/:token', secureAccount);
+
 
 module.exports = router;
 
@@ -0,0 +1,22 @@
+/**
+ * Live Routes
+ * 
+ * Defines the live data streams (Server-Sent Events)
+ * Streams are authenticated with the same access token as the rest of the API
+ */
+
+const express = require('express');
+const router = express.Router();
+const { streamVehicles } = require('../controllers/liveController');
+const { protect, tokenFromQuery } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/live/vehicles
+ * @desc    Stream live vehicle positions and predictions for ?route=, ?stop= or ?bbox=
+ *          Use tokenFromQuery middleware to accept ?access_token= (EventSource can't send headers)
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.get('/vehicles', tokenFromQuery, protect, streamVehicles);
+
+module.exports = router;
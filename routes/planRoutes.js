@@ -0,0 +1,26 @@
+/**
+ * Plan Routes
+ * 
+ * Defines the public trip planning endpoint
+ * Plans read from the active GTFS feed
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getPlan } = require('../controllers/planController');
+const { requireActiveFeed } = require('../middleware/transit');
+const { rateLimit } = require('../middleware/rateLimit');
+const rateLimitPolicies = require('../config/rateLimit');
+
+const tripPlanLimiter = rateLimit(rateLimitPolicies.tripPlan);
+
+/**
+ * @route   GET /api/plan
+ * @desc    Plan trips between ?from=lat,lng and ?to=lat,lng leaving at ?departAt= (default now)
+ *          Use tripPlanLimiter to limit plans per IP (planning is CPU heavy)
+ *          Use requireActiveFeed middleware to load the active GTFS feed
+ * @access  Public
+ */
+router.get('/', tripPlanLimiter, requireActiveFeed, getPlan);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+/**
+ * Rating Routes
+ * 
+ * Defines the endpoints for rider ratings of routes and stops (:type is route or stop)
+ * Reading ratings is public, rating requires a verified email, moderation is for admins
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    rateTarget,
+    getTargetRatings,
+    getMyRatings,
+    deleteRating,
+    getRatingsForModeration,
+    moderateRating
+} = require('../controllers/ratingController');
+const { protect, admin, verified } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/ratings/mine
+ * @desc    Get the user's ratings
+ *          Use protect middleware to verify jwt and user authentication
+ *          Must be declared before /:type/:id
+ * @access  Private
+ */
+router.get('/mine', protect, getMyRatings);
+
+/**
+ * @route   GET /api/ratings/moderation
+ * @desc    Get rating comments to moderate (filter by hidden, target, user or text)
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ *          Must be declared before /:type/:id
+ * @access  Private/Admin
+ */
+router.get('/moderation', protect, admin, getRatingsForModeration);
+
+/**
+ * @route   PUT /api/ratings/moderation/:ratingId
+ * @desc    Hide or show the comment of a rating
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.put('/moderation/:ratingId', protect, admin, moderateRating);
+
+/**
+ * @route   GET /api/ratings/:type/:id
+ * @desc    Get the rating summary and visible comments of a route or stop
+ * @access  Public
+ */
+router.get('/:type/:id', getTargetRatings);
+
+/**
+ * @route   PUT /api/ratings/:type/:id
+ * @desc    Rate a route or stop, or edit the user's rating of it
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use verified middleware to require a verified email
+ * @access  Private
+ */
+router.put('/:type/:id', protect, verified, rateTarget);
+
+/**
+ * @route   DELETE /api/ratings/:type/:id
+ * @desc    Delete the user's rating of a route or stop
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.delete('/:type/:id', protect, deleteRating);
+
+module.exports = router;
@@ -0,0 +1,87 @@
+/**
+ * Report Routes
+ * 
+ * Defines the endpoints for rider reports of transit issues
+ * Every route requires authentication, filing a report requires a verified email
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    createReport,
+    getMyReports,
+    getAllReports,
+    getReportById,
+    updateReport,
+    triageReport,
+    deleteReport
+} = require('../controllers/reportController');
+const { protect, admin, verified } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const rateLimitPolicies = require('../config/rateLimit');
+
+const reportLimiter = rateLimit(rateLimitPolicies.report);
+
+/**
+ * @route   POST /api/reports
+ * @desc    File a report against a route, stop, vehicle or trip
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use verified middleware to require a verified email
+ *          Use reportLimiter to limit reports per user
+ * @access  Private
+ */
+router.post('/', protect, verified, reportLimiter, createReport);
+
+/**
+ * @route   GET /api/reports
+ * @desc    Get the user's own reports
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.get('/', protect, getMyReports);
+
+/**
+ * @route   GET /api/reports/triage
+ * @desc    Get all reports to triage (filter by status, category, severity, target or user)
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ *          Must be declared before /:id
+ * @access  Private/Admin
+ */
+router.get('/triage', protect, admin, getAllReports);
+
+/**
+ * @route   GET /api/reports/:id
+ * @desc    Get a report (own report, any report for admins)
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.get('/:id', protect, getReportById);
+
+/**
+ * @route   PUT /api/reports/:id
+ * @desc    Edit an own report that hasn't been reviewed yet
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use verified middleware to require a verified email
+ * @access  Private
+ */
+router.put('/:id', protect, verified, updateReport);
+
+/**
+ * @route   PUT /api/reports/:id/triage
+ * @desc    Change a report's status, severity or category and respond to the rider
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.put('/:id/triage', protect, admin, triageReport);
+
+/**
+ * @route   DELETE /api/reports/:id
+ * @desc    Delete a report (own report, any report for admins)
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.delete('/:id', protect, deleteReport);
+
+module.exports = router;
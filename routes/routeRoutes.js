@@ -0,0 +1,32 @@
+/**
+ * Transit Route Routes
+ * 
+ * Defines the public endpoints for bus and CTrain routes (GTFS routes)
+ * Every route reads from the active GTFS feed
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getRoutes,
+    getRouteById
+} = require('../controllers/routeController');
+const { requireActiveFeed } = require('../middleware/transit');
+
+/**
+ * @route   GET /api/routes
+ * @desc    Get routes with their shape polylines (paginated, ?type=bus or ctrain)
+ *          Use requireActiveFeed middleware to load the active GTFS feed
+ * @access  Public
+ */
+router.get('/', requireActiveFeed, getRoutes);
+
+/**
+ * @route   GET /api/routes/:id
+ * @desc    Get a route by GTFS route id with its shape polylines
+ *          Use requireActiveFeed middleware to load the active GTFS feed
+ * @access  Public
+ */
+router.get('/:id', requireActiveFeed, getRouteById);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+/**
+ * Stop Routes
+ * 
+ * Defines the public endpoints for bus stops and CTrain stations (GTFS stops)
+ * Every route reads from the active GTFS feed
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    getStops,
+    getNearbyStops,
+    getStopById,
+    getStopDepartures
+} = require('../controllers/stopController');
+const { requireActiveFeed } = require('../middleware/transit');
+
+/**
+ * @route   GET /api/stops
+ * @desc    Get stops (paginated, ?type=bus or ctrain, ?route=, ?q= name or stop code)
+ *          Use requireActiveFeed middleware to load the active GTFS feed
+ * @access  Public
+ */
+router.get('/', requireActiveFeed, getStops);
+
+/**
+ * @route   GET /api/stops/nearby
+ * @desc    Get stops within ?radius= meters (default 500) of ?lat=&lng=, closest first
+ *          Must be declared before /:id
+ * @access  Public
+ */
+router.get('/nearby', requireActiveFeed, getNearbyStops);
+
+/**
+ * @route   GET /api/stops/:id
+ * @desc    Get a stop by GTFS stop id with the routes serving it
+ *          Use requireActiveFeed middleware to load the active GTFS feed
+ * @access  Public
+ */
+router.get('/:id', requireActiveFeed, getStopById);
+
+/**
+ * @route   GET /api/stops/:id/departures
+ * @desc    Get the next departures at a stop with realtime predictions (?from= ISO date/time, ?limit= max 50)
+ *          Use requireActiveFeed middleware to load the active GTFS feed
+ * @access  Public
+ */
+router.get('/:id/departures', requireActiveFeed, getStopDepartures);
+
+module.exports = router;
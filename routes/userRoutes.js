@@ -10,15 +10,58 @@ const router = express.Router();
 const {
     updateProfile,
     changePassword,
+    requestPasswordSetup,
+    confirmPasswordSetup,
     deleteAccount,
+    getSessions,
+    deleteSession,
+    setupTwoFactor,
+    confirmTwoFactor,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    linkGoogleIdentity,
+    unlinkIdentity,
     getAllUsers,
-    getUserById
+    exportUsers,
+    getUserById,
+    unlockUser,
+    updateUserRole,
+    updateUserStatus,
+    requireEmailVerification,
+    sendUserPasswordReset,
+    revokeUserSessions
 } = require('../controllers/userController');
+const {
+    getFavorites,
+    addFavorite,
+    updateFavorite,
+    reorderFavorites,
+    deleteFavorite
+} = require('../controllers/favoriteController');
+const {
+    getAlertSubscriptions,
+    createAlertSubscription,
+    updateAlertSubscription,
+    deleteAlertSubscription
+} = require('../controllers/alertSubscriptionController');
+const {
+    getSavedTrips,
+    saveTrip,
+    updateSavedTrip,
+    deleteSavedTrip
+} = require('../controllers/savedTripController');
+const { getHomeNearbyStops } = require('../controllers/stopController');
 const { protect, admin } = require('../middleware/auth');
+const { requireActiveFeed } = require('../middleware/transit');
+const { rateLimit } = require('../middleware/rateLimit');
+const rateLimitPolicies = require('../config/rateLimit');
+
+// rate limiter for the password setup email
+const passwordSetupLimiter = rateLimit(rateLimitPolicies.passwordSetup);
 
 /**
  * @route   PUT /api/users/profile
- * @desc    Update user profile (firstName, lastName, postalCode)
+ * @desc    Update user profile (firstName, lastName, postalCode, preferredLanguage)
  *          Use protect middleware to verify jwt and user authentication
  * @access  Private
  */
@@ -33,6 +76,23 @@ router.put('/profile', protect, updateProfile);
  */
 router.put('/password', protect, changePassword);
 
+/**
+ * @route   POST /api/users/password/setup/request
+ * @desc    Email a code to add a password to an account without one (e.g. Google only)
+ *          Use protect middleware to verify jwt and user authentication
+ *          Rate limited per user
+ * @access  Private
+ */
+router.post('/password/setup/request', protect, passwordSetupLimiter, requestPasswordSetup);
+
+/**
+ * @route   POST /api/users/password/setup/confirm
+ * @desc    Add a password using the emailed code
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.post('/password/setup/confirm', protect, confirmPasswordSetup);
+
 /**
  * @route   DELETE /api/users/account
  * @desc    Deactivate user account (soft delete)
@@ -41,15 +101,210 @@ router.put('/password', protect, changePassword);
  */
 router.delete('/account', protect, deleteAccount);
 
+/**
+ * @route   GET /api/users/sessions
+ * @desc    Get the devices the user is signed in on
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.get('/sessions', protect, getSessions);
+
+/**
+ * @route   DELETE /api/users/sessions/:id
+ * @desc    Sign out one device (revoke session)
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.delete('/sessions/:id', protect, deleteSession);
+
+/**
+ * @route   POST /api/users/2fa/setup
+ * @desc    Start two-factor enrollment (returns secret and otpauth URI for the QR code)
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.post('/2fa/setup', protect, setupTwoFactor);
+
+/**
+ * @route   POST /api/users/2fa/confirm
+ * @desc    Confirm two-factor enrollment with a first code (returns backup codes)
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.post('/2fa/confirm', protect, confirmTwoFactor);
+
+/**
+ * @route   POST /api/users/2fa/backup-codes
+ * @desc    Replace two-factor backup codes
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.post('/2fa/backup-codes', protect, regenerateBackupCodes);
+
+/**
+ * @route   DELETE /api/users/2fa
+ * @desc    Disable two-factor authentication (requires password and code)
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.delete('/2fa', protect, disableTwoFactor);
+
+/**
+ * @route   POST /api/users/identities/google/link
+ * @desc    Start linking a Google account (requires password, returns the URL that starts the Google flow)
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.post('/identities/google/link', protect, linkGoogleIdentity);
+
+/**
+ * @route   DELETE /api/users/identities/:provider
+ * @desc    Remove a sign-in method (local or google), requires password
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.delete('/identities/:provider', protect, unlinkIdentity);
+
+// HOME AREA ROUTES
+
+/**
+ * @route   GET /api/users/me/nearby-stops
+ * @desc    Get the stops closest to the user's home area (from their postal code)
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use requireActiveFeed middleware to load the active GTFS feed
+ * @access  Private
+ */
+router.get('/me/nearby-stops', protect, requireActiveFeed, getHomeNearbyStops);
+
+// FAVORITES ROUTES
+
+/**
+ * @route   GET /api/users/favorites
+ * @desc    Get the user's favourite stops (with next departures) and routes, in the user's order
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.get('/favorites', protect, getFavorites);
+
+/**
+ * @route   POST /api/users/favorites
+ * @desc    Add a favourite stop or route ({ type, id, label })
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.post('/favorites', protect, addFavorite);
+
+/**
+ * @route   PUT /api/users/favorites/order
+ * @desc    Reorder favourites ({ ids } in the new order)
+ *          Must be declared before /favorites/:id
+ * @access  Private
+ */
+router.put('/favorites/order', protect, reorderFavorites);
+
+/**
+ * @route   PUT /api/users/favorites/:id
+ * @desc    Change a favourite's label
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.put('/favorites/:id', protect, updateFavorite);
+
+/**
+ * @route   DELETE /api/users/favorites/:id
+ * @desc    Remove a favourite
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.delete('/favorites/:id', protect, deleteFavorite);
+
+// SAVED TRIP ROUTES
+
+/**
+ * @route   GET /api/users/trips
+ * @desc    Get the user's saved trips
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.get('/trips', protect, getSavedTrips);
+
+/**
+ * @route   POST /api/users/trips
+ * @desc    Save a planned trip ({ name, from, to, itinerary })
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.post('/trips', protect, saveTrip);
+
+/**
+ * @route   PUT /api/users/trips/:id
+ * @desc    Rename a saved trip or replace its itinerary
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.put('/trips/:id', protect, updateSavedTrip);
+
+/**
+ * @route   DELETE /api/users/trips/:id
+ * @desc    Remove a saved trip
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.delete('/trips/:id', protect, deleteSavedTrip);
+
+// ALERT SUBSCRIPTION ROUTES
+
+/**
+ * @route   GET /api/users/alert-subscriptions
+ * @desc    Get the routes and stops the user gets service alert emails for
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.get('/alert-subscriptions', protect, getAlertSubscriptions);
+
+/**
+ * @route   POST /api/users/alert-subscriptions
+ * @desc    Subscribe to alerts for a route or stop ({ type, id, days, quietHours })
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.post('/alert-subscriptions', protect, createAlertSubscription);
+
+/**
+ * @route   PUT /api/users/alert-subscriptions/:id
+ * @desc    Change days / quiet hours or pause a subscription
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.put('/alert-subscriptions/:id', protect, updateAlertSubscription);
+
+/**
+ * @route   DELETE /api/users/alert-subscriptions/:id
+ * @desc    Unsubscribe from a route or stop
+ *          Use protect middleware to verify jwt and user authentication
+ * @access  Private
+ */
+router.delete('/alert-subscriptions/:id', protect, deleteAlertSubscription);
+
 /**
  * @route   GET /api/users
- * @desc    Get all users
+ * @desc    Get users (search, filters, sort and cursor pagination)
  *          Use protect middleware to verify jwt and user authentication
  *          Use admin middleware to verify admin status
  * @access  Private/Admin
  */
 router.get('/', protect, admin, getAllUsers);
 
+/**
+ * @route   GET /api/users/export
+ * @desc    Export the users matching the list filters as CSV
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ *          Must be declared before /:id
+ * @access  Private/Admin
+ */
+router.get('/export', protect, admin, exportUsers);
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
@@ -59,4 +314,58 @@ router.get('/', protect, admin, getAllUsers);
  */
 router.get('/:id', protect, admin, getUserById);
 
+/**
+ * @route   PUT /api/users/:id/unlock
+ * @desc    Unlock an account locked after too many failed logins
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.put('/:id/unlock', protect, admin, unlockUser);
+
+/**
+ * @route   PUT /api/users/:id/role
+ * @desc    Change a user's role (the last admin can't be demoted)
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.put('/:id/role', protect, admin, updateUserRole);
+
+/**
+ * @route   PUT /api/users/:id/status
+ * @desc    Deactivate or reactivate an account
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.put('/:id/status', protect, admin, updateUserStatus);
+
+/**
+ * @route   POST /api/users/:id/require-verification
+ * @desc    Make a user verify their email again
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.post('/:id/require-verification', protect, admin, requireEmailVerification);
+
+/**
+ * @route   POST /api/users/:id/password-reset
+ * @desc    Email a user a password reset link
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.post('/:id/password-reset', protect, admin, sendUserPasswordReset);
+
+/**
+ * @route   DELETE /api/users/:id/sessions
+ * @desc    Sign a user out of every device
+ *          Use protect middleware to verify jwt and user authentication
+ *          Use admin middleware to verify admin status
+ * @access  Private/Admin
+ */
+router.delete('/:id/sessions', protect, admin, revokeUserSessions);
+
 module.exports = router;
\ No newline at end of file
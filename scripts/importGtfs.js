@@ -0,0 +1,43 @@
+/**
+ * GTFS Import Script
+ * 
+ * Imports a GTFS static zip into MongoDB from the command line
+ * The new feed only replaces the current one if the whole import succeeds
+ * 
+ * Usage: npm run import:gtfs -- <path-to-gtfs.zip>
+ */
+
+require('dotenv').config(); // load env variables from .env
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { createFeedVersion, importGtfsFeed } = require('../utils/gtfsImporter');
+
+const run = async () => { 
+    const filePath = process.argv[2];
+
+    if (!filePath || !fs.existsSync(filePath)) { 
+        throw new Error('Usage: npm run import:gtfs -- <path-to-gtfs.zip>');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const feedVersion = await createFeedVersion(path.basename(filePath));
+    const result = await importGtfsFeed(path.resolve(filePath), feedVersion);
+
+    if (result.status !== 'active') { 
+        console.error('Import failed:');
+        result.importErrors.forEach(error => console.error(`  - ${error}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`Feed ${result._id} imported and activated`);
+}
+
+run()
+    .catch(error => { 
+        console.error(`GTFS import error: ${error.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
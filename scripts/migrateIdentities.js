@@ -0,0 +1,55 @@
+/**
+ * Identities Migration
+ * 
+ * Moves the old authMethod/googleId fields into the identities array
+ * - users with a password get a 'local' identity
+ * - users with a googleId get a 'google' identity (googleId and its unique index stay, they now mirror it)
+ * Safe to run more than once (users that already have identities are skipped)
+ * 
+ * Usage: npm run migrate:identities
+ */
+
+require('dotenv').config(); // load env variables from .env
+const mongoose = require('mongoose');
+
+const migrate = async () => { 
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // use the raw collection - the old fields are no longer in the User schema
+    const users = mongoose.connection.collection('users');
+    const cursor = users.find({ identities: { $exists: false } });
+
+    let migrated = 0;
+    for await (const user of cursor) { 
+        const identities = [];
+
+        if (user.password) { 
+            identities.push({ provider: 'local', linkedAt: user.createdAt || new Date() });
+        }
+
+        if (user.googleId) { 
+            identities.push({ provider: 'google', providerId: user.googleId, email: user.email, linkedAt: user.updatedAt || new Date() });
+        }
+
+        // account without password or google id - keep whatever method it was created with
+        if (identities.length === 0) { 
+            console.warn(`User ${user._id} has no password or google id (authMethod: ${user.authMethod})`);
+            if (user.authMethod !== 'google') identities.push({ provider: 'local', linkedAt: user.createdAt || new Date() });
+        }
+
+        await users.updateOne(
+            { _id: user._id },
+            { $set: { identities }, $unset: { authMethod: '' } }
+        );
+        migrated++;
+    }
+
+    console.log(`Migrated ${migrated} users`);
+}
+
+migrate()
+    .catch(error => { 
+        console.error(`Migration error: ${error.stack}`);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,79 @@
+/**
+ * GTFS-Realtime Fixture Server
+ * 
+ * Serves GTFS-Realtime feeds from local files so the poller can run against known data
+ * Files are read on every request (edit them while the server runs to simulate changes):
+ * - <name>.pb: served as is
+ * - <name>.json: FeedMessage as JSON (camelCase fields, e.g. { "entity": [{ "id": "1", "vehicle": {...} }] }),
+ *   encoded to protobuf, header timestamp defaults to now
+ * 
+ * Usage: npm run realtime:fixtures -- <fixtures-dir> [port]
+ * Then point the poller at it, e.g. GTFS_RT_VEHICLE_POSITIONS_URL=http://localhost:5050/vehicle-positions
+ */
+
+const fs = require('fs/promises');
+const http = require('http');
+const path = require('path');
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+const dir = path.resolve(process.argv[2] || '.');
+const port = Number(process.argv[3]) || 5050;
+
+/**
+ * Read a fixture as protobuf (.pb first, then .json)
+ * @param {string} name - feed name from the URL
+ * @returns {Buffer|null} protobuf, null if there is no fixture
+ */
+const readFixture = async (name) => { 
+    try { 
+        return await fs.readFile(path.join(dir, `${name}.pb`));
+    }
+    catch (error) { 
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    try { 
+        const json = JSON.parse(await fs.readFile(path.join(dir, `${name}.json`), 'utf8'));
+        const message = FeedMessage.fromObject({ 
+            ...json,
+            header: { gtfsRealtimeVersion: '2.0', timestamp: Math.floor(Date.now() / 1000), ...json.header }
+        });
+
+        return Buffer.from(FeedMessage.encode(message).finish());
+    }
+    catch (error) { 
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+const server = http.createServer(async (req, res) => { 
+    // only plain names (no path traversal out of the fixtures folder)
+    const name = decodeURIComponent(new URL(req.url, 'http://localhost').pathname.slice(1));
+
+    if (!/^[\w-]+$/.test(name)) { 
+        res.writeHead(404).end();
+        return;
+    }
+
+    try { 
+        const feed = await readFixture(name);
+
+        if (!feed) { 
+            res.writeHead(404).end();
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/x-protobuf' }).end(feed);
+    }
+    catch (error) { 
+        console.error(`Fixture ${name} error: ${error.message}`);
+        res.writeHead(500).end();
+    }
+});
+
+server.listen(port, () => { 
+    console.log(`GTFS-Realtime fixtures from ${dir} on http://localhost:${port}/<name>`);
+});
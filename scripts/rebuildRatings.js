@@ -0,0 +1,26 @@
+/**
+ * Rating Aggregates Rebuild
+ * 
+ * Recomputes the rating aggregates of every route and stop from the ratings
+ * Aggregates are normally updated as ratings change, use this after restoring or editing ratings by hand
+ * 
+ * Usage: npm run rebuild:ratings
+ */
+
+require('dotenv').config(); // load env variables from .env
+const mongoose = require('mongoose');
+const { rebuildRatingAggregates } = require('../utils/ratings');
+
+const rebuild = async () => { 
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const count = await rebuildRatingAggregates();
+    console.log(`Rebuilt ${count} rating aggregates`);
+}
+
+rebuild()
+    .catch(error => { 
+        console.error(`Rebuild error: ${error.stack}`);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
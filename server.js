@@ -11,13 +11,40 @@ const cors = require('cors') // cors middleware
 const session = require('express-session')
 const passport = require('./config/passport')
 const connectDB = require('./config/mongoDB')
+const { startEmailWorker } = require('./utils/emailQueue')
+const { startRealtimePoller, startSnapshotReader } = require('./utils/gtfsRealtime')
+const { watchRealtimeAlerts } = require('./utils/alertNotifications')
+const { watchTripUpdates, startOtpRollup } = require('./utils/otp')
 
 // initialize Express app 
 const app = express();
 
+// behind a reverse proxy (e.g. nginx) req.ip must come from X-Forwarded-For, or every client shares one IP
+// TRUST_PROXY: number of proxies in front of the app, true, or a list of proxy addresses / subnets
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') { 
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // temporary connection to MongoDB (eventually move into try-catch block)
 connectDB();
 
+// start sending queued emails (disable with EMAIL_WORKER=false, e.g. when another instance runs the worker)
+if (process.env.EMAIL_WORKER !== 'false') { 
+  startEmailWorker();
+}
+
+// poll the GTFS-Realtime feeds (disable with GTFS_RT_POLLER=false, same as the email worker)
+if (process.env.GTFS_RT_POLLER !== 'false') { 
+  startRealtimePoller();
+  watchRealtimeAlerts(); // email new feed alerts to subscribers
+  watchTripUpdates(); // archive predictions for on-time performance
+  startOtpRollup(); // roll finished service days up into daily on-time performance
+}
+else { 
+  startSnapshotReader(); // follow the snapshot saved by the poller instance
+}
+
 // Middleware - to be used before routes
 // CORS - allow requests from frontend 
 app.use(cors({
@@ -47,9 +74,27 @@ app.use(passport.session());
 // Routes
 const authRoutes = require('./routes/authRoutes') // import created authRoutes
 const userRoutes = require('./routes/userRoutes') // import created userRoutes
+const adminRoutes = require('./routes/adminRoutes') // import created adminRoutes
+const routeRoutes = require('./routes/routeRoutes') // import created routeRoutes (transit routes)
+const stopRoutes = require('./routes/stopRoutes') // import created stopRoutes
+const liveRoutes = require('./routes/liveRoutes') // import created liveRoutes (live vehicle streams)
+const alertRoutes = require('./routes/alertRoutes') // import created alertRoutes (service alerts)
+const planRoutes = require('./routes/planRoutes') // import created planRoutes (trip planner)
+const reportRoutes = require('./routes/reportRoutes') // import created reportRoutes (rider reports)
+const ratingRoutes = require('./routes/ratingRoutes') // import created ratingRoutes (route and stop ratings)
+const analyticsRoutes = require('./routes/analyticsRoutes') // import created analyticsRoutes (on-time performance)
 
 app.use('/api/auth', authRoutes); // include all routes in authRoutes file
 app.use('/api/users', userRoutes); // include all routes in userRoutes file
+app.use('/api/admin', adminRoutes); // include all routes in adminRoutes file
+app.use('/api/routes', routeRoutes); // include all routes in routeRoutes file
+app.use('/api/stops', stopRoutes); // include all routes in stopRoutes file
+app.use('/api/live', liveRoutes); // include all routes in liveRoutes file
+app.use('/api/alerts', alertRoutes); // include all routes in alertRoutes file
+app.use('/api/plan', planRoutes); // include all routes in planRoutes file
+app.use('/api/reports', reportRoutes); // include all routes in reportRoutes file
+app.use('/api/ratings', ratingRoutes); // include all routes in ratingRoutes file
+app.use('/api/analytics', analyticsRoutes); // include all routes in analyticsRoutes file
 
 // Temporary test route 
 app.get('/', (req, res) => { 
@@ -58,7 +103,16 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: { 
       auth: '/api/auth',
-      users: '/api/users'
+      users: '/api/users',
+      admin: '/api/admin',
+      routes: '/api/routes',
+      stops: '/api/stops',
+      live: '/api/live',
+      alerts: '/api/alerts',
+      plan: '/api/plan',
+      reports: '/api/reports',
+      ratings: '/api/ratings',
+      analytics: '/api/analytics'
     }
   });
 })
@@ -0,0 +1,33 @@
+/**
+ * Account Content Utility
+ * 
+ * Hides a deactivated account's favourites and saved trips, and brings them back when it is reactivated
+ * The records are kept (hiddenAt is set) so nothing is lost if the account comes back
+ */
+
+const Favorite = require('../models/Favorite');
+const SavedTrip = require('../models/SavedTrip');
+
+/**
+ * Hide the favourites and saved trips of a deactivated account
+ * @param {string} userId - owner
+ */
+const hideAccountContent = async (userId) => { 
+    const hiddenAt = Date.now();
+    await Favorite.updateMany({ user: userId, hiddenAt: null }, { hiddenAt });
+    await SavedTrip.updateMany({ user: userId, hiddenAt: null }, { hiddenAt });
+}
+
+/**
+ * Show the favourites and saved trips of a reactivated account again
+ * @param {string} userId - owner
+ */
+const restoreAccountContent = async (userId) => { 
+    await Favorite.updateMany({ user: userId, hiddenAt: { $ne: null } }, { hiddenAt: null });
+    await SavedTrip.updateMany({ user: userId, hiddenAt: { $ne: null } }, { hiddenAt: null });
+}
+
+module.exports = { 
+    hideAccountContent,
+    restoreAccountContent
+}
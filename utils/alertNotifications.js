@@ -0,0 +1,275 @@
+/**
+ * Alert Notifications Utility
+ * 
+ * Emails service alerts to the users subscribed to the affected routes and stops
+ * Alerts come from admins or from the GTFS-Realtime ServiceAlerts feed
+ * Each alert is emailed once per user, held until the end of quiet hours / the next allowed day
+ */
+
+const Alert = require('../models/Alert');
+const ServiceAlert = require('../models/ServiceAlert');
+const AlertSubscription = require('../models/AlertSubscription');
+const AlertNotification = require('../models/AlertNotification');
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const { sendTemplateEmail } = require('./email');
+const { registerSendCheck } = require('./emailQueue');
+const { TIME_ZONE, getZonedParts, getActiveFeedVersion } = require('./gtfs');
+const { realtimeEvents } = require('./gtfsRealtime');
+
+const STEP = 15 * 60 * 1000;       // delayed emails go out on the next quarter hour allowed
+const MAX_DELAY = 8 * 24 * 60 * 60 * 1000;
+
+// realtime alerts already handled by this instance (the feed repeats them on every poll)
+const seenRealtimeAlerts = new Set();
+
+/**
+ * Get the time an alert ends (no period or an open ended one - never)
+ */
+const getEndTime = (activePeriods) => { 
+    return activePeriods.length && activePeriods.every(period => period.end)
+        ? Math.max(...activePeriods.map(period => new Date(period.end).getTime()))
+        : Infinity;
+}
+
+/**
+ * Check if a subscription allows emails at a given time (day of week and quiet hours, Calgary time)
+ */
+const isAllowedAt = (subscription, time) => { 
+    const { year, month, day, hour, minute } = getZonedParts(time);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+    if (!subscription.days.includes(weekday)) return false;
+    if (!subscription.quietHours) return true;
+
+    const toMinutes = (value) => Number(value.slice(0, 2)) * 60 + Number(value.slice(3, 5));
+    const now = hour * 60 + minute;
+    const start = toMinutes(subscription.quietHours.start);
+    const end = toMinutes(subscription.quietHours.end);
+
+    if (start === end) return true;
+
+    // quiet hours can cross midnight (22:00 - 07:00)
+    const isQuiet = start < end ? now >= start && now < end : now >= start || now < end;
+    return !isQuiet;
+}
+
+/**
+ * Get the first time a subscription allows emails
+ * @param {object} subscription - AlertSubscription
+ * @param {Date} from - earliest time
+ * @returns {Date|null} time the email can go out, null if the subscription allows no day
+ */
+const getNextAllowedTime = (subscription, from) => { 
+    if (isAllowedAt(subscription, from)) return from;
+
+    for (let time = Math.floor(from / STEP) * STEP + STEP; time < from.getTime() + MAX_DELAY; time += STEP) { 
+        if (isAllowedAt(subscription, new Date(time))) return new Date(time);
+    }
+    return null;
+}
+
+/**
+ * Pick the text in the user's language from a string or a list of translations
+ */
+const getText = (value, language) => { 
+    if (!Array.isArray(value)) return value || '';
+
+    const match = value.find(item => item.language === language)
+        || value.find(item => !item.language || item.language === 'en')
+        || value[0];
+    return match?.text || '';
+}
+
+/**
+ * Format the active periods of an alert for the user's language
+ */
+const formatPeriod = (activePeriods, language) => { 
+    const format = new Intl.DateTimeFormat(language === 'fr' ? 'fr-CA' : 'en-CA', { 
+        dateStyle: 'medium',
+        timeStyle: 'short',
+        timeZone: TIME_ZONE
+    });
+
+    return activePeriods
+        .map(({ start, end }) => `${start ? format.format(start) : ''} – ${end ? format.format(end) : ''}`.trim())
+        .join(', ');
+}
+
+/**
+ * Describe the affected routes and stops (route numbers and stop names from the active feed)
+ */
+const describeAffected = async (routeIds, stopIds) => { 
+    const feedVersion = await getActiveFeedVersion();
+    if (!feedVersion) return [...routeIds, ...stopIds].join(', ');
+
+    const [routes, stops] = await Promise.all([
+        Route.find({ feedVersion: feedVersion._id, routeId: { $in: routeIds } }).lean(),
+        Stop.find({ feedVersion: feedVersion._id, stopId: { $in: stopIds } }).lean()
+    ]);
+    const routesById = new Map(routes.map(route => [route.routeId, route]));
+    const stopsById = new Map(stops.map(stop => [stop.stopId, stop]));
+
+    return [
+        ...routeIds.map(routeId => { 
+            const route = routesById.get(routeId);
+            return route ? [route.shortName, route.longName].filter(Boolean).join(' ') : routeId;
+        }),
+        ...stopIds.map(stopId => { 
+            const stop = stopsById.get(stopId);
+            return stop ? [stop.name, stop.code && `(${stop.code})`].filter(Boolean).join(' ') : stopId;
+        })
+    ].join(', ');
+}
+
+/**
+ * Email an alert to the users subscribed to its routes and stops
+ * Never throws - a failed notification must not break the caller
+ * @param {object} alert - { key, header, description, url, routeIds, stopIds, activePeriods }
+ *                         key is unique per alert (e.g. "admin:<id>"), texts are strings or [{ text, language }]
+ * @returns {number} emails queued
+ */
+const notifyAlertSubscribers = async (alert) => { 
+    try { 
+        const now = new Date();
+        const routeIds = alert.routeIds || [];
+        const stopIds = alert.stopIds || [];
+        const activePeriods = alert.activePeriods || [];
+
+        // alerts that are over are not worth an email
+        const endsAt = getEndTime(activePeriods);
+        if (endsAt <= now) return 0;
+
+        const subscriptions = await AlertSubscription.find({
+            isActive: true,
+            $or: [
+                { type: 'route', targetId: { $in: routeIds } },
+                { type: 'stop', targetId: { $in: stopIds } }
+            ]
+        }).populate('user', 'email firstName preferredLanguage isActive isEmailVerified');
+
+        // one email per user, at the first time any of their matching subscriptions allows
+        const recipients = new Map();
+        for (const subscription of subscriptions) { 
+            const { user } = subscription;
+            if (!user || !user.isActive || !user.isEmailVerified) continue;
+
+            const sendAt = getNextAllowedTime(subscription, now);
+            if (!sendAt || sendAt >= endsAt) continue;
+
+            const current = recipients.get(user._id.toString());
+            if (!current || sendAt < current.sendAt) recipients.set(user._id.toString(), { user, sendAt });
+        }
+
+        if (recipients.size === 0) return 0;
+
+        const affects = await describeAffected(routeIds, stopIds);
+        let queued = 0;
+
+        for (const { user, sendAt } of recipients.values()) { 
+            let notification = null;
+
+            try { 
+                // claim the notification first - if it already exists the user was emailed
+                notification = await AlertNotification.create({ user: user._id, alertKey: alert.key, scheduledFor: sendAt });
+
+                const job = await sendTemplateEmail(user, 'serviceAlert', { 
+                    header: getText(alert.header, user.preferredLanguage),
+                    description: getText(alert.description, user.preferredLanguage),
+                    affects,
+                    period: formatPeriod(activePeriods, user.preferredLanguage),
+                    actionURL: getText(alert.url, user.preferredLanguage) || null
+                }, { sendAt });
+
+                notification.emailJob = job._id;
+                await notification.save();
+                queued++;
+            }
+            catch (error) { 
+                if (error.code === 11000) continue;
+                console.error(`Alert notification error (${alert.key}): ${error.stack}`);
+
+                // release the claim when no email was queued, so the next notification of the alert can email the user
+                if (notification && !notification.emailJob) { 
+                    await AlertNotification.deleteOne({ _id: notification._id }).catch(() => {});
+                }
+            }
+        }
+
+        return queued;
+    }
+    catch (error) { 
+        console.error(`Alert notifications error (${alert.key}): ${error.stack}`);
+        return 0;
+    }
+}
+
+/**
+ * Check, when an alert email is due, that it is still wanted
+ * The alert must still exist and not be over, and the user must still have an active subscription
+ * to one of its routes or stops - otherwise the job is cancelled and the claim released
+ * @param {object} job - EmailJob about to be sent
+ * @returns {boolean} true to send
+ */
+const isAlertEmailWanted = async (job) => { 
+    // emails sent right away can go out before the notification records their job
+    const notification = await AlertNotification.findOne({ emailJob: job._id }).lean();
+    if (!notification) return true;
+
+    // "admin:<id>" or "realtime:<feed entity id>"
+    const separator = notification.alertKey.indexOf(':');
+    const id = notification.alertKey.slice(separator + 1);
+    const alert = notification.alertKey.slice(0, separator) === 'admin'
+        ? await Alert.findById(id).lean()
+        : await ServiceAlert.findOne({ alertId: id }).lean();
+
+    const wanted = Boolean(alert)
+        && getEndTime(alert.activePeriods || []) > Date.now()
+        && Boolean(await AlertSubscription.exists({
+            user: notification.user,
+            isActive: true,
+            $or: [
+                { type: 'route', targetId: { $in: alert.routeIds || [] } },
+                { type: 'stop', targetId: { $in: alert.stopIds || [] } }
+            ]
+        }));
+
+    if (!wanted) await AlertNotification.deleteOne({ _id: notification._id });
+    return wanted;
+}
+
+registerSendCheck('serviceAlert', isAlertEmailWanted);
+
+/**
+ * Email new alerts from the GTFS-Realtime ServiceAlerts feed to their subscribers
+ * Call once at startup (after the realtime poller)
+ */
+const watchRealtimeAlerts = () => { 
+    realtimeEvents.on('alerts', async (alerts) => { 
+        for (const alert of alerts) { 
+            if (seenRealtimeAlerts.has(alert.alertId)) continue;
+            seenRealtimeAlerts.add(alert.alertId);
+
+            await notifyAlertSubscribers({
+                key: `realtime:${alert.alertId}`,
+                header: alert.headerText,
+                description: alert.descriptionText,
+                url: alert.url,
+                routeIds: alert.routeIds,
+                stopIds: alert.stopIds,
+                activePeriods: alert.activePeriods
+            });
+        }
+
+        // forget alerts that left the feed
+        const current = new Set(alerts.map(alert => alert.alertId));
+        for (const alertId of seenRealtimeAlerts) { 
+            if (!current.has(alertId)) seenRealtimeAlerts.delete(alertId);
+        }
+    });
+}
+
+module.exports = { 
+    notifyAlertSubscribers,
+    watchRealtimeAlerts
+}
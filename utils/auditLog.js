@@ -0,0 +1,52 @@
+/**
+ * Audit Log Utility
+ * 
+ * Records admin actions taken on user accounts
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Record an admin action before it is made (pending until completeAdminAction or failAdminAction)
+ * so no change is made without its entry
+ * @param {object} req - express request (the admin in req.user, IP and device)
+ * @param {string} action - e.g. 'user.role_changed'
+ * @param {object} target - user the action is taken on
+ * @param {object} before - changed values before the action
+ * @param {object} after - changed values after the action
+ * @returns {object} AuditLog record
+ */
+const recordAdminAction = async (req, action, target, before = null, after = null) => { 
+    return AuditLog.create({
+        actor: req.user._id,
+        action,
+        target: target._id,
+        before,
+        after,
+        status: 'pending',
+        ipAddress: req.ip || null,
+        userAgent: req.get('user-agent') || null
+    });
+}
+
+/**
+ * Mark an admin action as made
+ * @param {object} entry - AuditLog record from recordAdminAction
+ */
+const completeAdminAction = async (entry) => { 
+    await AuditLog.updateOne({ _id: entry._id }, { status: 'completed' });
+}
+
+/**
+ * Mark an admin action as not made (e.g. the user changed meanwhile)
+ * @param {object} entry - AuditLog record from recordAdminAction
+ */
+const failAdminAction = async (entry) => { 
+    await AuditLog.updateOne({ _id: entry._id }, { status: 'failed' });
+}
+
+module.exports = { 
+    recordAdminAction,
+    completeAdminAction,
+    failAdminAction
+}
@@ -0,0 +1,185 @@
+/**
+ * Departures Utility
+ * 
+ * Works out the upcoming scheduled departures at stops from GTFS stop_times and calendars
+ * Times are real instants (Calgary time zone and DST applied), including trips running after midnight
+ * Predicted times from the GTFS-Realtime trip updates are added next to the scheduled ones
+ */
+
+const Stop = require('../models/Stop');
+const StopTime = require('../models/StopTime');
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const { 
+    getServiceDate,
+    shiftServiceDate,
+    getServiceDayStart,
+    getActiveServiceIds,
+    getRouteMode
+} = require('./gtfs');
+const { getPrediction } = require('./gtfsRealtime');
+
+const LATE_LOOKBACK = 30 * 60 * 1000; // a departure scheduled up to 30 minutes ago can still be coming (running late)
+const LATE_LOOKBACK_LIMIT = 50;
+
+/**
+ * Get the next scheduled departures at one or more stops
+ * The previous service day is included (its 24:00:00+ trips run tonight after midnight)
+ * and the next one (for late evening requests)
+ * @param {string} feedVersionId - active FeedVersion id
+ * @param {string[]} stopIds - GTFS stop ids (a station and its platforms)
+ * @param {Date} from - departures at or after this time
+ * @param {number} limit - maximum number of departures
+ * @returns {object[]} departures sorted by scheduled time
+ */
+const getScheduledDepartures = async (feedVersionId, stopIds, from, limit) => { 
+    const today = getServiceDate(from);
+    const departures = [];
+
+    for (const serviceDate of [shiftServiceDate(today, -1), today, shiftServiceDate(today, 1)]) { 
+        const serviceIds = await getActiveServiceIds(feedVersionId, serviceDate);
+        if (serviceIds.length === 0) continue;
+
+        const dayStart = getServiceDayStart(serviceDate);
+        const fromSeconds = Math.max(Math.ceil((from - dayStart) / 1000), 0);
+
+        // stop_times come out in time order, the trip lookup keeps the ones running that day
+        const stopTimes = await StopTime.aggregate([
+            { 
+                $match: { 
+                    feedVersion: feedVersionId,
+                    stopId: { $in: stopIds },
+                    departureSeconds: { $gte: fromSeconds },
+                    pickupType: { $ne: 1 }  // no boarding (e.g. end of the line)
+                }
+            },
+            { $sort: { departureSeconds: 1 } },
+            { 
+                $lookup: { 
+                    from: Trip.collection.name,
+                    localField: 'tripId',
+                    foreignField: 'tripId',
+                    pipeline: [{ $match: { feedVersion: feedVersionId, serviceId: { $in: serviceIds } } }],
+                    as: 'trip'
+                }
+            },
+            { $unwind: '$trip' },
+            { $limit: limit }
+        ]);
+
+        for (const stopTime of stopTimes) { 
+            departures.push({ 
+                tripId: stopTime.tripId,
+                routeId: stopTime.trip.routeId,
+                directionId: stopTime.trip.directionId,
+                headsign: stopTime.stopHeadsign || stopTime.trip.headsign,
+                stopId: stopTime.stopId,
+                stopSequence: stopTime.stopSequence,
+                serviceDate,
+                gtfsTime: stopTime.departureTime,
+                scheduledTime: new Date(dayStart.getTime() + stopTime.departureSeconds * 1000)
+            });
+        }
+    }
+
+    return departures
+        .sort((a, b) => a.scheduledTime - b.scheduledTime)
+        .slice(0, limit);
+}
+
+/**
+ * Get the next departures at one or more stops with their realtime predictions
+ * Each departure has scheduledTime plus predictedTime / delay (seconds) when a prediction exists,
+ * status is scheduled, predicted, skipped or canceled
+ * Late departures scheduled before `from` are included while they haven't left yet
+ * @param {string} feedVersionId - active FeedVersion id
+ * @param {string[]} stopIds - GTFS stop ids
+ * @param {Date} from - departures at or after this time
+ * @param {number} limit - maximum number of departures
+ * @returns {object[]} departures sorted by expected time (predicted, else scheduled)
+ */
+const getDepartures = async (feedVersionId, stopIds, from, limit) => { 
+    const [late, upcoming] = await Promise.all([
+        getScheduledDepartures(feedVersionId, stopIds, new Date(from.getTime() - LATE_LOOKBACK), LATE_LOOKBACK_LIMIT),
+        getScheduledDepartures(feedVersionId, stopIds, from, limit)
+    ]);
+
+    const departures = [...late.filter(departure => departure.scheduledTime < from), ...upcoming]
+        .map(departure => { 
+            const prediction = getPrediction(departure);
+
+            return { 
+                ...departure,
+                status: prediction?.status || 'scheduled',
+                predictedTime: prediction?.predictedTime || null,
+                delay: prediction?.delay ?? null
+            };
+        })
+        .filter(departure => (departure.predictedTime || departure.scheduledTime) >= from);
+
+    return departures
+        .sort((a, b) => (a.predictedTime || a.scheduledTime) - (b.predictedTime || b.scheduledTime))
+        .slice(0, limit);
+}
+
+/**
+ * Get the stop ids departures are read from - a station has no stop_times of its own, its platforms do
+ * @param {string} feedVersionId - active FeedVersion id
+ * @param {object} stop - Stop document (lean)
+ * @returns {string[]} GTFS stop ids
+ */
+const getDepartureStopIds = async (feedVersionId, stop) => { 
+    if (stop.locationType !== 1) return [stop.stopId];
+
+    const platforms = await Stop.find({ feedVersion: feedVersionId, parentStation: stop.stopId }).select('stopId').lean();
+    return [stop.stopId, ...platforms.map(platform => platform.stopId)];
+}
+
+/**
+ * Get the next departures at a stop, formatted for API responses (with route details)
+ * @param {string} feedVersionId - active FeedVersion id
+ * @param {object} stop - Stop document (lean)
+ * @param {Date} from - departures at or after this time
+ * @param {number} limit - maximum number of departures
+ * @returns {object[]} departures
+ */
+const getDeparturesAtStop = async (feedVersionId, stop, from, limit) => { 
+    const departures = await getDepartures(feedVersionId, await getDepartureStopIds(feedVersionId, stop), from, limit);
+
+    const routes = await Route.find({ 
+        feedVersion: feedVersionId,
+        routeId: { $in: [...new Set(departures.map(departure => departure.routeId))] }
+    }).lean();
+    const routesById = new Map(routes.map(route => [route.routeId, route]));
+
+    return departures.map(departure => { 
+        const route = routesById.get(departure.routeId);
+
+        return { 
+            tripId: departure.tripId,
+            route: { 
+                id: departure.routeId,
+                shortName: route?.shortName,
+                longName: route?.longName,
+                mode: getRouteMode(route?.type),
+                color: route?.color,
+                textColor: route?.textColor
+            },
+            headsign: departure.headsign,
+            directionId: departure.directionId,
+            stopId: departure.stopId,
+            serviceDate: departure.serviceDate,
+            scheduledTime: departure.scheduledTime,
+            predictedTime: departure.predictedTime,
+            delay: departure.delay,
+            status: departure.status
+        };
+    });
+}
+
+module.exports = { 
+    getScheduledDepartures,
+    getDepartures,
+    getDepartureStopIds,
+    getDeparturesAtStop
+};
@@ -1,97 +1,68 @@
 /**
  * Email Utility
  * 
- * Handles sending emails using Nodemailer
+ * Queues emails for the email worker (utils/emailQueue.js) which sends them using Nodemailer
+ * Emails are rendered from the templates in templates/email (HTML + plain text, in the user's language)
  */
 
-const nodeMailer = require('nodemailer');
+const { renderEmail } = require('./templates');
+const { enqueueEmail } = require('./emailQueue');
 
 /**
- * Create email transporter
- * handles how to send emails (mailman)
+ * Render a template and queue it for a user
+ * Delivery is retried by the email worker, so callers don't need to handle SMTP failures
+ * @param {object} user - Recipient (email, firstName, preferredLanguage)
+ * @param {string} template - template name in templates/email
+ * @param {object} data - values for the template
+ * @param {object} options - { sendAt } to hold the email until a later time
+ * @returns {object} queued EmailJob
  */
-const createTransporter = () => {
-    return nodeMailer.createTransport({
-        service: process.env.EMAIL_SERVICE,
-        auth: {
-            user: process.env.EMAIL_USER,
-            pass: process.env.EMAIL_PASSWORD
-        }
-    })
+const sendTemplateEmail = async (user, template, data = {}, { sendAt } = {}) => { 
+    // render the subject, HTML and plain text parts in the user's language
+    const { subject, html, text } = renderEmail(template, { firstName: user.firstName, ...data }, user.preferredLanguage);
+
+    try { 
+        return await enqueueEmail({ to: user.email, subject, html, text, template, nextAttemptAt: sendAt || Date.now() })
+    } 
+    catch (error) { 
+        console.error(`Error queueing ${template} email: ${error.stack}`)
+        throw new Error(`Failed to queue ${template} email`)
+    }
 }
 
 /**
  * Send verification code email
- * @param {string} email - Recipient email
+ * @param {object} user - Recipient user
  * @param {string} code - 6-digit verification code
  */
-const sendVerificationEmail = async (email, code) => { 
-    const transporter = createTransporter(); 
-
-    // create the email template with the email message (SIMPLIFIED FOR NOW)
-    const mailOptions = { 
-        from: process.env.EMAIL_FROM,
-        to: email,
-        subject: 'Verify Your Email - YYC-Track',
-        html: `
-        <div>
-            <h2>Thank you for registering with YYC-TRACK!</h2>
-            <p>Your verification code is: ${code}</p>
-            <p>This code will expire in 10 minutes.</p>
-             <p>If you didn't create an account, please ignore this email.</p>
-        </div>`
-    }
-
-    try { 
-        await transporter.sendMail(mailOptions)
-        console.log(`Verification email sent to ${email}`)
-    } 
-    catch (error) { 
-        console.error(`Error sending verification email: ${error.stack}`)
-        throw new Error('Failed to send verfication email')
-    }
+const sendVerificationEmail = async (user, code) => { 
+    await sendTemplateEmail(user, 'verification', { code, minutes: 10 })
 }
 
 /**
  * Send password reset email
- * @param {string} email - Recipient email
+ * @param {object} user - Recipient user
  * @param {string} resetToken - Password reset token
  */
-const sendPasswordResetEmail = async (email, resetToken) => { 
-    const transporter = createTransporter();
-
+const sendPasswordResetEmail = async (user, resetToken) => { 
     // create reset password URL (frontend will handle the route)
-    const resetURL = `${process.env.CLIENT_URL}/reset-password/${resetToken}`
+    const actionURL = `${process.env.CLIENT_URL}/reset-password/${resetToken}`
 
-    // create email template for password reset (SIMPLIFIED FOR NOW)
-    const mailOptions = { 
-        from: process.env.EMAIL_FROM,
-        to: email, 
-        subject: 'Password Reset Request - YYC-Track',
-        html: `
-        <div>
-            <h2> Password Reset Request </h2>
-            <p>You requested to reset your password for your YYC-TRACK account.</p>
-            <p>Click the button below to reset your password:</p>
-            <a href="${resetURL}"> Reset Password </a>
-            <p>Or copy and paste this link into your browser:</p>
-            <p>${resetURL}</p>
-            <p><strong>This link will expire in 1 hour.</strong></p>
-            <p>If you didn't request a password reset, please ignore this email and your password will remain unchanged.</p>
-        </div>`
-    }
+    await sendTemplateEmail(user, 'passwordReset', { actionURL })
+}
 
-    try { 
-        await transporter.sendMail(mailOptions)
-        console.log(`Password reset email sent to ${email}`)
-    } 
-    catch (error) { 
-        console.error(`Error sending password reset email: '${error.stack}`);
-        throw new Error('Failed to send password reset email');
-    }
+/**
+ * Send password setup code email (accounts adding a password, e.g. Google only accounts)
+ * @param {object} user - Recipient user
+ * @param {string} code - 6-digit confirmation code
+ */
+const sendPasswordSetupEmail = async (user, code) => { 
+    await sendTemplateEmail(user, 'passwordSetup', { code, minutes: 10 })
 }
 
 module.exports = { 
+    sendTemplateEmail,
     sendVerificationEmail,
-    sendPasswordResetEmail
-}
\ No newline at end of file
+    sendPasswordResetEmail,
+    sendPasswordSetupEmail
+}
@@ -0,0 +1,214 @@
+/**
+ * Email Queue Utility
+ * 
+ * Durable outbound email queue backed by the EmailJob collection
+ * Emails are queued by the request and delivered by a background worker,
+ * failed sends are retried with exponential backoff and end up in the dead state
+ */
+
+const EmailJob = require('../models/EmailJob');
+const { createTransporter } = require('./mailTransport');
+
+const BASE_RETRY_DELAY = 30 * 1000;             // first retry after 30 seconds, then 1, 2, 4... minutes
+const MAX_RETRY_DELAY = 60 * 60 * 1000;         // never wait more than 1 hour between attempts
+const STALE_LOCK = 5 * 60 * 1000;               // a job claimed for 5 minutes is considered abandoned
+const SENT_RETENTION = 30 * 24 * 60 * 60 * 1000; // keep sent jobs for 30 days
+const BATCH_SIZE = 20;                          // jobs sent per worker run
+
+let workerTimer = null;
+let processing = false;
+
+// checks run right before a job is sent, by template
+const sendChecks = new Map();
+
+/**
+ * Delay before the next attempt (doubles with every failed attempt)
+ * @param {number} attempts - failed attempts so far
+ * @returns {number} delay in milliseconds
+ */
+const getRetryDelay = (attempts) => { 
+    return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+/**
+ * Register a check run right before a job of a template is sent
+ * A check that returns false cancels the job (e.g. an email held for later is no longer wanted)
+ * @param {string} template - template name
+ * @param {function} check - async (job) => boolean
+ */
+const registerSendCheck = (template, check) => { 
+    sendChecks.set(template, check);
+}
+
+/**
+ * Add an email to the queue
+ * @param {object} message - { to, subject, html, text, template, nextAttemptAt (optional, send later) }
+ * @returns {object} created EmailJob
+ */
+const enqueueEmail = async (message) => { 
+    const job = await EmailJob.create(message);
+
+    // try to send right away instead of waiting for the next worker run
+    if (workerTimer) setImmediate(processQueue);
+
+    return job;
+}
+
+/**
+ * Claim the next job that is due (atomic so two workers never send the same job)
+ * @returns {object|null} claimed job
+ */
+const claimNextJob = async () => { 
+    const now = Date.now();
+
+    return EmailJob.findOneAndUpdate(
+        {
+            $or: [
+                { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedAt: { $lt: now - STALE_LOCK } } // worker died mid-send
+            ]
+        },
+        { status: 'sending', lockedAt: now },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    ).select('+html +text');
+}
+
+/**
+ * Remove the body of a job that won't be sent again (it can hold codes and links)
+ * @param {object} job - EmailJob
+ */
+const eraseBody = (job) => { 
+    job.html = undefined;
+    job.text = undefined;
+}
+
+/**
+ * Send one job and record the result
+ * @param {object} job - claimed EmailJob
+ * @param {object} transporter - nodemailer transport
+ */
+const deliverJob = async (job, transporter) => { 
+    job.attempts += 1;
+
+    try { 
+        const check = sendChecks.get(job.template);
+
+        if (check && !(await check(job))) { 
+            job.status = 'cancelled';
+            job.expiresAt = Date.now() + SENT_RETENTION;
+            job.lockedAt = null;
+            eraseBody(job);
+            await job.save();
+            console.log(`${job.template} to ${job.to} cancelled`);
+            return;
+        }
+
+        const info = await transporter.sendMail({
+            from: process.env.EMAIL_FROM,
+            to: job.to,
+            subject: job.subject,
+            html: job.html,
+            text: job.text
+        });
+
+        job.status = 'sent';
+        job.messageId = info.messageId || null;
+        job.sentAt = Date.now();
+        job.expiresAt = Date.now() + SENT_RETENTION;
+        job.lastError = null;
+        eraseBody(job);
+        console.log(`${job.template || 'Email'} sent to ${job.to}`);
+    }
+    catch (error) { 
+        job.lastError = error.message;
+
+        if (job.attempts >= job.maxAttempts) { 
+            job.status = 'dead';
+            eraseBody(job);
+            console.error(`Email ${job._id} to ${job.to} failed permanently: ${error.message}`);
+        } else { 
+            job.status = 'failed';
+            job.nextAttemptAt = Date.now() + getRetryDelay(job.attempts);
+            console.error(`Email ${job._id} to ${job.to} failed (attempt ${job.attempts}): ${error.message}`);
+        }
+    }
+
+    job.lockedAt = null;
+    await job.save();
+}
+
+/**
+ * Send every job that is due (one batch)
+ * @returns {number} number of jobs processed
+ */
+const processQueue = async () => { 
+    // only one run at a time in this process
+    if (processing) return 0;
+    processing = true;
+
+    let processed = 0;
+    try { 
+        const transporter = createTransporter();
+
+        while (processed < BATCH_SIZE) { 
+            const job = await claimNextJob();
+            if (!job) break;
+
+            await deliverJob(job, transporter);
+            processed++;
+        }
+    }
+    catch (error) { 
+        console.error(`Email queue error: ${error.stack}`);
+    }
+    finally { 
+        processing = false;
+    }
+
+    return processed;
+}
+
+/**
+ * Start the background worker
+ * @param {number} intervalMs - how often to look for due jobs
+ */
+const startEmailWorker = (intervalMs = 10 * 1000) => { 
+    if (workerTimer) return;
+
+    workerTimer = setInterval(processQueue, intervalMs);
+    workerTimer.unref(); // don't keep the process alive just for the worker
+    console.log('Email worker started');
+}
+
+/**
+ * Stop the background worker
+ */
+const stopEmailWorker = () => { 
+    clearInterval(workerTimer);
+    workerTimer = null;
+}
+
+/**
+ * Put a failed job back in the queue right away (admin retry - dead jobs no longer have a body)
+ * @param {string} jobId - EmailJob id
+ * @returns {object|null} updated job, null if it can't be retried
+ */
+const retryJob = async (jobId) => { 
+    const job = await EmailJob.findOneAndUpdate(
+        { _id: jobId, status: 'failed' },
+        { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), lastError: null },
+        { new: true }
+    );
+
+    if (job && workerTimer) setImmediate(processQueue);
+    return job;
+}
+
+module.exports = { 
+    registerSendCheck,
+    enqueueEmail,
+    processQueue,
+    startEmailWorker,
+    stopEmailWorker,
+    retryJob
+}
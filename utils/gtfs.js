@@ -0,0 +1,355 @@
+/**
+ * GTFS Utility
+ * 
+ * Shared helpers for the imported GTFS static data
+ * Every query on transit data should be scoped to the active feed version
+ */
+
+const FeedVersion = require('../models/FeedVersion');
+const Trip = require('../models/Trip');
+const Shape = require('../models/Shape');
+const Calendar = require('../models/Calendar');
+const CalendarDate = require('../models/CalendarDate');
+
+const ACTIVE_FEED_CACHE = 30 * 1000; // look up the active feed at most every 30 seconds
+const TIME_ZONE = 'America/Edmonton';  // Calgary Transit agency_timezone
+const SERVICE_IDS_CACHE = 5 * 60 * 1000;   // services of a date only change with a new feed
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// GTFS route_type values used by Calgary Transit
+const ROUTE_TYPES = { 
+    ctrain: 0,  // light rail
+    bus: 3
+};
+
+// route_type -> mode name used by the API
+const ROUTE_MODES = Object.fromEntries(Object.entries(ROUTE_TYPES).map(([mode, type]) => [type, mode]));
+
+let activeFeedCache = { feedVersion: null, expiresAt: 0 };
+const serviceIdsCache = new Map();  // "feedVersionId:YYYYMMDD" -> { serviceIds, expiresAt }
+let serviceRangeCache = { feedVersionId: null, range: null };  // a feed's calendar never changes
+
+/**
+ * Get the feed version currently served by the API
+ * @returns {object|null} active FeedVersion, null if no feed has been imported yet
+ */
+const getActiveFeedVersion = async () => { 
+    if (activeFeedCache.expiresAt > Date.now()) return activeFeedCache.feedVersion;
+
+    // newest active feed wins (a previous one may still be active for a moment while switching)
+    const feedVersion = await FeedVersion.findOne({ status: 'active' }).sort({ activatedAt: -1 });
+
+    activeFeedCache = { feedVersion, expiresAt: Date.now() + ACTIVE_FEED_CACHE };
+    return feedVersion;
+}
+
+/**
+ * Forget the cached active feed version (after an import switched feeds)
+ */
+const clearActiveFeedCache = () => { 
+    activeFeedCache = { feedVersion: null, expiresAt: 0 };
+}
+
+/**
+ * Convert a GTFS time to seconds since the start of the service day
+ * Times after midnight keep counting (25:10:00 = 90600)
+ * @param {string} time - HH:MM:SS (hours can be one digit or more than 23)
+ * @returns {number|null} seconds, null if empty or invalid
+ */
+const parseGtfsTime = (time) => { 
+    const match = /^(\d{1,3}):([0-5]\d):([0-5]\d)$/.exec(String(time || '').trim());
+    if (!match) return null;
+
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+/**
+ * Convert seconds since the start of the service day back to a GTFS time
+ * @param {number} seconds - seconds since the start of the service day
+ * @returns {string} HH:MM:SS
+ */
+const formatGtfsTime = (seconds) => { 
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds % 3600 / 60))}:${pad(seconds % 60)}`;
+}
+
+/**
+ * Get the date and time parts of an instant in the transit time zone
+ * @param {Date} date - instant
+ * @returns {object} { year, month, day, hour, minute, second } as numbers
+ */
+const getZonedParts = (date) => { 
+    const parts = new Intl.DateTimeFormat('en-CA', { 
+        timeZone: TIME_ZONE,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    return Object.fromEntries(parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)]));
+}
+
+/**
+ * Get the local (Calgary) calendar date of an instant
+ * @param {Date} date - instant
+ * @returns {string} YYYYMMDD
+ */
+const getServiceDate = (date) => { 
+    const { year, month, day } = getZonedParts(date);
+    return `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Move a service date by a number of days
+ * @param {string} serviceDate - YYYYMMDD
+ * @param {number} days - days to add (negative to go back)
+ * @returns {string} YYYYMMDD
+ */
+const shiftServiceDate = (serviceDate, days) => { 
+    const date = new Date(Date.UTC(serviceDate.slice(0, 4), serviceDate.slice(4, 6) - 1, Number(serviceDate.slice(6, 8)) + days));
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Get the instant GTFS times of a service date are counted from
+ * GTFS measures times from "noon minus 12h" local time, which is midnight except on DST change days
+ * @param {string} serviceDate - YYYYMMDD
+ * @returns {Date} start of the service day
+ */
+const getServiceDayStart = (serviceDate) => { 
+    const noonUtc = Date.UTC(serviceDate.slice(0, 4), serviceDate.slice(4, 6) - 1, serviceDate.slice(6, 8), 12);
+
+    // local noon = UTC noon minus the time zone offset on that day
+    const local = getZonedParts(new Date(noonUtc));
+    const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - noonUtc;
+
+    return new Date(noonUtc - offset - 12 * 60 * 60 * 1000);
+}
+
+/**
+ * Get the services running on a date (calendar.txt, with calendar_dates.txt exceptions applied)
+ * @param {string} feedVersionId - FeedVersion id
+ * @param {string} serviceDate - YYYYMMDD
+ * @returns {string[]} service ids
+ */
+const getActiveServiceIds = async (feedVersionId, serviceDate) => { 
+    const cacheKey = `${feedVersionId}:${serviceDate}`;
+    const cached = serviceIdsCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.serviceIds;
+
+    const weekday = WEEKDAYS[new Date(Date.UTC(serviceDate.slice(0, 4), serviceDate.slice(4, 6) - 1, serviceDate.slice(6, 8))).getUTCDay()];
+
+    const [calendars, exceptions] = await Promise.all([
+        Calendar.find({ 
+            feedVersion: feedVersionId,
+            startDate: { $lte: serviceDate },
+            endDate: { $gte: serviceDate },
+            [weekday]: true
+        }).select('serviceId').lean(),
+        CalendarDate.find({ feedVersion: feedVersionId, date: serviceDate }).lean()
+    ]);
+
+    const serviceIds = new Set(calendars.map(calendar => calendar.serviceId));
+
+    // 1 - service added on this date, 2 - service removed (e.g. holidays)
+    for (const exception of exceptions) { 
+        if (exception.exceptionType === 1) serviceIds.add(exception.serviceId);
+        else serviceIds.delete(exception.serviceId);
+    }
+
+    // drop expired dates so the cache doesn't grow forever
+    for (const [key, entry] of serviceIdsCache) { 
+        if (entry.expiresAt <= Date.now()) serviceIdsCache.delete(key);
+    }
+    serviceIdsCache.set(cacheKey, { serviceIds: [...serviceIds], expiresAt: Date.now() + SERVICE_IDS_CACHE });
+
+    return [...serviceIds];
+}
+
+/**
+ * Get the mode name of a GTFS route_type
+ * @param {number} type - GTFS route_type
+ * @returns {string} 'bus', 'ctrain' or 'other'
+ */
+const getRouteMode = (type) => ROUTE_MODES[type] || 'other';
+
+/**
+ * Parse a comma separated list of modes (?type=bus,ctrain) into GTFS route_types
+ * @param {string} value - query parameter
+ * @returns {number[]|null} route_types, null if a mode is unknown
+ */
+const parseRouteTypes = (value) => { 
+    const modes = String(value).toLowerCase().split(',').map(mode => mode.trim()).filter(Boolean);
+    if (modes.length === 0 || modes.some(mode => !(mode in ROUTE_TYPES))) return null;
+
+    return modes.map(mode => ROUTE_TYPES[mode]);
+}
+
+/**
+ * Encode GeoJSON coordinates as an encoded polyline (Google polyline algorithm, 5 decimals)
+ * Much smaller than the raw coordinates and understood by most map libraries
+ * @param {number[][]} coordinates - [longitude, latitude] points
+ * @returns {string} encoded polyline
+ */
+const encodePolyline = (coordinates) => { 
+    const encodeValue = (value) => { 
+        let chunk = value < 0 ? ~(value << 1) : value << 1;
+        let output = '';
+
+        while (chunk >= 0x20) { 
+            output += String.fromCharCode((0x20 | (chunk & 0x1f)) + 63);
+            chunk >>= 5;
+        }
+        return output + String.fromCharCode(chunk + 63);
+    }
+
+    let lastLat = 0;
+    let lastLng = 0;
+    let output = '';
+
+    for (const [lng, lat] of coordinates) { 
+        const roundedLat = Math.round(lat * 1e5);
+        const roundedLng = Math.round(lng * 1e5);
+
+        // polyline order is latitude first, each value is the difference from the previous point
+        output += encodeValue(roundedLat - lastLat) + encodeValue(roundedLng - lastLng);
+        lastLat = roundedLat;
+        lastLng = roundedLng;
+    }
+
+    return output;
+}
+
+/**
+ * Format a route for API responses (GTFS ids are the public ids)
+ * @param {object} route - Route document (lean)
+ */
+const formatRoute = (route) => ({ 
+    id: route.routeId,
+    shortName: route.shortName,
+    longName: route.longName,
+    desc: route.desc,
+    mode: getRouteMode(route.type),
+    type: route.type,
+    color: route.color,
+    textColor: route.textColor,
+    url: route.url
+});
+
+/**
+ * Format a stop for API responses
+ * @param {object} stop - Stop document (lean)
+ */
+const formatStop = (stop) => ({ 
+    id: stop.stopId,
+    code: stop.code,
+    name: stop.name,
+    desc: stop.desc,
+    lat: stop.location?.coordinates?.[1],
+    lng: stop.location?.coordinates?.[0],
+    locationType: stop.locationType,
+    parentStation: stop.parentStation,
+    wheelchairBoarding: stop.wheelchairBoarding,
+    routeIds: stop.routeIds,
+    modes: [...new Set((stop.routeTypes || []).map(getRouteMode))]
+});
+
+/**
+ * Get the shapes driven by each route, as encoded polylines
+ * A route usually has one shape per direction, plus variants (short turns, detours)
+ * @param {string} feedVersionId - FeedVersion id
+ * @param {string[]} routeIds - GTFS route ids
+ * @returns {Map} routeId -> [{ shapeId, directionId, headsign, trips, polyline }] (most used first)
+ */
+const getRouteShapes = async (feedVersionId, routeIds) => { 
+    const routeShapes = await Trip.aggregate([
+        { $match: { feedVersion: feedVersionId, routeId: { $in: routeIds }, shapeId: { $ne: null } } },
+        { 
+            $group: { 
+                _id: { routeId: '$routeId', shapeId: '$shapeId' },
+                directionId: { $first: '$directionId' },
+                headsign: { $first: '$headsign' },
+                trips: { $sum: 1 }
+            }
+        },
+        { $sort: { trips: -1 } }
+    ]);
+
+    const shapes = await Shape.find({ 
+        feedVersion: feedVersionId,
+        shapeId: { $in: [...new Set(routeShapes.map(shape => shape._id.shapeId))] }
+    }).lean();
+    const shapesById = new Map(shapes.map(shape => [shape.shapeId, shape]));
+
+    const result = new Map(routeIds.map(routeId => [routeId, []]));
+    for (const { _id, directionId, headsign, trips } of routeShapes) { 
+        const shape = shapesById.get(_id.shapeId);
+        if (!shape) continue;
+
+        result.get(_id.routeId).push({ 
+            shapeId: _id.shapeId,
+            directionId,
+            headsign,
+            trips,
+            polyline: encodePolyline(shape.geometry.coordinates)
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Get the first and last dates a feed has service on (calendar.txt periods and added calendar_dates.txt dates)
+ * @param {string} feedVersionId - FeedVersion id
+ * @returns {object|null} { startDate, endDate } as YYYYMMDD, null if the feed has no calendar
+ */
+const getServiceDateRange = async (feedVersionId) => { 
+    if (serviceRangeCache.feedVersionId === String(feedVersionId)) return serviceRangeCache.range;
+
+    const [calendars, added] = await Promise.all([
+        Calendar.aggregate([
+            { $match: { feedVersion: feedVersionId } },
+            { $group: { _id: null, startDate: { $min: '$startDate' }, endDate: { $max: '$endDate' } } }
+        ]),
+        CalendarDate.aggregate([
+            { $match: { feedVersion: feedVersionId, exceptionType: 1 } },
+            { $group: { _id: null, startDate: { $min: '$date' }, endDate: { $max: '$date' } } }
+        ])
+    ]);
+
+    const dates = [...calendars, ...added];
+    const range = dates.length
+        ? { 
+            startDate: dates.map(date => date.startDate).sort()[0],
+            endDate: dates.map(date => date.endDate).sort().pop()
+        }
+        : null;
+
+    serviceRangeCache = { feedVersionId: String(feedVersionId), range };
+    return range;
+}
+
+module.exports = { 
+    TIME_ZONE,
+    ROUTE_TYPES,
+    getRouteMode,
+    parseRouteTypes,
+    encodePolyline,
+    formatRoute,
+    formatStop,
+    getRouteShapes,
+    getActiveFeedVersion,
+    clearActiveFeedCache,
+    parseGtfsTime,
+    formatGtfsTime,
+    getZonedParts,
+    getServiceDate,
+    shiftServiceDate,
+    getServiceDayStart,
+    getActiveServiceIds,
+    getServiceDateRange
+}
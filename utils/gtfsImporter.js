@@ -0,0 +1,626 @@
+/**
+ * GTFS Importer Utility
+ * 
+ * Loads a GTFS static zip (Calgary Transit feed) into MongoDB
+ * 
+ * The import is versioned: every record is tagged with a new FeedVersion and loaded next to the data
+ * currently served by the API. The new feed only becomes active once every file has been imported and
+ * validated - if anything fails, its records are removed and the previous feed stays active.
+ */
+
+const path = require('path');
+const yauzl = require('yauzl');
+const { parse } = require('csv-parse');
+
+const FeedVersion = require('../models/FeedVersion');
+const Agency = require('../models/Agency');
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const Trip = require('../models/Trip');
+const StopTime = require('../models/StopTime');
+const Calendar = require('../models/Calendar');
+const CalendarDate = require('../models/CalendarDate');
+const Shape = require('../models/Shape');
+const { clearActiveFeedCache, parseGtfsTime } = require('./gtfs');
+
+const GTFS_MODELS = [Agency, Route, Stop, Trip, StopTime, Calendar, CalendarDate, Shape];
+const REQUIRED_FILES = ['agency.txt', 'stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+const BATCH_SIZE = 5000;                    // records per insertMany
+const MAX_ERRORS = 100;                     // errors kept on the feed version
+const KEEP_VERSIONS = 2;                    // active feed + the previous one (for rollback)
+const STALE_IMPORT = 2 * 60 * 60 * 1000;    // an import running for 2 hours has crashed
+
+// GTFS files with their required columns
+const REQUIRED_COLUMNS = { 
+    'agency.txt': ['agency_name', 'agency_url', 'agency_timezone'],
+    'stops.txt': ['stop_id'],
+    'routes.txt': ['route_id', 'route_type'],
+    'trips.txt': ['route_id', 'service_id', 'trip_id'],
+    'stop_times.txt': ['trip_id', 'stop_id', 'stop_sequence'],
+    'calendar.txt': ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'],
+    'calendar_dates.txt': ['service_id', 'date', 'exception_type'],
+    'shapes.txt': ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence']
+};
+
+/**
+ * Create an import error (code lets the controller pick the response status)
+ * @param {string} message - error message
+ * @param {string} code - INVALID_FEED or IMPORT_IN_PROGRESS
+ * @returns {Error} error with a code
+ */
+const createImportError = (message, code = 'INVALID_FEED') => { 
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// empty strings become undefined so optional fields are left out
+const toNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+const toText = (value) => (value === undefined || value === '' ? undefined : value);
+const isDate = (value) => /^\d{8}$/.test(value || '');
+
+/**
+ * Open a zip file and index its entries by file name
+ * @param {string} filePath - path to the GTFS zip
+ * @returns {object} { zipfile, entries }
+ */
+const openZip = (filePath) => { 
+    return new Promise((resolve, reject) => { 
+        yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (error, zipfile) => { 
+            if (error) return reject(createImportError(`Cannot open GTFS zip: ${error.message}`));
+
+            const entries = new Map();
+            zipfile.on('entry', (entry) => { 
+                // some feeds put the files in a folder inside the zip
+                if (!entry.fileName.endsWith('/')) entries.set(path.posix.basename(entry.fileName), entry);
+                zipfile.readEntry();
+            });
+            zipfile.on('end', () => resolve({ zipfile, entries }));
+            zipfile.on('error', reject);
+            zipfile.readEntry();
+        });
+    });
+}
+
+/**
+ * Stream the rows of a CSV file from the zip
+ * @param {object} zip - { zipfile, entries } from openZip
+ * @param {string} fileName - GTFS file name
+ * @returns {AsyncIterable} rows as objects keyed by column name
+ */
+const readCsv = async function* (zip, fileName) { 
+    const stream = await new Promise((resolve, reject) => { 
+        zip.zipfile.openReadStream(zip.entries.get(fileName), (error, readStream) => { 
+            if (error) return reject(error);
+            resolve(readStream);
+        });
+    });
+
+    const parser = stream.pipe(parse({ 
+        columns: (header) => header.map(column => column.trim()),
+        bom: true,
+        trim: true,
+        skip_empty_lines: true,
+        relax_column_count: true
+    }));
+
+    // pipe doesn't forward errors - a corrupt entry (inflate / CRC error) must fail the import, not crash the process
+    stream.on('error', error => parser.destroy(error));
+
+    for await (const row of parser) yield row;
+}
+
+/**
+ * Create the import context (shared state while going through the files)
+ * @param {object} feedVersion - FeedVersion being imported
+ */
+const createContext = (feedVersion) => ({ 
+    feedVersion,
+    errors: [],
+    errorCount: 0,
+    counts: {},
+    ids: { 
+        stops: new Set(),
+        routes: new Set(),
+        services: new Set(),
+        shapes: new Set(),
+        trips: new Set()
+    },
+    routeTypes: new Map(),  // routeId -> route_type
+    tripRoutes: new Map(),  // tripId -> routeId
+    stopRoutes: new Map()   // stopId -> routeIds serving the stop
+});
+
+/**
+ * Record a validation error (only the first MAX_ERRORS are kept)
+ */
+const addError = (context, message) => { 
+    context.errorCount++;
+    if (context.errors.length < MAX_ERRORS) context.errors.push(message);
+}
+
+/**
+ * Insert a batch of records, duplicate ids in the feed are reported as errors
+ */
+const insertBatch = async (context, Model, fileName, batch) => { 
+    if (batch.length === 0) return;
+
+    try { 
+        await Model.insertMany(batch, { ordered: false, lean: true });
+    }
+    catch (error) { 
+        if (error.code !== 11000 && !error.writeErrors) throw error;
+
+        for (const writeError of error.writeErrors || [error]) { 
+            addError(context, `${fileName}: duplicate record (${writeError.errmsg || writeError.message})`);
+        }
+    }
+}
+
+/**
+ * Import one GTFS file
+ * @param {object} context - import context
+ * @param {object} zip - opened zip
+ * @param {string} fileName - GTFS file name
+ * @param {object} Model - mongoose model to insert into
+ * @param {function} mapRow - (row, line) => document, or null to skip the row
+ */
+const importFile = async (context, zip, fileName, Model, mapRow) => { 
+    let batch = [];
+    let line = 1; // header
+    let count = 0;
+    let checkedColumns = false;
+
+    for await (const row of readCsv(zip, fileName)) { 
+        line++;
+
+        // check the header once
+        if (!checkedColumns) { 
+            const missing = REQUIRED_COLUMNS[fileName].filter(column => !(column in row));
+            if (missing.length) throw createImportError(`${fileName}: missing required columns ${missing.join(', ')}`);
+            checkedColumns = true;
+        }
+
+        const doc = mapRow(row, line);
+        if (!doc) continue;
+
+        batch.push({ ...doc, feedVersion: context.feedVersion._id });
+        count++;
+
+        if (batch.length >= BATCH_SIZE) { 
+            await insertBatch(context, Model, fileName, batch);
+            batch = [];
+        }
+    }
+
+    await insertBatch(context, Model, fileName, batch);
+    context.counts[fileName.replace('.txt', '')] = count; // map keys can't contain dots
+    console.log(`GTFS import: ${fileName} - ${count} records`);
+}
+
+// ROW MAPPERS (GTFS row -> document, validation errors are added to the context)
+
+const mapAgency = (context) => (row, line) => { 
+    if (!row.agency_name) { 
+        addError(context, `agency.txt:${line} missing agency_name`);
+        return null;
+    }
+
+    return { 
+        agencyId: row.agency_id || '',
+        name: row.agency_name,
+        url: toText(row.agency_url),
+        timezone: toText(row.agency_timezone),
+        lang: toText(row.agency_lang),
+        phone: toText(row.agency_phone)
+    };
+}
+
+const mapStop = (context) => (row, line) => { 
+    if (!row.stop_id) { 
+        addError(context, `stops.txt:${line} missing stop_id`);
+        return null;
+    }
+
+    const lat = toNumber(row.stop_lat);
+    const lon = toNumber(row.stop_lon);
+    const locationType = toNumber(row.location_type) || 0;
+
+    // stops, stations and entrances must have a position
+    const hasPosition = Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+    if (!hasPosition && locationType <= 2) { 
+        addError(context, `stops.txt:${line} stop ${row.stop_id} has an invalid position`);
+        return null;
+    }
+
+    context.ids.stops.add(row.stop_id);
+
+    return { 
+        stopId: row.stop_id,
+        code: toText(row.stop_code),
+        name: toText(row.stop_name),
+        desc: toText(row.stop_desc),
+        ...(hasPosition && { location: { type: 'Point', coordinates: [lon, lat] } }),
+        zoneId: toText(row.zone_id),
+        url: toText(row.stop_url),
+        locationType,
+        parentStation: toText(row.parent_station),
+        wheelchairBoarding: toNumber(row.wheelchair_boarding)
+    };
+}
+
+const mapRoute = (context) => (row, line) => { 
+    const type = toNumber(row.route_type);
+
+    if (!row.route_id) { 
+        addError(context, `routes.txt:${line} missing route_id`);
+        return null;
+    }
+    if (!Number.isInteger(type)) { 
+        addError(context, `routes.txt:${line} route ${row.route_id} has an invalid route_type`);
+        return null;
+    }
+    if (!row.route_short_name && !row.route_long_name) { 
+        addError(context, `routes.txt:${line} route ${row.route_id} needs a short or long name`);
+        return null;
+    }
+
+    context.ids.routes.add(row.route_id);
+    context.routeTypes.set(row.route_id, type);
+
+    return { 
+        routeId: row.route_id,
+        agencyId: row.agency_id || '',
+        shortName: toText(row.route_short_name),
+        longName: toText(row.route_long_name),
+        desc: toText(row.route_desc),
+        type,
+        url: toText(row.route_url),
+        color: toText(row.route_color),
+        textColor: toText(row.route_text_color),
+        sortOrder: toNumber(row.route_sort_order)
+    };
+}
+
+const mapCalendar = (context) => (row, line) => { 
+    if (!row.service_id) { 
+        addError(context, `calendar.txt:${line} missing service_id`);
+        return null;
+    }
+    if (!isDate(row.start_date) || !isDate(row.end_date)) { 
+        addError(context, `calendar.txt:${line} service ${row.service_id} has invalid dates`);
+        return null;
+    }
+
+    context.ids.services.add(row.service_id);
+
+    const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+    return { 
+        serviceId: row.service_id,
+        ...Object.fromEntries(days.map(day => [day, row[day] === '1'])),
+        startDate: row.start_date,
+        endDate: row.end_date
+    };
+}
+
+const mapCalendarDate = (context) => (row, line) => { 
+    const exceptionType = toNumber(row.exception_type);
+
+    if (!row.service_id || !isDate(row.date) || ![1, 2].includes(exceptionType)) { 
+        addError(context, `calendar_dates.txt:${line} invalid service exception`);
+        return null;
+    }
+
+    context.ids.services.add(row.service_id);
+
+    return { 
+        serviceId: row.service_id,
+        date: row.date,
+        exceptionType
+    };
+}
+
+const mapTrip = (context) => (row, line) => { 
+    if (!row.trip_id) { 
+        addError(context, `trips.txt:${line} missing trip_id`);
+        return null;
+    }
+
+    // references to other files
+    if (!context.ids.routes.has(row.route_id)) { 
+        addError(context, `trips.txt:${line} trip ${row.trip_id} references unknown route ${row.route_id}`);
+    }
+    if (!context.ids.services.has(row.service_id)) { 
+        addError(context, `trips.txt:${line} trip ${row.trip_id} references unknown service ${row.service_id}`);
+    }
+    if (row.shape_id && !context.ids.shapes.has(row.shape_id)) { 
+        addError(context, `trips.txt:${line} trip ${row.trip_id} references unknown shape ${row.shape_id}`);
+    }
+
+    context.ids.trips.add(row.trip_id);
+    context.tripRoutes.set(row.trip_id, row.route_id);
+
+    return { 
+        tripId: row.trip_id,
+        routeId: row.route_id,
+        serviceId: row.service_id,
+        headsign: toText(row.trip_headsign),
+        shortName: toText(row.trip_short_name),
+        directionId: toNumber(row.direction_id),
+        blockId: toText(row.block_id),
+        shapeId: toText(row.shape_id),
+        wheelchairAccessible: toNumber(row.wheelchair_accessible),
+        bikesAllowed: toNumber(row.bikes_allowed)
+    };
+}
+
+const mapStopTime = (context) => (row, line) => { 
+    const stopSequence = toNumber(row.stop_sequence);
+
+    if (!context.ids.trips.has(row.trip_id)) { 
+        addError(context, `stop_times.txt:${line} references unknown trip ${row.trip_id}`);
+        return null;
+    }
+    if (!context.ids.stops.has(row.stop_id)) { 
+        addError(context, `stop_times.txt:${line} references unknown stop ${row.stop_id}`);
+        return null;
+    }
+    if (!Number.isInteger(stopSequence)) { 
+        addError(context, `stop_times.txt:${line} has an invalid stop_sequence`);
+        return null;
+    }
+
+    // times may be empty for stops between timepoints, but must be valid when present
+    const arrivalSeconds = parseGtfsTime(row.arrival_time);
+    const departureSeconds = parseGtfsTime(row.departure_time);
+    if ((row.arrival_time && arrivalSeconds === null) || (row.departure_time && departureSeconds === null)) { 
+        addError(context, `stop_times.txt:${line} has an invalid time`);
+        return null;
+    }
+
+    // remember which routes serve the stop (used to filter stops by route / route type)
+    if (!context.stopRoutes.has(row.stop_id)) context.stopRoutes.set(row.stop_id, new Set());
+    context.stopRoutes.get(row.stop_id).add(context.tripRoutes.get(row.trip_id));
+
+    return { 
+        tripId: row.trip_id,
+        stopId: row.stop_id,
+        stopSequence,
+        arrivalTime: toText(row.arrival_time),
+        departureTime: toText(row.departure_time),
+        arrivalSeconds: arrivalSeconds ?? departureSeconds ?? undefined,
+        departureSeconds: departureSeconds ?? arrivalSeconds ?? undefined,
+        stopHeadsign: toText(row.stop_headsign),
+        pickupType: toNumber(row.pickup_type),
+        dropOffType: toNumber(row.drop_off_type),
+        shapeDistTraveled: toNumber(row.shape_dist_traveled),
+        timepoint: toNumber(row.timepoint)
+    };
+}
+
+/**
+ * Import shapes.txt - points are grouped into one GeoJSON line per shape
+ */
+const importShapes = async (context, zip) => { 
+    const shapes = new Map();
+    let line = 1;
+
+    for await (const row of readCsv(zip, 'shapes.txt')) { 
+        line++;
+        const lat = toNumber(row.shape_pt_lat);
+        const lon = toNumber(row.shape_pt_lon);
+        const sequence = toNumber(row.shape_pt_sequence);
+
+        if (!row.shape_id || !Number.isFinite(lat) || !Number.isFinite(lon) || !Number.isInteger(sequence)) { 
+            addError(context, `shapes.txt:${line} invalid shape point`);
+            continue;
+        }
+
+        if (!shapes.has(row.shape_id)) shapes.set(row.shape_id, []);
+        shapes.get(row.shape_id).push({ sequence, coordinates: [lon, lat], distance: toNumber(row.shape_dist_traveled) });
+    }
+
+    const docs = [];
+    for (const [shapeId, points] of shapes) { 
+        points.sort((a, b) => a.sequence - b.sequence);
+        context.ids.shapes.add(shapeId);
+
+        const hasDistances = points.every(point => point.distance !== undefined);
+        docs.push({ 
+            feedVersion: context.feedVersion._id,
+            shapeId,
+            geometry: { type: 'LineString', coordinates: points.map(point => point.coordinates) },
+            distances: hasDistances ? points.map(point => point.distance) : undefined
+        });
+    }
+
+    for (let i = 0; i < docs.length; i += BATCH_SIZE) { 
+        await insertBatch(context, Shape, 'shapes.txt', docs.slice(i, i + BATCH_SIZE));
+    }
+
+    context.counts.shapes = docs.length;
+    console.log(`GTFS import: shapes.txt - ${docs.length} shapes`);
+}
+
+/**
+ * Store the routes serving each stop (stations get the routes of their platforms)
+ * Done once at import so stop searches can filter by route or route type with an index
+ */
+const linkStopsToRoutes = async (context) => { 
+    const stations = await Stop.find({ feedVersion: context.feedVersion._id, parentStation: { $ne: null } })
+        .select('stopId parentStation')
+        .lean();
+
+    for (const { stopId, parentStation } of stations) { 
+        const routeIds = context.stopRoutes.get(stopId);
+        if (!routeIds) continue;
+
+        if (!context.stopRoutes.has(parentStation)) context.stopRoutes.set(parentStation, new Set());
+        routeIds.forEach(routeId => context.stopRoutes.get(parentStation).add(routeId));
+    }
+
+    const updates = [...context.stopRoutes].map(([stopId, routeIds]) => ({ 
+        updateOne: { 
+            filter: { feedVersion: context.feedVersion._id, stopId },
+            update: { 
+                $set: { 
+                    routeIds: [...routeIds],
+                    routeTypes: [...new Set([...routeIds].map(routeId => context.routeTypes.get(routeId)))]
+                }
+            }
+        }
+    }));
+
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) { 
+        await Stop.bulkWrite(updates.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+}
+
+/**
+ * Read feed_info.txt (optional)
+ */
+const readFeedInfo = async (zip) => { 
+    for await (const row of readCsv(zip, 'feed_info.txt')) { 
+        return { 
+            publisherName: toText(row.feed_publisher_name),
+            version: toText(row.feed_version),
+            startDate: toText(row.feed_start_date),
+            endDate: toText(row.feed_end_date)
+        };
+    }
+    return undefined;
+}
+
+/**
+ * Remove every record of a feed version
+ * @param {string} feedVersionId - FeedVersion id
+ */
+const removeFeedData = async (feedVersionId) => { 
+    for (const Model of GTFS_MODELS) { 
+        await Model.deleteMany({ feedVersion: feedVersionId });
+    }
+}
+
+/**
+ * Make a fully imported feed the one served by the API, then remove old feeds
+ * @param {object} feedVersion - imported FeedVersion
+ */
+const activateFeedVersion = async (feedVersion) => { 
+    // switching is a single update - readers see either the old or the new feed, never a mix
+    feedVersion.status = 'active';
+    feedVersion.activatedAt = Date.now();
+    await feedVersion.save();
+
+    await FeedVersion.updateMany(
+        { status: 'active', _id: { $ne: feedVersion._id } },
+        { status: 'superseded' }
+    );
+    clearActiveFeedCache();
+
+    // keep the previous feed for rollback, remove the data of older ones
+    const oldVersions = await FeedVersion.find({ status: 'superseded' })
+        .sort({ activatedAt: -1 })
+        .skip(KEEP_VERSIONS - 1);
+
+    for (const oldVersion of oldVersions) { 
+        if (oldVersion.dataRemovedAt) continue;
+
+        await removeFeedData(oldVersion._id);
+        oldVersion.dataRemovedAt = Date.now();
+        await oldVersion.save();
+    }
+}
+
+/**
+ * Create the feed version for a new import
+ * Only one import can run at a time
+ * @param {string} source - zip file name
+ * @param {string} importedBy - admin user id (null from the CLI)
+ * @returns {object} created FeedVersion
+ */
+const createFeedVersion = async (source, importedBy = null) => { 
+    // imports that have been running for too long have crashed - clean them up
+    const staleImports = await FeedVersion.find({ status: 'importing', startedAt: { $lt: Date.now() - STALE_IMPORT } });
+    for (const staleImport of staleImports) { 
+        await removeFeedData(staleImport._id);
+        staleImport.status = 'failed';
+        staleImport.importErrors.push('Import did not finish');
+        await staleImport.save();
+    }
+
+    // the unique partial index on status 'importing' makes this atomic
+    try { 
+        return await FeedVersion.create({ source, importedBy });
+    }
+    catch (error) { 
+        if (error.code === 11000) throw createImportError('Another GTFS import is already running', 'IMPORT_IN_PROGRESS');
+        throw error;
+    }
+}
+
+/**
+ * Import a GTFS zip into a feed version and activate it
+ * @param {string} filePath - path to the GTFS zip
+ * @param {object} feedVersion - FeedVersion from createFeedVersion
+ * @returns {object} FeedVersion (active, or failed with importErrors)
+ */
+const importGtfsFeed = async (filePath, feedVersion) => { 
+    const context = createContext(feedVersion);
+    let zip;
+
+    try { 
+        zip = await openZip(filePath);
+
+        const missing = REQUIRED_FILES.filter(fileName => !zip.entries.has(fileName));
+        if (!zip.entries.has('calendar.txt') && !zip.entries.has('calendar_dates.txt')) missing.push('calendar.txt or calendar_dates.txt');
+        if (missing.length) throw createImportError(`Missing required files: ${missing.join(', ')}`);
+
+        if (zip.entries.has('feed_info.txt')) feedVersion.feedInfo = await readFeedInfo(zip);
+
+        // files are imported in dependency order so references can be checked
+        await importFile(context, zip, 'agency.txt', Agency, mapAgency(context));
+        await importFile(context, zip, 'stops.txt', Stop, mapStop(context));
+        await importFile(context, zip, 'routes.txt', Route, mapRoute(context));
+        if (zip.entries.has('calendar.txt')) await importFile(context, zip, 'calendar.txt', Calendar, mapCalendar(context));
+        if (zip.entries.has('calendar_dates.txt')) await importFile(context, zip, 'calendar_dates.txt', CalendarDate, mapCalendarDate(context));
+        if (zip.entries.has('shapes.txt')) await importShapes(context, zip);
+        await importFile(context, zip, 'trips.txt', Trip, mapTrip(context));
+        await importFile(context, zip, 'stop_times.txt', StopTime, mapStopTime(context));
+
+        if (context.errorCount > 0) { 
+            throw createImportError(`Feed has ${context.errorCount} validation errors`);
+        }
+
+        await linkStopsToRoutes(context);
+
+        feedVersion.counts = context.counts;
+        feedVersion.completedAt = Date.now();
+        await activateFeedVersion(feedVersion);
+
+        console.log(`GTFS import: feed ${feedVersion._id} is now active`);
+        return feedVersion;
+    }
+    catch (error) { 
+        console.error(`GTFS import failed: ${error.message}`);
+
+        // remove partial data - the previous feed stays active
+        await removeFeedData(feedVersion._id);
+
+        feedVersion.status = 'failed';
+        feedVersion.completedAt = Date.now();
+        feedVersion.counts = context.counts;
+        feedVersion.importErrors = [error.message, ...context.errors].slice(0, MAX_ERRORS);
+        await feedVersion.save();
+
+        return feedVersion;
+    }
+    finally { 
+        if (zip) zip.zipfile.close();
+    }
+}
+
+module.exports = { 
+    createFeedVersion,
+    importGtfsFeed,
+    removeFeedData
+}
@@ -0,0 +1,529 @@
+/**
+ * GTFS-Realtime Utility
+ * 
+ * Polls the GTFS-Realtime feeds (VehiclePositions, TripUpdates, ServiceAlerts),
+ * matches vehicles and trip updates to the trips of the active GTFS feed
+ * and keeps the latest snapshot in memory (served by the API) and in MongoDB (restarts, other instances)
+ * 
+ * Feeds are configured with GTFS_RT_VEHICLE_POSITIONS_URL, GTFS_RT_TRIP_UPDATES_URL and GTFS_RT_ALERTS_URL
+ * (URL or file path, see utils/realtimeSource.js), a feed without a location is not polled
+ * 
+ * Instances that don't poll (GTFS_RT_POLLER=false) read the snapshot saved by the poller instead
+ */
+
+const { EventEmitter } = require('events');
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const VehiclePosition = require('../models/VehiclePosition');
+const TripUpdate = require('../models/TripUpdate');
+const ServiceAlert = require('../models/ServiceAlert');
+const Trip = require('../models/Trip');
+const StopTime = require('../models/StopTime');
+const { getActiveFeedVersion, getServiceDate, shiftServiceDate, getServiceDayStart } = require('./gtfs');
+const { createFeedSource } = require('./realtimeSource');
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+const DEFAULT_POLL_INTERVAL = 30 * 1000;    // Calgary Transit refreshes its feeds about every 30 seconds
+const SNAPSHOT_MAX_AGE = 5 * 60 * 1000;     // a saved snapshot older than 5 minutes is not loaded at startup
+const BATCH_SIZE = 1000;                    // snapshot records per bulkWrite
+
+// feed name -> configuration and the fields identifying a record
+const FEEDS = { 
+    vehiclePositions: { env: 'GTFS_RT_VEHICLE_POSITIONS_URL', Model: VehiclePosition, keyFields: ['vehicleId'] },
+    tripUpdates: { env: 'GTFS_RT_TRIP_UPDATES_URL', Model: TripUpdate, keyFields: ['tripId', 'startDate'] },
+    alerts: { env: 'GTFS_RT_ALERTS_URL', Model: ServiceAlert, keyFields: ['alertId'] }
+};
+
+// latest records of each feed (key -> record) and when they were fetched
+const snapshot = { 
+    vehiclePositions: new Map(),
+    tripUpdates: new Map(),
+    alerts: new Map(),
+    fetchedAt: {}
+};
+
+// emits 'vehiclePositions', 'tripUpdates' and 'alerts' with the new records after every poll
+const realtimeEvents = new EventEmitter();
+
+let pollerTimer = null;
+let polling = false;
+let sources = {};
+
+const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : undefined);
+const toDegrees = (value) => Math.round(value * 1e6) / 1e6; // positions are 32-bit floats in the feed
+const getKey = (feed, record) => FEEDS[feed].keyFields.map(field => record[field]).join('|');
+
+// translated strings ({ translation: [{ text, language }] }) -> [{ text, language }]
+const toTranslations = (value) => (value?.translation || []).map(({ text, language }) => ({ text, language }));
+
+/**
+ * Convert a VehiclePosition entity to a VehiclePosition record
+ */
+const parseVehiclePosition = (entity, fetchedAt) => { 
+    const { vehicle } = entity;
+    if (!vehicle?.position) return null;
+
+    return { 
+        vehicleId: vehicle.vehicle?.id || entity.id,
+        label: vehicle.vehicle?.label,
+        tripId: vehicle.trip?.tripId,
+        routeId: vehicle.trip?.routeId,
+        directionId: vehicle.trip?.directionId,
+        startDate: vehicle.trip?.startDate,
+        matched: false,
+        location: { type: 'Point', coordinates: [toDegrees(vehicle.position.longitude), toDegrees(vehicle.position.latitude)] },
+        bearing: vehicle.position.bearing,
+        speed: vehicle.position.speed,
+        currentStopSequence: vehicle.currentStopSequence,
+        stopId: vehicle.stopId,
+        currentStatus: vehicle.currentStatus,
+        occupancyStatus: vehicle.occupancyStatus,
+        timestamp: toDate(vehicle.timestamp),
+        fetchedAt
+    };
+}
+
+/**
+ * Convert a TripUpdate entity to a TripUpdate record
+ */
+const parseTripUpdate = (entity, fetchedAt) => { 
+    const { tripUpdate } = entity;
+    if (!tripUpdate?.trip?.tripId) return null;
+
+    return { 
+        tripId: tripUpdate.trip.tripId,
+        startDate: tripUpdate.trip.startDate || '',
+        routeId: tripUpdate.trip.routeId,
+        directionId: tripUpdate.trip.directionId,
+        vehicleId: tripUpdate.vehicle?.id,
+        scheduleRelationship: tripUpdate.trip.scheduleRelationship || 'SCHEDULED',
+        delay: tripUpdate.delay,
+        matched: false,
+        stopTimeUpdates: (tripUpdate.stopTimeUpdate || []).map(update => ({
+            stopSequence: update.stopSequence,
+            stopId: update.stopId,
+            arrivalTime: toDate(update.arrival?.time),
+            arrivalDelay: update.arrival?.delay,
+            departureTime: toDate(update.departure?.time),
+            departureDelay: update.departure?.delay,
+            scheduleRelationship: update.scheduleRelationship || 'SCHEDULED'
+        })),
+        timestamp: toDate(tripUpdate.timestamp),
+        fetchedAt
+    };
+}
+
+/**
+ * Convert an Alert entity to a ServiceAlert record
+ */
+const parseAlert = (entity, fetchedAt) => { 
+    const { alert } = entity;
+    if (!alert) return null;
+
+    const informed = alert.informedEntity || [];
+    const collect = (getValue) => [...new Set(informed.map(getValue).filter(Boolean))];
+
+    return { 
+        alertId: entity.id,
+        cause: alert.cause,
+        effect: alert.effect,
+        severity: alert.severityLevel,
+        headerText: toTranslations(alert.headerText),
+        descriptionText: toTranslations(alert.descriptionText),
+        url: toTranslations(alert.url),
+        activePeriods: (alert.activePeriod || []).map(period => ({ start: toDate(period.start), end: toDate(period.end) })),
+        routeIds: collect(item => item.routeId),
+        stopIds: collect(item => item.stopId),
+        tripIds: collect(item => item.trip?.tripId),
+        fetchedAt
+    };
+}
+
+const PARSERS = { 
+    vehiclePositions: parseVehiclePosition,
+    tripUpdates: parseTripUpdate,
+    alerts: parseAlert
+};
+
+/**
+ * Work out the delays of stop time updates that only have an absolute time (Calgary's feed)
+ * from the scheduled times of the trip, so stops after the last prediction can carry the delay
+ * @param {object} record - trip update (stop sequences already resolved)
+ * @param {object[]} tripStops - stop times of the trip with arrivalSeconds / departureSeconds
+ */
+const fillDelays = (record, tripStops) => { 
+    // without a start date, the delay is counted from the service day the time is closest to
+    const today = getServiceDate(record.fetchedAt);
+    const dayStarts = (record.startDate ? [record.startDate] : [shiftServiceDate(today, -1), today]).map(getServiceDayStart);
+
+    for (const update of record.stopTimeUpdates) { 
+        const stopTime = tripStops.find(item => item.stopSequence === update.stopSequence);
+        if (!stopTime) continue;
+
+        for (const [time, delay, seconds] of [['arrivalTime', 'arrivalDelay', 'arrivalSeconds'], ['departureTime', 'departureDelay', 'departureSeconds']]) { 
+            if (!update[time] || update[delay] != null || stopTime[seconds] == null) continue;
+
+            update[delay] = dayStarts
+                .map(dayStart => Math.round((update[time] - dayStart) / 1000) - stopTime[seconds])
+                .reduce((best, value) => (Math.abs(value) < Math.abs(best) ? value : best));
+        }
+    }
+}
+
+/**
+ * Match realtime records to the trips of the active GTFS feed
+ * Fills in the route / direction the feed left out, the stop_sequence of stop time updates
+ * that only have a stop_id and the delay of the ones that only have a time (needed to propagate delays along the trip)
+ * @param {object} feedVersion - active FeedVersion
+ * @param {object[]} records - vehicle positions or trip updates
+ */
+const matchToStaticTrips = async (feedVersion, records) => { 
+    const tripIds = [...new Set(records.map(record => record.tripId).filter(Boolean))];
+    if (tripIds.length === 0) return;
+
+    const trips = await Trip.find({ feedVersion: feedVersion._id, tripId: { $in: tripIds } })
+        .select('tripId routeId directionId')
+        .lean();
+    const tripsById = new Map(trips.map(trip => [trip.tripId, trip]));
+
+    for (const record of records) { 
+        const trip = tripsById.get(record.tripId);
+        if (!trip) continue;
+
+        record.matched = true;
+        record.routeId = record.routeId || trip.routeId;
+        record.directionId = record.directionId ?? trip.directionId;
+    }
+
+    // updates without a stop_sequence, or with a time but no delay, need the trip's schedule
+    const needsSchedule = (update) => update.stopSequence === undefined
+        || (update.arrivalTime && update.arrivalDelay == null)
+        || (update.departureTime && update.departureDelay == null);
+
+    const incomplete = records.filter(record => record.matched && record.stopTimeUpdates?.some(needsSchedule));
+    if (incomplete.length === 0) return;
+
+    const stopTimes = await StopTime.find({ feedVersion: feedVersion._id, tripId: { $in: incomplete.map(record => record.tripId) } })
+        .select('tripId stopId stopSequence arrivalSeconds departureSeconds')
+        .sort({ stopSequence: 1 })
+        .lean();
+
+    const stopTimesByTrip = new Map();
+    for (const stopTime of stopTimes) { 
+        if (!stopTimesByTrip.has(stopTime.tripId)) stopTimesByTrip.set(stopTime.tripId, []);
+        stopTimesByTrip.get(stopTime.tripId).push(stopTime);
+    }
+
+    for (const record of incomplete) { 
+        const tripStops = stopTimesByTrip.get(record.tripId) || [];
+        let lastSequence = -1;
+
+        // updates are in trip order, so a stop served twice (loop) resolves to the next visit
+        for (const update of record.stopTimeUpdates) { 
+            if (update.stopSequence === undefined) { 
+                const stopTime = tripStops.find(item => item.stopId === update.stopId && item.stopSequence > lastSequence);
+                if (stopTime) update.stopSequence = stopTime.stopSequence;
+            }
+            if (update.stopSequence !== undefined) lastSequence = update.stopSequence;
+        }
+
+        fillDelays(record, tripStops);
+    }
+}
+
+/**
+ * Replace the saved snapshot of a feed (records missing from the latest poll are removed)
+ */
+const saveSnapshot = async (feed, records, fetchedAt) => { 
+    const { Model, keyFields } = FEEDS[feed];
+
+    const operations = records.map(record => ({
+        replaceOne: { 
+            filter: Object.fromEntries(keyFields.map(field => [field, record[field]])),
+            replacement: record,
+            upsert: true
+        }
+    }));
+
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) { 
+        await Model.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+
+    await Model.deleteMany({ fetchedAt: { $lt: fetchedAt } });
+}
+
+/**
+ * Fetch, decode and store one feed
+ * @param {string} feed - vehiclePositions, tripUpdates or alerts
+ */
+const pollFeed = async (feed) => { 
+    const buffer = await sources[feed].read();
+    const message = FeedMessage.toObject(FeedMessage.decode(buffer), { longs: Number, enums: String });
+    const fetchedAt = new Date();
+
+    const parsed = (message.entity || [])
+        .filter(entity => !entity.isDeleted)
+        .map(entity => PARSERS[feed](entity, fetchedAt))
+        .filter(Boolean);
+
+    if (feed !== 'alerts') { 
+        const feedVersion = await getActiveFeedVersion();
+        if (feedVersion) await matchToStaticTrips(feedVersion, parsed);
+    }
+
+    // one record per key (a feed can repeat an entity)
+    const records = new Map(parsed.map(record => [getKey(feed, record), record]));
+
+    snapshot[feed] = records;
+    snapshot.fetchedAt[feed] = fetchedAt;
+
+    await saveSnapshot(feed, [...records.values()], fetchedAt);
+    realtimeEvents.emit(feed, [...records.values()]);
+}
+
+/**
+ * Poll every configured feed once (a failing feed doesn't stop the others)
+ */
+const pollRealtimeFeeds = async () => { 
+    if (polling) return; // previous poll still running
+    polling = true;
+
+    try { 
+        for (const feed of Object.keys(sources)) { 
+            try { 
+                await pollFeed(feed);
+            }
+            catch (error) { 
+                console.error(`GTFS-Realtime ${feed} poll error: ${error.message}`);
+            }
+        }
+    }
+    finally { 
+        polling = false;
+    }
+}
+
+/**
+ * Load the saved snapshot so predictions are available before the first poll completes
+ */
+const loadSnapshot = async () => { 
+    for (const feed of Object.keys(sources)) { 
+        const records = await FEEDS[feed].Model.find({ fetchedAt: { $gt: Date.now() - SNAPSHOT_MAX_AGE } }).lean();
+        if (records.length === 0) continue;
+
+        snapshot[feed] = new Map(records.map(record => [getKey(feed, record), record]));
+        snapshot.fetchedAt[feed] = records[0].fetchedAt;
+    }
+}
+
+/**
+ * Reload a feed from MongoDB when the poller instance saved a newer poll
+ * @param {string} feed - vehiclePositions, tripUpdates or alerts
+ */
+const readFeedSnapshot = async (feed) => { 
+    const { Model } = FEEDS[feed];
+
+    const latest = await Model.findOne().sort({ fetchedAt: -1 }).select('fetchedAt').lean();
+
+    // the last poll had no records
+    if (!latest) { 
+        if (snapshot[feed].size === 0) return;
+        snapshot[feed] = new Map();
+        delete snapshot.fetchedAt[feed];
+        realtimeEvents.emit(feed, []);
+        return;
+    }
+
+    if (latest.fetchedAt.getTime() === snapshot.fetchedAt[feed]?.getTime()) return;
+    if (!snapshot.fetchedAt[feed] && latest.fetchedAt < Date.now() - SNAPSHOT_MAX_AGE) return;
+
+    // the poller removes the records of older polls once the new ones are saved, read the poll after that
+    if (await Model.exists({ fetchedAt: { $lt: latest.fetchedAt } })) return;
+
+    const records = await Model.find({ fetchedAt: latest.fetchedAt }).lean();
+
+    snapshot[feed] = new Map(records.map(record => [getKey(feed, record), record]));
+    snapshot.fetchedAt[feed] = latest.fetchedAt;
+
+    realtimeEvents.emit(feed, records);
+}
+
+/**
+ * Read every feed's saved snapshot once (a failing feed doesn't stop the others)
+ */
+const readRealtimeSnapshots = async () => { 
+    if (polling) return; // previous read still running
+    polling = true;
+
+    try { 
+        for (const feed of Object.keys(FEEDS)) { 
+            try { 
+                await readFeedSnapshot(feed);
+            }
+            catch (error) { 
+                console.error(`GTFS-Realtime ${feed} snapshot read error: ${error.message}`);
+            }
+        }
+    }
+    finally { 
+        polling = false;
+    }
+}
+
+/**
+ * Follow the snapshot saved by the poller instance (on instances started with GTFS_RT_POLLER=false)
+ * Emits the same events as the poller when a feed changed
+ * @param {object} options - { intervalMs }
+ */
+const startSnapshotReader = ({ intervalMs } = {}) => { 
+    if (pollerTimer) return;
+
+    const interval = intervalMs || Number(process.env.GTFS_RT_POLL_INTERVAL) || DEFAULT_POLL_INTERVAL;
+
+    pollerTimer = setInterval(readRealtimeSnapshots, interval);
+    pollerTimer.unref(); // don't keep the process alive just for the reader
+
+    readRealtimeSnapshots();
+
+    console.log('GTFS-Realtime snapshot reader started');
+}
+
+/**
+ * Start polling the realtime feeds
+ * @param {object} options - { sources: { feed: source } to replace the configured ones, intervalMs }
+ */
+const startRealtimePoller = ({ sources: customSources, intervalMs } = {}) => { 
+    if (pollerTimer) return;
+
+    sources = customSources || Object.fromEntries(Object.entries(FEEDS)
+        .map(([feed, { env }]) => [feed, createFeedSource(process.env[env])])
+        .filter(([, source]) => source));
+
+    if (Object.keys(sources).length === 0) { 
+        console.log('GTFS-Realtime poller not started (no feed configured)');
+        return;
+    }
+
+    const interval = intervalMs || Number(process.env.GTFS_RT_POLL_INTERVAL) || DEFAULT_POLL_INTERVAL;
+
+    pollerTimer = setInterval(pollRealtimeFeeds, interval);
+    pollerTimer.unref(); // don't keep the process alive just for the poller
+
+    loadSnapshot()
+        .catch(error => console.error(`GTFS-Realtime snapshot load error: ${error.message}`))
+        .then(pollRealtimeFeeds);
+
+    console.log(`GTFS-Realtime poller started (${Object.keys(sources).join(', ')})`);
+}
+
+/**
+ * Stop polling the realtime feeds (or reading their snapshot)
+ */
+const stopRealtimePoller = () => { 
+    clearInterval(pollerTimer);
+    pollerTimer = null;
+}
+
+/**
+ * Get the latest vehicle positions
+ * @returns {object[]} VehiclePosition records
+ */
+const getVehiclePositions = () => [...snapshot.vehiclePositions.values()];
+
+/**
+ * Get the latest trip updates
+ * @returns {object[]} TripUpdate records
+ */
+const getTripUpdates = () => [...snapshot.tripUpdates.values()];
+
+/**
+ * Get the latest realtime service alerts
+ * @returns {object[]} ServiceAlert records
+ */
+const getServiceAlerts = () => [...snapshot.alerts.values()];
+
+/**
+ * Get the latest update of a trip
+ * @param {string} tripId - GTFS trip id
+ * @param {string} serviceDate - YYYYMMDD service date of the trip
+ * @returns {object|undefined} TripUpdate record
+ */
+const getTripUpdate = (tripId, serviceDate) => { 
+    return snapshot.tripUpdates.get(`${tripId}|${serviceDate}`) || snapshot.tripUpdates.get(`${tripId}|`);
+}
+
+/**
+ * Work out the predicted time of a scheduled departure from the trip updates
+ * A stop without its own prediction gets the delay of the last predicted stop before it
+ * (updates with only a time get their delay from the schedule when the feed is matched)
+ * @param {object} departure - { tripId, serviceDate, stopId, stopSequence, scheduledTime }
+ * @returns {object|null} { status, predictedTime, delay } - status is predicted, skipped or canceled
+ *                        null when there is no prediction for the departure
+ */
+const getPrediction = (departure) => { 
+    const tripUpdate = getTripUpdate(departure.tripId, departure.serviceDate);
+    if (!tripUpdate) return null;
+
+    if (tripUpdate.scheduleRelationship === 'CANCELED') { 
+        return { status: 'canceled', predictedTime: null, delay: null };
+    }
+
+    let exact = null;
+    let previous = null;
+
+    for (const update of tripUpdate.stopTimeUpdates) { 
+        const isStop = update.stopSequence !== undefined
+            ? update.stopSequence === departure.stopSequence
+            : update.stopId === departure.stopId;
+
+        if (isStop) { 
+            exact = update;
+            break;
+        }
+        if (update.stopSequence === undefined) continue;
+        if (update.stopSequence > departure.stopSequence) break;
+
+        // skipped stops don't carry a delay to the next ones
+        if (update.scheduleRelationship !== 'SKIPPED') previous = update;
+    }
+
+    if (exact?.scheduleRelationship === 'SKIPPED') { 
+        return { status: 'skipped', predictedTime: null, delay: null };
+    }
+
+    let delay;
+
+    if (exact && exact.scheduleRelationship !== 'NO_DATA') { 
+        const time = exact.departureTime || exact.arrivalTime;
+        delay = time
+            ? Math.round((time - departure.scheduledTime) / 1000)
+            : exact.departureDelay ?? exact.arrivalDelay;
+    }
+    else if (!exact && previous && previous.scheduleRelationship !== 'NO_DATA') { 
+        delay = previous.departureDelay ?? previous.arrivalDelay;
+    }
+    else if (!exact && !previous) { 
+        delay = tripUpdate.delay;
+    }
+
+    if (delay === undefined || delay === null) return null;
+
+    return { 
+        status: 'predicted',
+        predictedTime: new Date(departure.scheduledTime.getTime() + delay * 1000),
+        delay
+    };
+}
+
+module.exports = { 
+    realtimeEvents,
+    startRealtimePoller,
+    startSnapshotReader,
+    stopRealtimePoller,
+    pollRealtimeFeeds,
+    getVehiclePositions,
+    getTripUpdates,
+    getServiceAlerts,
+    getTripUpdate,
+    getPrediction
+}
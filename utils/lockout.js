@@ -0,0 +1,196 @@
+/**
+ * Lockout Utility
+ * 
+ * Brute-force protection for login and email verification
+ * Counts failed attempts per account (User model) and per IP (LoginAttempt model)
+ * and locks them out for progressively longer periods
+ */
+
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+
+const MAX_ACCOUNT_ATTEMPTS = 5;             // failed logins before an account is locked
+const MAX_IP_ATTEMPTS = 20;                 // failed logins from one IP before it is locked
+const IP_WINDOW = 15 * 60 * 1000;           // IP attempts are counted over 15 minutes
+const BASE_LOCK_DURATION = 60 * 1000;       // first lockout lasts 1 minute
+const MAX_LOCK_DURATION = 60 * 60 * 1000;   // lockouts never last more than 1 hour
+const IP_RECORD_TTL = 24 * 60 * 60 * 1000;  // forget an IP after a quiet day
+
+const MAX_VERIFICATION_ATTEMPTS = 5;        // wrong email codes before the code is discarded
+
+/**
+ * Lock duration doubles with every lockout in a row (1, 2, 4, 8... minutes)
+ * @param {number} lockoutCount - previous lockouts in a row
+ * @returns {number} lock duration in milliseconds
+ */
+const getLockDuration = (lockoutCount) => { 
+    return Math.min(BASE_LOCK_DURATION * 2 ** lockoutCount, MAX_LOCK_DURATION);
+}
+
+/**
+ * Check if an IP address is currently locked
+ * @param {string} ipAddress - client IP
+ * @returns {Date|null} lockedUntil time if locked, null otherwise
+ */
+const getIpLock = async (ipAddress) => { 
+    const record = await LoginAttempt.findOne({ ipAddress, lockedUntil: { $gt: Date.now() } });
+    return record ? record.lockedUntil : null;
+}
+
+/**
+ * Record a failed login for an account and lock it once the limit is reached
+ * @param {object} user - mongoose User document
+ * @returns {Date|null} lockedUntil time if the account just got locked
+ */
+const recordAccountFailure = async (user) => { 
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+    );
+
+    if (updated.failedLoginAttempts < MAX_ACCOUNT_ATTEMPTS) return null;
+
+    const lockedUntil = new Date(Date.now() + getLockDuration(updated.lockoutCount));
+    await User.updateOne(
+        { _id: user._id },
+        { failedLoginAttempts: 0, lockedUntil, $inc: { lockoutCount: 1 } }
+    );
+
+    console.warn(`Account ${user._id} locked until ${lockedUntil.toISOString()}`);
+    return lockedUntil;
+}
+
+/**
+ * Record a failed login for an IP and lock it once the limit is reached
+ * @param {string} ipAddress - client IP
+ * @returns {Date|null} lockedUntil time if the IP just got locked
+ */
+const recordIpFailure = async (ipAddress) => { 
+    if (!ipAddress) return null;
+
+    const now = new Date();
+    const inWindow = { $gt: [{ $ifNull: ['$windowStart', new Date(0)] }, new Date(now.getTime() - IP_WINDOW)] };
+    const failedAttempts = { $ifNull: ['$failedAttempts', 0] };
+    const lockoutCount = { $ifNull: ['$lockoutCount', 0] };
+    const lockNow = { $gte: ['$failedAttempts', MAX_IP_ATTEMPTS] };
+
+    // one atomic upsert - concurrent first failures from an IP can't race on the unique ipAddress index
+    const record = await LoginAttempt.findOneAndUpdate(
+        { ipAddress },
+        [
+            // count the failure, starting a new window if the previous one is over
+            { 
+                $set: { 
+                    failedAttempts: { $cond: [inWindow, { $add: [failedAttempts, 1] }, 1] },
+                    windowStart: { $cond: [inWindow, '$windowStart', now] },
+                    lockoutCount,
+                    lockedUntil: { $ifNull: ['$lockedUntil', null] },
+                    expiresAt: new Date(now.getTime() + IP_RECORD_TTL),
+                    createdAt: { $ifNull: ['$createdAt', now] },
+                    updatedAt: now
+                }
+            },
+            // lock the IP once the limit is reached (same durations as getLockDuration)
+            { 
+                $set: { 
+                    lockedUntil: { 
+                        $cond: [
+                            lockNow,
+                            { $add: [now, { $min: [{ $multiply: [BASE_LOCK_DURATION, { $pow: [2, '$lockoutCount'] }] }, MAX_LOCK_DURATION] }] },
+                            '$lockedUntil'
+                        ]
+                    },
+                    lockoutCount: { $cond: [lockNow, { $add: ['$lockoutCount', 1] }, '$lockoutCount'] },
+                    failedAttempts: { $cond: [lockNow, 0, '$failedAttempts'] },
+                    windowStart: { $cond: [lockNow, now, '$windowStart'] }
+                }
+            }
+        ],
+        { upsert: true, new: true, timestamps: false, updatePipeline: true }
+    );
+
+    // the counter is only back to 0 right after a lock
+    if (record.failedAttempts !== 0) return null;
+
+    console.warn(`IP ${ipAddress} locked until ${record.lockedUntil.toISOString()}`);
+    return record.lockedUntil;
+}
+
+/**
+ * Record a failed login for both the account (if known) and the IP
+ * @param {object|null} user - mongoose User document, null if no account matched the email
+ * @param {string} ipAddress - client IP
+ * @returns {Date|null} lockedUntil time if the account got locked
+ */
+const recordFailedLogin = async (user, ipAddress) => { 
+    await recordIpFailure(ipAddress);
+    return user ? recordAccountFailure(user) : null;
+}
+
+/**
+ * Clear the account counters after a successful login
+ * @param {object} user - mongoose User document
+ */
+const resetAccountFailures = async (user) => { 
+    if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockedUntil) return;
+
+    await User.updateOne(
+        { _id: user._id },
+        { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null }
+    );
+}
+
+/**
+ * Count an attempt at an emailed code before the code is checked
+ * The count is incremented atomically, so parallel guesses can't get past MAX_VERIFICATION_ATTEMPTS
+ * @param {string} userId - User id
+ * @param {string} field - code fields prefix ('emailVerification' -> emailVerificationCode / Expires / Attempts)
+ * @param {string} select - other hidden fields to load (e.g. '+password')
+ * @returns {object|null} user with the code and the new count, null if there is no unexpired code
+ */
+const countCodeAttempt = async (userId, field, select = '') => { 
+    return User.findOneAndUpdate(
+        { _id: userId, [`${field}Code`]: { $exists: true }, [`${field}Expires`]: { $gt: Date.now() } },
+        { $inc: { [`${field}Attempts`]: 1 } },
+        { new: true }
+    ).select(`+${field}Code +${field}Attempts ${select}`.trim());
+}
+
+/**
+ * Discard a code once its attempts are used up (unless a new code replaced it meanwhile)
+ * @param {object} user - user returned by countCodeAttempt
+ * @param {string} field - code fields prefix
+ */
+const discardCode = async (user, field) => { 
+    await User.updateOne(
+        { _id: user._id, [`${field}Code`]: user[`${field}Code`] },
+        { $unset: { [`${field}Code`]: 1, [`${field}Expires`]: 1 }, $set: { [`${field}Attempts`]: 0 } }
+    );
+}
+
+/**
+ * Send the locked response with a Retry-After header
+ * @param {object} res - express response
+ * @param {number} status - 423 for a locked account, 429 for a locked IP
+ * @param {string} message - message for the client
+ * @param {Date} lockedUntil - when the lock ends
+ */
+const sendLockedResponse = (res, status, message, lockedUntil) => { 
+    res.set('Retry-After', Math.ceil((lockedUntil.getTime() - Date.now()) / 1000).toString());
+    return res.status(status).json({
+        success: false,
+        message,
+        lockedUntil
+    });
+}
+
+module.exports = { 
+    MAX_VERIFICATION_ATTEMPTS,
+    getIpLock,
+    recordFailedLogin,
+    resetAccountFailures,
+    countCodeAttempt,
+    discardCode,
+    sendLockedResponse
+}
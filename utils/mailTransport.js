@@ -0,0 +1,98 @@
+/**
+ * Mail Transport Utility
+ * 
+ * Creates the Nodemailer transport selected with EMAIL_TRANSPORT
+ * - smtp (default): sends real emails using EMAIL_SERVICE / EMAIL_USER / EMAIL_PASSWORD
+ * - file: writes each message as a .eml file to EMAIL_OUTBOX_DIR (local development)
+ * - memory: keeps messages in memory (tests), read them with getOutbox()
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodeMailer = require('nodemailer');
+
+// messages sent with the memory transport
+const outbox = [];
+
+/**
+ * Create the SMTP transport
+ */
+const createSmtpTransport = () => { 
+    return nodeMailer.createTransport({
+        service: process.env.EMAIL_SERVICE,
+        auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASSWORD
+        }
+    })
+}
+
+/**
+ * Create a transport that writes .eml files to disk
+ * Open them with any mail client to see the message as it would be delivered
+ */
+const createFileTransport = () => { 
+    const dir = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+    const transporter = nodeMailer.createTransport({ streamTransport: true, buffer: true });
+
+    return { 
+        sendMail: async (mailOptions) => { 
+            const info = await transporter.sendMail(mailOptions);
+
+            await fs.mkdir(dir, { recursive: true });
+            const fileName = `${Date.now()}-${mailOptions.to.replace(/[^\w.@-]/g, '_')}.eml`;
+            await fs.writeFile(path.join(dir, fileName), info.message);
+
+            return { ...info, messageId: info.messageId, file: fileName };
+        }
+    };
+}
+
+/**
+ * Create a transport that keeps messages in memory
+ */
+const createMemoryTransport = () => { 
+    const transporter = nodeMailer.createTransport({ jsonTransport: true });
+
+    return { 
+        sendMail: async (mailOptions) => { 
+            const info = await transporter.sendMail(mailOptions);
+            outbox.push({ ...mailOptions, messageId: info.messageId, sentAt: new Date() });
+            return info;
+        }
+    };
+}
+
+/**
+ * Create email transporter
+ * handles how to send emails (mailman)
+ */
+const createTransporter = () => { 
+    switch (process.env.EMAIL_TRANSPORT) { 
+        case 'file':
+            return createFileTransport();
+        case 'memory':
+            return createMemoryTransport();
+        default:
+            return createSmtpTransport();
+    }
+}
+
+/**
+ * Messages sent with the memory transport
+ * @returns {object[]} sent messages (oldest first)
+ */
+const getOutbox = () => outbox;
+
+/**
+ * Empty the memory outbox
+ */
+const clearOutbox = () => { 
+    outbox.length = 0;
+}
+
+module.exports = { 
+    createTransporter,
+    getOutbox,
+    clearOutbox
+}
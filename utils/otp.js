@@ -0,0 +1,359 @@
+/**
+ * On-Time Performance Utility
+ * 
+ * Archives the realtime trip updates of stops vehicles are reaching or have just left (TripUpdateObservation),
+ * rolls each finished service day up into per route, stop and hour delay histograms (OtpDaily),
+ * and computes on-time performance from the daily histograms with early / late thresholds picked by the caller
+ */
+
+const TripUpdateObservation = require('../models/TripUpdateObservation');
+const OtpDaily = require('../models/OtpDaily');
+const StopTime = require('../models/StopTime');
+const { realtimeEvents } = require('./gtfsRealtime');
+const { getActiveFeedVersion, getServiceDate, shiftServiceDate, getServiceDayStart } = require('./gtfs');
+
+const OBSERVE_BEFORE = 2 * 60 * 1000;       // predictions within 2 minutes of the stop are archived
+const OBSERVE_AFTER = 10 * 60 * 1000;       // ... and kept updating for 10 minutes after (feeds keep recent stops)
+const ROLLUP_DELAY = 6 * 60 * 60 * 1000;    // a service day is rolled up 6 hours after the next one starts (trips past midnight)
+const ROLLUP_INTERVAL = 60 * 60 * 1000;
+const SCHEDULE_CACHE_SIZE = 5000;           // trips whose stop times are kept between polls
+const BATCH_SIZE = 1000;
+
+// delay histogram buckets (seconds), delays outside -30 / +60 minutes count in the first / last bucket
+const BUCKET = 30;
+const MIN_BUCKET = -60;
+const MAX_BUCKET = 120;
+
+// tripId -> Map(stopSequence -> stop time) of the feed version in scheduleFeedVersion
+const scheduleCache = new Map();
+let scheduleFeedVersion = null;
+
+let rollupTimer = null;
+let rollingUp = false;
+
+/**
+ * Get the day of the week of a service date (0 = Sunday)
+ */
+const getDayOfWeek = (serviceDate) => { 
+    return new Date(Date.UTC(serviceDate.slice(0, 4), serviceDate.slice(4, 6) - 1, serviceDate.slice(6, 8))).getUTCDay();
+}
+
+/**
+ * Get the stop times of trips (stop sequence -> stop time), cached between polls
+ * @returns {Map} tripId -> Map(stopSequence -> { stopId, arrivalSeconds, departureSeconds })
+ */
+const getTripSchedules = async (feedVersionId, tripIds) => { 
+    if (String(feedVersionId) !== scheduleFeedVersion) { 
+        scheduleCache.clear();
+        scheduleFeedVersion = String(feedVersionId);
+    }
+
+    const missing = tripIds.filter(tripId => !scheduleCache.has(tripId));
+
+    if (missing.length > 0) { 
+        const stopTimes = await StopTime.find({ feedVersion: feedVersionId, tripId: { $in: missing } })
+            .select('tripId stopId stopSequence arrivalSeconds departureSeconds')
+            .lean();
+
+        for (const tripId of missing) scheduleCache.set(tripId, new Map());
+        for (const stopTime of stopTimes) scheduleCache.get(stopTime.tripId).set(stopTime.stopSequence, stopTime);
+
+        // drop the trips cached first (finished by now)
+        const current = new Set(tripIds);
+        for (const tripId of scheduleCache.keys()) { 
+            if (scheduleCache.size <= SCHEDULE_CACHE_SIZE) break;
+            if (!current.has(tripId)) scheduleCache.delete(tripId);
+        }
+    }
+
+    return new Map(tripIds.map(tripId => [tripId, scheduleCache.get(tripId)]));
+}
+
+/**
+ * Archive the predictions of a TripUpdates poll for stops the vehicles are reaching or have just left
+ * Trips without a start date are taken to run on the current service date
+ * @param {object[]} tripUpdates - TripUpdate records of the poll
+ * @param {Date} fetchedAt - when the poll was made
+ * @returns {number} observations saved
+ */
+const archiveTripUpdates = async (tripUpdates, fetchedAt = new Date()) => { 
+    const records = tripUpdates.filter(record => record.matched && record.scheduleRelationship !== 'CANCELED');
+    if (records.length === 0) return 0;
+
+    const feedVersion = await getActiveFeedVersion();
+    if (!feedVersion) return 0;
+
+    const schedules = await getTripSchedules(feedVersion._id, [...new Set(records.map(record => record.tripId))]);
+    const dayStarts = new Map();
+    const operations = [];
+
+    for (const record of records) { 
+        const schedule = schedules.get(record.tripId);
+        const serviceDate = record.startDate || getServiceDate(fetchedAt);
+        if (!dayStarts.has(serviceDate)) dayStarts.set(serviceDate, getServiceDayStart(serviceDate).getTime());
+
+        for (const update of record.stopTimeUpdates || []) { 
+            if (update.scheduleRelationship === 'SKIPPED' || update.scheduleRelationship === 'NO_DATA') continue;
+
+            const stopTime = schedule.get(update.stopSequence);
+            const seconds = stopTime?.departureSeconds ?? stopTime?.arrivalSeconds;
+            if (seconds === undefined || seconds === null) continue;
+
+            const scheduledTime = dayStarts.get(serviceDate) + seconds * 1000;
+            const time = update.departureTime || update.arrivalTime;
+            const delay = time
+                ? Math.round((new Date(time).getTime() - scheduledTime) / 1000)
+                : update.departureDelay ?? update.arrivalDelay;
+            if (delay === undefined || delay === null) continue;
+
+            // only stops the vehicle is about to reach or has just left
+            const predictedTime = scheduledTime + delay * 1000;
+            if (predictedTime > fetchedAt.getTime() + OBSERVE_BEFORE || predictedTime < fetchedAt.getTime() - OBSERVE_AFTER) continue;
+
+            operations.push({
+                updateOne: { 
+                    filter: { serviceDate, tripId: record.tripId, stopSequence: update.stopSequence },
+                    update: { 
+                        $set: { 
+                            stopId: stopTime.stopId,
+                            routeId: record.routeId,
+                            directionId: record.directionId,
+                            vehicleId: record.vehicleId,
+                            scheduledTime: new Date(scheduledTime),
+                            predictedTime: new Date(predictedTime),
+                            delay,
+                            hour: Math.floor(seconds / 3600) % 24,
+                            dayOfWeek: getDayOfWeek(serviceDate),
+                            observedAt: fetchedAt
+                        }
+                    },
+                    upsert: true
+                }
+            });
+        }
+    }
+
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) { 
+        await TripUpdateObservation.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+
+    return operations.length;
+}
+
+/**
+ * Archive every TripUpdates poll
+ */
+const watchTripUpdates = () => { 
+    realtimeEvents.on('tripUpdates', async (tripUpdates) => { 
+        try { 
+            await archiveTripUpdates(tripUpdates);
+        }
+        catch (error) { 
+            console.error(`Trip update archive error: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Roll the observations of a service day up into OtpDaily (replaces an earlier roll-up of the day)
+ * @param {string} serviceDate - YYYYMMDD
+ * @returns {number} OtpDaily records written
+ */
+const rollupServiceDate = async (serviceDate) => { 
+    const bucket = { $min: [{ $max: [{ $floor: { $divide: ['$delay', BUCKET] } }, MIN_BUCKET] }, MAX_BUCKET] };
+
+    const rows = await TripUpdateObservation.aggregate([
+        { $match: { serviceDate, routeId: { $ne: null }, stopId: { $ne: null } } },
+        { 
+            $group: { 
+                _id: { routeId: '$routeId', stopId: '$stopId', hour: '$hour', bucket },
+                count: { $sum: 1 },
+                delaySum: { $sum: '$delay' }
+            }
+        }
+    ]).allowDiskUse(true);
+
+    const records = new Map();
+    for (const row of rows) { 
+        const { routeId, stopId, hour } = row._id;
+        const key = `${routeId}|${stopId}|${hour}`;
+
+        if (!records.has(key)) { 
+            records.set(key, { serviceDate, dayOfWeek: getDayOfWeek(serviceDate), routeId, stopId, hour, count: 0, delaySum: 0, delays: {} });
+        }
+
+        const record = records.get(key);
+        record.count += row.count;
+        record.delaySum += row.delaySum;
+        record.delays[row._id.bucket] = row.count;
+    }
+
+    const documents = [...records.values()];
+
+    await OtpDaily.deleteMany({ serviceDate });
+    for (let i = 0; i < documents.length; i += BATCH_SIZE) { 
+        await OtpDaily.insertMany(documents.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+
+    return documents.length;
+}
+
+/**
+ * Roll up the service days that are over and not rolled up yet
+ * @returns {string[]} service dates rolled up
+ */
+const rollupCompletedDays = async () => { 
+    const [observedDates, rolledUpDates] = await Promise.all([
+        TripUpdateObservation.distinct('serviceDate'),
+        OtpDaily.distinct('serviceDate')
+    ]);
+
+    const done = new Set(rolledUpDates);
+    const pending = observedDates
+        .filter(serviceDate => !done.has(serviceDate)
+            && getServiceDayStart(shiftServiceDate(serviceDate, 1)).getTime() + ROLLUP_DELAY <= Date.now())
+        .sort();
+
+    for (const serviceDate of pending) { 
+        const count = await rollupServiceDate(serviceDate);
+        console.log(`On-time performance for ${serviceDate} rolled up (${count} records)`);
+    }
+
+    return pending;
+}
+
+/**
+ * Roll up finished service days (skipped while a roll-up is running)
+ */
+const runRollup = async () => { 
+    if (rollingUp) return;
+    rollingUp = true;
+
+    try { 
+        await rollupCompletedDays();
+    }
+    catch (error) { 
+        console.error(`On-time performance rollup error: ${error.message}`);
+    }
+    finally { 
+        rollingUp = false;
+    }
+}
+
+/**
+ * Start rolling up finished service days every hour
+ */
+const startOtpRollup = (intervalMs = ROLLUP_INTERVAL) => { 
+    if (rollupTimer) return;
+
+    rollupTimer = setInterval(runRollup, intervalMs);
+    rollupTimer.unref(); // don't keep the process alive just for the roll-up
+    runRollup();
+}
+
+/**
+ * Stop rolling up service days
+ */
+const stopOtpRollup = () => { 
+    clearInterval(rollupTimer);
+    rollupTimer = null;
+}
+
+/**
+ * Count early, on time and late departures in a delay histogram
+ * On time is from `early` seconds early to under `late` seconds late (multiples of 30 seconds)
+ */
+const classifyDelays = (buckets, early, late) => { 
+    const result = { observations: 0, early: 0, onTime: 0, late: 0 };
+
+    for (const [bucket, count] of buckets) { 
+        result.observations += count;
+        if (bucket * BUCKET < -early) result.early += count;
+        else if (bucket * BUCKET >= late) result.late += count;
+        else result.onTime += count;
+    }
+
+    return result;
+}
+
+/**
+ * Format the counts of a group of departures
+ */
+const formatPerformance = (buckets, delaySum, early, late) => { 
+    const counts = classifyDelays(buckets, early, late);
+    const percent = (count) => (counts.observations > 0 ? Math.round(count / counts.observations * 1000) / 10 : null);
+
+    return { 
+        ...counts,
+        onTimePercent: percent(counts.onTime),
+        earlyPercent: percent(counts.early),
+        latePercent: percent(counts.late),
+        averageDelay: counts.observations > 0 ? Math.round(delaySum / counts.observations) : null
+    };
+}
+
+// groupBy option -> OtpDaily field
+const GROUP_FIELDS = { 
+    route: 'routeId',
+    stop: 'stopId',
+    hour: 'hour',
+    day: 'dayOfWeek',
+    date: 'serviceDate'
+};
+
+/**
+ * Compute on-time performance from the daily roll-ups
+ * @param {object} options - { from, to (YYYYMMDD), routeIds, stopIds, hours, days, early, late (seconds), groupBy }
+ * @returns {object} { summary, groups } - groups only with groupBy (route, stop, hour, day or date)
+ */
+const getOnTimePerformance = async ({ from, to, routeIds, stopIds, hours, days, early, late, groupBy }) => { 
+    const match = { serviceDate: { $gte: from, $lte: to } };
+    if (routeIds?.length) match.routeId = { $in: routeIds };
+    if (stopIds?.length) match.stopId = { $in: stopIds };
+    if (hours?.length) match.hour = { $in: hours };
+    if (days?.length) match.dayOfWeek = { $in: days };
+
+    const key = groupBy ? `$${GROUP_FIELDS[groupBy]}` : null;
+
+    const [result] = await OtpDaily.aggregate([
+        { $match: match },
+        { 
+            $facet: { 
+                totals: [{ $group: { _id: key, delaySum: { $sum: '$delaySum' } } }],
+                buckets: [
+                    { $project: { key, delays: { $objectToArray: '$delays' } } },
+                    { $unwind: '$delays' },
+                    { $group: { _id: { key: '$key', bucket: '$delays.k' }, count: { $sum: '$delays.v' } } }
+                ]
+            }
+        }
+    ]).allowDiskUse(true);
+
+    // group key -> { buckets, delaySum }
+    const groups = new Map(result.totals.map(total => [total._id, { buckets: [], delaySum: total.delaySum }]));
+    for (const row of result.buckets) groups.get(row._id.key)?.buckets.push([Number(row._id.bucket), row.count]);
+
+    const allBuckets = [...groups.values()].flatMap(group => group.buckets);
+    const delaySum = [...groups.values()].reduce((total, group) => total + group.delaySum, 0);
+
+    return { 
+        summary: formatPerformance(allBuckets, delaySum, early, late),
+        groups: groupBy
+            ? [...groups.entries()]
+                .sort(([a], [b]) => String(a).localeCompare(String(b), 'en', { numeric: true }))
+                .map(([value, group]) => ({ [groupBy]: value, ...formatPerformance(group.buckets, group.delaySum, early, late) }))
+            : undefined
+    };
+}
+
+module.exports = { 
+    BUCKET,
+    GROUP_FIELDS,
+    archiveTripUpdates,
+    watchTripUpdates,
+    rollupServiceDate,
+    rollupCompletedDays,
+    startOtpRollup,
+    stopOtpRollup,
+    getOnTimePerformance
+}
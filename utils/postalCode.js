@@ -0,0 +1,56 @@
+/**
+ * Postal Code Utility
+ * 
+ * Checks and formats Canadian postal codes and places them in Calgary
+ * Codes are located by their FSA (first 3 characters, e.g. T2P) using the bundled table in data/calgaryFsa.json
+ * The table holds the approximate centre of each Calgary FSA (T1Y - T3S)
+ */
+
+const CALGARY_FSAS = require('../data/calgaryFsa.json');
+
+// Canadian format - no D, F, I, O, Q or U, and no W or Z as the first letter
+const POSTAL_CODE = /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z]\d[ABCEGHJ-NPRSTV-Z]\d$/;
+
+/**
+ * Format a postal code as "A1A 1A1" (spaces, dashes and case are ignored)
+ * @param {string} value - postal code from the client
+ * @returns {string|null} formatted code, null if it is not a Canadian postal code
+ */
+const normalizePostalCode = (value) => { 
+    const compact = String(value || '').toUpperCase().replace(/[\s-]/g, '');
+    return POSTAL_CODE.test(compact) ? `${compact.slice(0, 3)} ${compact.slice(3)}` : null;
+}
+
+/**
+ * Check a postal code for an account (Canadian format, in Calgary)
+ * @param {string} value - postal code from the client
+ * @returns {object} { postalCode } formatted, or { error }
+ */
+const validatePostalCode = (value) => { 
+    const postalCode = normalizePostalCode(value);
+
+    if (!postalCode) return { error: 'Please provide a valid Canadian postal code (e.g. T2P 1J9)' };
+    if (!CALGARY_FSAS[postalCode.slice(0, 3)]) return { error: 'Postal code must be in Calgary (T1Y to T3S)' };
+
+    return { postalCode };
+}
+
+/**
+ * Get the approximate position of a Calgary postal code (centre of its FSA)
+ * @param {string} postalCode - postal code
+ * @returns {object|null} { fsa, area, lat, lng }, null if the code is not in Calgary
+ */
+const geocodePostalCode = (postalCode) => { 
+    const formatted = normalizePostalCode(postalCode);
+    const fsa = formatted && formatted.slice(0, 3);
+
+    if (!fsa || !CALGARY_FSAS[fsa]) return null;
+
+    return { fsa, ...CALGARY_FSAS[fsa] };
+}
+
+module.exports = { 
+    normalizePostalCode,
+    validatePostalCode,
+    geocodePostalCode
+};
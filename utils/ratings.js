@@ -0,0 +1,185 @@
+/**
+ * Ratings Utility
+ * 
+ * Keeps the rating aggregates of routes and stops up to date as ratings are added, edited or removed
+ * Each change adds or takes away one rating's scores with atomic $inc updates,
+ * so reading scores never goes through the ratings themselves
+ */
+
+const Rating = require('../models/Rating');
+const RatingAggregate = require('../models/RatingAggregate');
+
+const DIMENSIONS = ['reliability', 'cleanliness', 'safety'];
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+const KEPT_WEEKS = 8;      // weeks kept on the aggregate
+const TREND_WEEKS = 4;     // recent period compared with the one before it
+
+/**
+ * Get the start of the week (Sunday 00:00 UTC) a time falls in
+ */
+const getWeekStart = (time) => { 
+    const date = new Date(time);
+    date.setUTCHours(0, 0, 0, 0);
+    date.setUTCDate(date.getUTCDate() - date.getUTCDay());
+    return date;
+}
+
+/**
+ * Add (sign 1) or take away (sign -1) a rating's scores from its aggregate
+ * The week bucket is the week of rating.ratedAt (taking away from a week no longer kept only changes the totals)
+ */
+const applyRating = async (rating, sign) => { 
+    const filter = { targetType: rating.targetType, targetId: rating.targetId };
+    const week = getWeekStart(rating.ratedAt);
+
+    const totals = { count: sign };
+    const weekTotals = { 'weeks.$[week].count': sign };
+    for (const dimension of DIMENSIONS) { 
+        totals[`sums.${dimension}`] = sign * rating[dimension];
+        weekTotals[`weeks.$[week].sums.${dimension}`] = sign * rating[dimension];
+    }
+
+    await RatingAggregate.updateOne(filter, { $inc: totals }, { upsert: true });
+
+    // start the week's bucket (newest first, oldest dropped)
+    if (sign > 0) { 
+        await RatingAggregate.updateOne({ ...filter, 'weeks.start': { $ne: week } }, { 
+            $push: { 
+                weeks: { 
+                    $each: [{ start: week, count: 0, sums: { reliability: 0, cleanliness: 0, safety: 0 } }],
+                    $sort: { start: -1 },
+                    $slice: KEPT_WEEKS
+                }
+            }
+        });
+    }
+
+    await RatingAggregate.updateOne(filter, { $inc: weekTotals }, { arrayFilters: [{ 'week.start': week }] });
+}
+
+/**
+ * Count a new rating
+ */
+const addRating = (rating) => applyRating(rating, 1);
+
+/**
+ * Stop counting a rating (before its scores change or when it is deleted)
+ */
+const removeRating = (rating) => applyRating(rating, -1);
+
+/**
+ * Mean of the three scores over a number of ratings (one decimal)
+ */
+const getMean = (sum, count) => (count > 0 ? Math.round(sum / count * 10) / 10 : null);
+
+/**
+ * Format an aggregate for API responses
+ * Trend compares the overall score of the last 4 weeks with the 4 weeks before
+ * @param {object|null} aggregate - RatingAggregate
+ * @returns {object} { count, reliability, cleanliness, safety, overall, trend }
+ */
+const formatRatingSummary = (aggregate) => { 
+    const count = aggregate?.count || 0;
+    const summary = { count };
+
+    for (const dimension of DIMENSIONS) summary[dimension] = getMean(aggregate?.sums?.[dimension], count);
+    summary.overall = getMean(DIMENSIONS.reduce((total, dimension) => total + (aggregate?.sums?.[dimension] || 0), 0), count * DIMENSIONS.length);
+
+    // weeks starting in the recent period, and in the one before
+    const recentStart = getWeekStart(Date.now()).getTime() - (TREND_WEEKS - 1) * WEEK;
+    const period = (from, to) => { 
+        const weeks = (aggregate?.weeks || []).filter(week => week.start.getTime() >= from && week.start.getTime() < to);
+        const ratings = weeks.reduce((total, week) => total + week.count, 0);
+        const sum = weeks.reduce((total, week) => total + DIMENSIONS.reduce((weekTotal, dimension) => weekTotal + week.sums[dimension], 0), 0);
+        return { count: ratings, overall: getMean(sum, ratings * DIMENSIONS.length) };
+    };
+
+    const recent = period(recentStart, Infinity);
+    const previous = period(recentStart - TREND_WEEKS * WEEK, recentStart);
+
+    summary.trend = { 
+        recent,
+        previous,
+        change: recent.overall !== null && previous.overall !== null
+            ? Math.round((recent.overall - previous.overall) * 10) / 10
+            : null
+    };
+
+    return summary;
+}
+
+/**
+ * Get the rating summaries of routes or stops (one query)
+ * @param {string} targetType - 'route' or 'stop'
+ * @param {string[]} targetIds - GTFS ids
+ * @returns {Map} targetId -> summary (targets without ratings have a count of 0)
+ */
+const getRatingSummaries = async (targetType, targetIds) => { 
+    const aggregates = await RatingAggregate.find({ targetType, targetId: { $in: targetIds } }).lean();
+    const aggregatesById = new Map(aggregates.map(aggregate => [aggregate.targetId, aggregate]));
+
+    return new Map(targetIds.map(targetId => [targetId, formatRatingSummary(aggregatesById.get(targetId))]));
+}
+
+/**
+ * Rebuild every aggregate from the ratings (e.g. after restoring a backup)
+ * @returns {number} aggregates written
+ */
+const rebuildRatingAggregates = async () => { 
+    const oldest = new Date(getWeekStart(Date.now()).getTime() - (KEPT_WEEKS - 1) * WEEK);
+    const sums = Object.fromEntries(DIMENSIONS.map(dimension => [dimension, { $sum: `$${dimension}` }]));
+
+    const [totals, weeks] = await Promise.all([
+        Rating.aggregate([
+            { $group: { _id: { targetType: '$targetType', targetId: '$targetId' }, count: { $sum: 1 }, ...sums } }
+        ]),
+        Rating.aggregate([
+            { $match: { ratedAt: { $gte: oldest } } },
+            { 
+                $group: { 
+                    _id: { 
+                        targetType: '$targetType',
+                        targetId: '$targetId',
+                        start: { $dateTrunc: { date: '$ratedAt', unit: 'week', startOfWeek: 'sunday', timezone: 'UTC' } }
+                    },
+                    count: { $sum: 1 },
+                    ...sums
+                }
+            },
+            { $sort: { '_id.start': -1 } }
+        ])
+    ]);
+
+    const weeksByTarget = new Map();
+    for (const week of weeks) { 
+        const key = `${week._id.targetType}:${week._id.targetId}`;
+        if (!weeksByTarget.has(key)) weeksByTarget.set(key, []);
+        weeksByTarget.get(key).push({
+            start: week._id.start,
+            count: week.count,
+            sums: Object.fromEntries(DIMENSIONS.map(dimension => [dimension, week[dimension]]))
+        });
+    }
+
+    await RatingAggregate.deleteMany({});
+    if (totals.length === 0) return 0;
+
+    await RatingAggregate.insertMany(totals.map(total => ({
+        targetType: total._id.targetType,
+        targetId: total._id.targetId,
+        count: total.count,
+        sums: Object.fromEntries(DIMENSIONS.map(dimension => [dimension, total[dimension]])),
+        weeks: weeksByTarget.get(`${total._id.targetType}:${total._id.targetId}`) || []
+    })));
+
+    return totals.length;
+}
+
+module.exports = { 
+    DIMENSIONS,
+    addRating,
+    removeRating,
+    formatRatingSummary,
+    getRatingSummaries,
+    rebuildRatingAggregates
+};
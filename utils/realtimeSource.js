@@ -0,0 +1,54 @@
+/**
+ * GTFS-Realtime Feed Source Utility
+ * 
+ * Reads the raw protobuf of a GTFS-Realtime feed from where it is configured
+ * - http(s) URL: Calgary Transit open data, or a local fixture server (npm run realtime:fixtures)
+ * - file path (or file:// URL): a saved .pb file, re-read on every poll
+ */
+
+const fs = require('fs/promises');
+const { fileURLToPath } = require('url');
+
+const FETCH_TIMEOUT = 10 * 1000; // give up on a slow feed after 10 seconds
+
+/**
+ * Create a source that downloads the feed over HTTP
+ * @param {string} url - feed URL
+ */
+const createHttpSource = (url) => ({ 
+    location: url,
+    read: async () => { 
+        const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+
+        if (!response.ok) { 
+            throw new Error(`${url} responded with HTTP ${response.status}`);
+        }
+
+        return Buffer.from(await response.arrayBuffer());
+    }
+});
+
+/**
+ * Create a source that reads the feed from a file
+ * @param {string} filePath - path to a .pb file
+ */
+const createFileSource = (filePath) => ({ 
+    location: filePath,
+    read: () => fs.readFile(filePath)
+});
+
+/**
+ * Create the source for a configured location
+ * @param {string} location - URL or file path (empty - feed disabled)
+ * @returns {object|null} source with read() returning the protobuf Buffer
+ */
+const createFeedSource = (location) => { 
+    if (!location) return null;
+
+    if (/^https?:\/\//i.test(location)) return createHttpSource(location);
+    if (location.startsWith('file://')) return createFileSource(fileURLToPath(location));
+
+    return createFileSource(location);
+}
+
+module.exports = { createFeedSource };
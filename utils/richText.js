@@ -0,0 +1,79 @@
+/**
+ * Rich Text Utility
+ * 
+ * Cleans rich text (HTML) written by staff before it is stored and shown to riders
+ * Only basic formatting and links are kept, everything else is removed or escaped
+ */
+
+const { escapeHTML } = require('./templates');
+
+// tags kept as they are (no attributes)
+const ALLOWED_TAGS = ['p', 'br', 'strong', 'b', 'em', 'i', 'u', 'ul', 'ol', 'li', 'h3', 'h4', 'blockquote', 'a'];
+
+// tags removed together with their content
+const DROPPED_BLOCKS = /<(script|style|iframe|object|embed|template|textarea|title|head)\b[\s\S]*?<\/\1\s*>/gi;
+
+const TAG = /<\/?([a-z][a-z0-9]*)\b([^>]*)>/gi;
+
+/**
+ * Turn the entities the escaping would double up back into characters
+ */
+const decodeEntities = (text) => { 
+    return text
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Get a safe link target from the attributes of an <a> tag
+ * @returns {string|null} http(s) or mailto URL
+ */
+const getHref = (attributes) => { 
+    const match = attributes.match(/\bhref\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    if (!match) return null;
+
+    const href = decodeEntities(match[2] ?? match[3] ?? match[4]).trim();
+    return /^(https?:\/\/|mailto:)/i.test(href) ? href : null;
+}
+
+/**
+ * Sanitize rich text
+ * @param {string} html - HTML from the client
+ * @returns {string} HTML with only the allowed tags, links open in a new tab
+ */
+const sanitizeRichText = (html) => { 
+    const source = String(html || '').replace(/<!--[\s\S]*?-->/g, '').replace(DROPPED_BLOCKS, '');
+    let result = '';
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(TAG)) { 
+        // text between tags is escaped (stray < and > included)
+        result += escapeHTML(decodeEntities(source.slice(lastIndex, match.index)));
+        lastIndex = match.index + match[0].length;
+
+        const name = match[1].toLowerCase();
+        const isClosing = match[0].startsWith('</');
+
+        if (!ALLOWED_TAGS.includes(name)) continue;
+
+        if (isClosing) { 
+            if (name !== 'br') result += `</${name}>`;
+        }
+        else if (name === 'a') { 
+            const href = getHref(match[2]);
+            result += href ? `<a href="${escapeHTML(href)}" target="_blank" rel="noopener noreferrer">` : '<a>';
+        }
+        else { 
+            result += name === 'br' ? '<br>' : `<${name}>`;
+        }
+    }
+
+    result += escapeHTML(decodeEntities(source.slice(lastIndex)));
+    return result.trim();
+}
+
+module.exports = { sanitizeRichText };
@@ -0,0 +1,65 @@
+/**
+ * Security Notifications Utility
+ * 
+ * Emails the user when something sensitive happens on their account
+ * Each email shows when and where it happened, with a "this wasn't me" link to secure the account
+ */
+
+const crypto = require('crypto');
+const SecurityEvent = require('../models/SecurityEvent');
+const { hashToken } = require('../config/jwt');
+const { sendTemplateEmail } = require('./email');
+
+const SECURE_TOKEN_LIFETIME = 7 * 24 * 60 * 60 * 1000; // "this wasn't me" link works for 7 days
+const TIME_ZONE = 'America/Edmonton';
+
+/**
+ * Format the event time for the user's language (Calgary time)
+ * @param {Date} date - event time
+ * @param {string} language - 'en' or 'fr'
+ * @returns {string} formatted date and time
+ */
+const formatEventTime = (date, language) => { 
+    return new Intl.DateTimeFormat(language === 'fr' ? 'fr-CA' : 'en-CA', { 
+        dateStyle: 'long',
+        timeStyle: 'short',
+        timeZone: TIME_ZONE,
+        timeZoneName: 'short'
+    }).format(date);
+}
+
+/**
+ * Record a security event and email the user about it
+ * Never throws - a failed notification must not fail the request that triggered it
+ * @param {object} user - mongoose User document
+ * @param {string} type - 'passwordChanged', 'passwordResetCompleted', 'googleLinked' or 'accountDeactivated' (also the template name)
+ * @param {object} req - express request (IP and device)
+ */
+const notifySecurityEvent = async (user, type, req) => { 
+    try { 
+        const secureToken = crypto.randomBytes(32).toString('hex');
+
+        const event = await SecurityEvent.create({
+            user: user._id,
+            type,
+            ipAddress: req?.ip || null,
+            userAgent: req?.get('user-agent') || null,
+            secureTokenHash: hashToken(secureToken),
+            secureTokenExpires: Date.now() + SECURE_TOKEN_LIFETIME
+        });
+
+        await sendTemplateEmail(user, type, { 
+            eventTime: formatEventTime(event.createdAt, user.preferredLanguage),
+            ipAddress: event.ipAddress || '-',
+            device: event.userAgent || '-',
+            secureAccountURL: `${process.env.CLIENT_URL}/secure-account/${secureToken}`
+        });
+    }
+    catch (error) { 
+        console.error(`Security notification error (${type}): ${error.stack}`);
+    }
+}
+
+module.exports = { 
+    notifySecurityEvent
+}
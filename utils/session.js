@@ -0,0 +1,226 @@
+/**
+ * Session Utility
+ * 
+ * Issues, rotates and revokes login sessions
+ * Each session pairs a short-lived access token (JWT) with a rotating refresh token
+ */
+
+const Session = require('../models/Session');
+const { generateToken, generateRefreshSecret, hashToken } = require('../config/jwt');
+
+// how often lastSeenAt is written to the database (avoid a write on every request)
+const LAST_SEEN_INTERVAL = 60 * 1000;
+
+// time the frontend has to exchange an OAuth redirect code for the session's tokens
+const EXCHANGE_CODE_LIFETIME = 60 * 1000;
+
+// refresh tokens (and the session itself) last 30 days unless configured
+const getRefreshLifetime = () => { 
+    const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+    return days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Refresh tokens are sent as "<sessionId>.<secret>"
+ * @param {string} refreshToken - refresh token from the client
+ * @returns {object|null} session id and secret, null if malformed
+ */
+const parseRefreshToken = (refreshToken) => { 
+    if (typeof refreshToken !== 'string') return null;
+
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+    return { sessionId, secret };
+}
+
+/**
+ * Extract device information from the request
+ * @param {object} req - express request
+ * @returns {object} { userAgent, ipAddress }
+ */
+const getDeviceInfo = (req) => { 
+    if (!req) return { userAgent: null, ipAddress: null };
+
+    return {
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip || null
+    };
+}
+
+/**
+ * Create a new session for a user and issue its tokens
+ * @param {object} user - mongoose User document
+ * @param {object} req - express request (used to record device and IP)
+ * @param {string} authMethod - how the user signed in ('local' or 'google')
+ * @returns {object} { token, refreshToken, session }
+ */
+const issueSession = async (user, req, authMethod = 'local') => { 
+    const secret = generateRefreshSecret();
+
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(secret),
+        ...getDeviceInfo(req),
+        authMethod,
+        expiresAt: Date.now() + getRefreshLifetime()
+    });
+
+    return {
+        token: generateToken(user._id, session._id),
+        refreshToken: `${session._id}.${secret}`,
+        session
+    };
+}
+
+/**
+ * Rotate a refresh token - the old one stops working as soon as a new one is issued
+ * Presenting an already rotated token means it was stolen (or replayed), so the whole session is revoked
+ * @param {string} refreshToken - refresh token from the client
+ * @param {object} req - express request (used to update device and IP)
+ * @returns {object|null} { token, refreshToken, session } or null if the token is invalid
+ */
+const rotateSession = async (refreshToken, req) => { 
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const newSecret = generateRefreshSecret();
+
+    // only swap the hash if the presented token is the current one (atomic to avoid double use)
+    const session = await Session.findOneAndUpdate(
+        {
+            _id: parsed.sessionId,
+            refreshTokenHash: hashToken(parsed.secret),
+            revokedAt: null,
+            expiresAt: { $gt: Date.now() }
+        },
+        {
+            refreshTokenHash: hashToken(newSecret),
+            ...getDeviceInfo(req),
+            lastRefreshedAt: Date.now(),
+            lastSeenAt: Date.now()
+        },
+        { new: true }
+    );
+
+    if (!session) { 
+        // token did not match - if the session is still alive the token has been reused
+        const existing = await Session.findOne({ _id: parsed.sessionId, revokedAt: null });
+
+        if (existing) { 
+            console.warn(`Refresh token reuse detected for session ${existing._id}`);
+            await revokeSession(existing._id, 'reuse_detected');
+        }
+
+        return null;
+    }
+
+    return {
+        token: generateToken(session.user, session._id),
+        refreshToken: `${session._id}.${newSecret}`,
+        session
+    };
+}
+
+/**
+ * Create a one-time code for a new session, exchanged by the frontend for the session's tokens
+ * Used for OAuth redirects so tokens never appear in a URL (browser history, logs, Referer)
+ * @param {object} session - mongoose Session document from issueSession
+ * @returns {string} code (works once, for 1 minute)
+ */
+const createExchangeCode = async (session) => { 
+    const code = generateRefreshSecret();
+
+    await Session.updateOne(
+        { _id: session._id },
+        { exchangeCodeHash: hashToken(code), exchangeCodeExpires: Date.now() + EXCHANGE_CODE_LIFETIME }
+    );
+
+    return code;
+}
+
+/**
+ * Exchange a one-time code for the session's tokens
+ * A new refresh token is issued (the one created with the session was never handed out)
+ * @param {string} code - code from the OAuth redirect
+ * @returns {object|null} { token, refreshToken, session } or null if the code is invalid, used or expired
+ */
+const redeemExchangeCode = async (code) => { 
+    if (typeof code !== 'string' || !code) return null;
+
+    const secret = generateRefreshSecret();
+
+    // atomic so a code can only be used once
+    const session = await Session.findOneAndUpdate(
+        {
+            exchangeCodeHash: hashToken(code),
+            exchangeCodeExpires: { $gt: Date.now() },
+            revokedAt: null,
+            expiresAt: { $gt: Date.now() }
+        },
+        {
+            refreshTokenHash: hashToken(secret),
+            lastRefreshedAt: Date.now(),
+            $unset: { exchangeCodeHash: 1, exchangeCodeExpires: 1 }
+        },
+        { new: true }
+    );
+
+    if (!session) return null;
+
+    return {
+        token: generateToken(session.user, session._id),
+        refreshToken: `${session._id}.${secret}`,
+        session
+    };
+}
+
+/**
+ * Record that a session was just used (throttled to one write per minute)
+ * @param {object} session - mongoose Session document
+ */
+const touchSession = async (session) => { 
+    if (session.lastSeenAt && Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_INTERVAL) return;
+
+    session.lastSeenAt = Date.now();
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: session.lastSeenAt });
+}
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - session to revoke
+ * @param {string} reason - why the session was revoked
+ */
+const revokeSession = async (sessionId, reason = 'logout') => { 
+    await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: Date.now(), revokedReason: reason }
+    );
+}
+
+/**
+ * Revoke every session of a user
+ * @param {string} userId - owner of the sessions
+ * @param {string} reason - why the sessions were revoked
+ * @param {string} exceptSessionId - optional session to keep (e.g. the current one)
+ * @param {string} authMethod - optional, only revoke sessions signed in with this method
+ * @returns {number} number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId = null, authMethod = null) => { 
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    if (authMethod) filter.authMethod = authMethod;
+
+    const result = await Session.updateMany(filter, { revokedAt: Date.now(), revokedReason: reason });
+    return result.modifiedCount;
+}
+
+module.exports = { 
+    issueSession,
+    rotateSession,
+    createExchangeCode,
+    redeemExchangeCode,
+    touchSession,
+    revokeSession,
+    revokeAllSessions
+}
@@ -0,0 +1,206 @@
+/**
+ * Template Utility
+ * 
+ * Small template engine for transactional emails
+ * Templates, layouts and partials live in templates/email, translations in templates/email/locales
+ * 
+ * Syntax:
+ *   {{name}}            value (HTML escaped)
+ *   {{{name}}}          raw value (not escaped)
+ *   {{> partial}}       include templates/email/partials/partial.html
+ *   {{#if name}}..{{/if}}  only render when the value is truthy
+ *   {{t.key}}           translated string for the user's language (values inside it are escaped)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+const SUPPORTED_LOCALES = ['en', 'fr'];
+const DEFAULT_LOCALE = 'en';
+
+// loaded files are cached (templates don't change while the server runs)
+const cache = new Map();
+
+/**
+ * Read a file from the template directory (cached)
+ * @param {string} relativePath - path inside templates/email
+ * @returns {string|null} file contents, null if the file doesn't exist
+ */
+const readTemplateFile = (relativePath) => { 
+    if (!cache.has(relativePath)) { 
+        const filePath = path.join(TEMPLATE_DIR, relativePath);
+        cache.set(relativePath, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+    }
+    return cache.get(relativePath);
+}
+
+/**
+ * Escape a value for HTML
+ * @param {*} value - value to escape
+ * @returns {string} escaped string
+ */
+const escapeHTML = (value) => { 
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Get a value from the data by dotted path (e.g. "t.subject")
+ * @param {object} data - template data
+ * @param {string} key - dotted path
+ * @returns {*} value, empty string if missing
+ */
+const lookup = (data, key) => { 
+    const value = key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), data);
+    return value == null ? '' : value;
+}
+
+/**
+ * Replace partial tags with the partial sources (partials can include other partials)
+ * @param {string} source - template source
+ * @returns {string} source with partials included
+ */
+const includePartials = (source) => { 
+    return source.replace(/\{\{>\s*([\w-]+)\s*\}\}/g, (match, name) => { 
+        const partial = readTemplateFile(path.join('partials', `${name}.html`));
+        if (partial === null) throw new Error(`Email partial not found: ${name}`);
+        return includePartials(partial);
+    });
+}
+
+/**
+ * Render a template string
+ * Values are inserted in a single pass so they are never parsed as template tags themselves
+ * @param {string} source - template source
+ * @param {object} data - values for the template
+ * @param {object} options - { escape: false to skip HTML escaping (plain text) }
+ * @returns {string} rendered string
+ */
+const render = (source, data, { escape = true } = {}) => { 
+    return includePartials(source)
+        // conditional blocks
+        .replace(/\{\{#if\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, key, block) => { 
+            return lookup(data, key) ? block : '';
+        })
+        // raw {{{values}}} and escaped {{values}} (translations were already rendered with escaped values)
+        .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (match, rawKey, key) => { 
+            if (rawKey) return String(lookup(data, rawKey));
+
+            const value = String(lookup(data, key));
+            return escape && !key.startsWith('t.') ? escapeHTML(value) : value;
+        });
+}
+
+/**
+ * Convert rendered HTML to a plain text alternative
+ * @param {string} html - rendered HTML
+ * @returns {string} plain text
+ */
+const htmlToText = (html) => { 
+    return html
+        .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, '')
+        .replace(/>\s*\n\s*</g, '><') // source formatting between tags
+        // links become "text (url)"
+        .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, text) => { 
+            const label = text.replace(/<[^>]+>/g, '').trim();
+            return !label || label === href ? href : `${label} (${href})`;
+        })
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '- ')
+        .replace(/<\/(p|div|h[1-6]|table|ul|ol)>/gi, '\n\n')
+        .replace(/<\/(li|tr)>/gi, '\n')
+        .replace(/<\/td>/gi, ' ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Pick a supported locale (falls back to English)
+ * @param {string} locale - requested locale (e.g. 'fr' or 'fr-CA')
+ * @returns {string} supported locale
+ */
+const resolveLocale = (locale) => { 
+    const language = String(locale || '').toLowerCase().split('-')[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Load the translated strings of a template (English strings fill in missing keys)
+ * @param {string} name - template name
+ * @param {string} locale - supported locale
+ * @returns {object} strings for the template
+ */
+const getStrings = (name, locale) => { 
+    const load = (lang) => JSON.parse(readTemplateFile(path.join('locales', `${lang}.json`)) || '{}');
+    const fallback = load(DEFAULT_LOCALE);
+    const strings = load(locale);
+
+    return { 
+        ...fallback.common,
+        ...fallback[name],
+        ...strings.common,
+        ...strings[name]
+    };
+}
+
+/**
+ * Render a named email template
+ * @param {string} name - template name (file in templates/email)
+ * @param {object} data - values for the template
+ * @param {string} locale - user's preferred language
+ * @returns {object} { subject, html, text }
+ */
+const renderEmail = (name, data = {}, locale) => { 
+    const lang = resolveLocale(locale);
+    const source = readTemplateFile(`${name}.html`);
+
+    if (source === null) throw new Error(`Email template not found: ${name}`);
+
+    const layout = readTemplateFile(path.join('layouts', 'main.html'));
+    const strings = getStrings(name, lang);
+
+    // translations may contain values too (e.g. {{minutes}}), render them for the output format
+    const translate = (escape) => { 
+        const t = {};
+        for (const [key, value] of Object.entries(strings)) t[key] = render(value, data, { escape });
+        return t;
+    }
+
+    // HTML version - template rendered into the layout
+    const htmlContext = { ...data, t: translate(true), lang };
+    const body = render(source, htmlContext);
+    const html = render(layout, { ...htmlContext, body });
+
+    // use a hand-written text version if there is one, otherwise convert the HTML
+    const textContext = { ...data, t: translate(false), lang };
+    const textSource = readTemplateFile(`${name}.txt`);
+    const text = textSource !== null 
+        ? render(textSource, textContext, { escape: false })
+        : htmlToText(html);
+
+    return { subject: textContext.t.subject || '', html, text };
+}
+
+module.exports = { 
+    SUPPORTED_LOCALES,
+    render,
+    renderEmail,
+    htmlToText,
+    resolveLocale,
+    escapeHTML
+}
@@ -0,0 +1,140 @@
+/**
+ * TOTP Utility
+ * 
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ * Compatible with authenticator apps (Google Authenticator, Authy, 1Password...)
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;    // a new code every 30 seconds
+const DIGITS = 6;           // 6-digit codes
+const WINDOW = 1;           // accept the previous and next code to allow for clock drift
+
+/**
+ * Encode bytes as base32 (format used by authenticator apps)
+ * @param {Buffer} buffer - bytes to encode
+ * @returns {string} base32 string
+ */
+const base32Encode = (buffer) => { 
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) { 
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+/**
+ * Decode a base32 string
+ * @param {string} input - base32 string
+ * @returns {Buffer} decoded bytes
+ */
+const base32Decode = (input) => { 
+    let bits = '';
+    for (const char of input.replace(/=+$/, '').toUpperCase()) { 
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character');
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) { 
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} base32 secret (160 bits)
+ */
+const generateSecret = () => { 
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {string} secret - base32 secret
+ * @param {string} email - account name shown in the app
+ * @returns {string} otpauth URI
+ */
+const getOtpauthURI = (secret, email) => { 
+    const issuer = process.env.TOTP_ISSUER || 'YYC-Track';
+    const label = encodeURIComponent(`${issuer}:${email}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+/**
+ * Generate the code for a time step (HOTP, RFC 4226)
+ * @param {string} secret - base32 secret
+ * @param {number} step - time step counter
+ * @returns {string} zero-padded code
+ */
+const generateCode = (secret, step) => { 
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+    // dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Verify a code against a secret
+ * @param {string} secret - base32 secret
+ * @param {string} code - code entered by the user
+ * @param {number} lastUsedStep - step of the last accepted code (a code can only be used once)
+ * @returns {number|null} matching time step, null if the code is invalid
+ */
+const verifyCode = (secret, code, lastUsedStep = -1) => { 
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+    for (let step = currentStep - WINDOW; step <= currentStep + WINDOW; step++) { 
+        if (step <= lastUsedStep) continue;
+
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+    }
+    return null;
+}
+
+/**
+ * Generate single-use backup codes (e.g. "a1b2-c3d4")
+ * @param {number} count - number of codes
+ * @returns {string[]} plain backup codes (only shown to the user once)
+ */
+const generateBackupCodes = (count = 10) => { 
+    return Array.from({ length: count }, () => { 
+        const hex = crypto.randomBytes(4).toString('hex');
+        return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+}
+
+/**
+ * Normalize a backup code before hashing (ignore dashes, spaces and case)
+ * @param {string} code - backup code entered by the user
+ * @returns {string} normalized code
+ */
+const normalizeBackupCode = (code) => { 
+    return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+}
+
+module.exports = { 
+    generateSecret,
+    getOtpauthURI,
+    generateCode,
+    verifyCode,
+    generateBackupCodes,
+    normalizeBackupCode
+}
@@ -0,0 +1,513 @@
+/**
+ * Trip Planner Utility
+ * 
+ * Plans trips between two points over the imported GTFS timetable (Connection Scan Algorithm)
+ * The timetable of a service day is loaded once into memory as "connections" - a vehicle going
+ * from one stop to the next - sorted by departure time. A plan scans them in order from the
+ * departure time, keeping the earliest arrival at every stop and how it was reached
+ * Plans use the schedule only (no realtime predictions)
+ */
+
+const Stop = require('../models/Stop');
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const StopTime = require('../models/StopTime');
+const { 
+    getActiveServiceIds,
+    getServiceDate,
+    shiftServiceDate,
+    getServiceDayStart,
+    formatRoute,
+    getRouteMode
+} = require('./gtfs');
+
+const WALK_SPEED = 1.25;                // meters per second
+const WALK_DETOUR = 1.3;                // streets are longer than a straight line
+const MAX_ACCESS_WALK = 800;            // meters to the first stop and from the last stop
+const MAX_TRANSFER_WALK = 300;          // meters between stops when changing vehicles
+const MAX_DIRECT_WALK = 2000;           // walking the whole way is offered up to this distance
+const MIN_TRANSFER_TIME = 60;           // seconds to change vehicles at the same stop
+const MAX_JOURNEY_TIME = 3 * 60 * 60;   // connections scanned after the departure time
+const PREVIOUS_DAY_OVERLAP = 6 * 60 * 60;  // trips of the previous service day can run until 30:00
+const TIMETABLE_CACHE_SIZE = 3;         // service days kept in memory
+
+// grid used to find stops near a point (about 1.1 x 1 km cells at Calgary's latitude)
+const CELL_LAT = 0.01;
+const CELL_LNG = 0.015;
+
+// connection flags
+const NO_PICKUP = 1;
+const NO_DROP_OFF = 2;
+
+const networkCache = new Map();     // feedVersionId -> Promise of the stop network
+const timetableCache = new Map();   // "feedVersionId:YYYYMMDD" -> Promise of the timetable
+
+/**
+ * Distance in meters between two points (haversine)
+ */
+const getDistance = (lat1, lng1, lat2, lng2) => { 
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Walking distance (meters) and time (seconds) for a straight line distance
+ */
+const getWalk = (distance) => ({
+    distance: Math.round(distance * WALK_DETOUR),
+    duration: Math.round(distance * WALK_DETOUR / WALK_SPEED)
+});
+
+const getCellKey = (lat, lng) => `${Math.floor(lat / CELL_LAT)}:${Math.floor(lng / CELL_LNG)}`;
+
+/**
+ * Find the stops within a radius of a point (radius up to one grid cell)
+ * @returns {object[]} [{ stop (index), distance }]
+ */
+const findStopsNear = (network, lat, lng, radius) => { 
+    const row = Math.floor(lat / CELL_LAT);
+    const column = Math.floor(lng / CELL_LNG);
+    const result = [];
+
+    for (let dRow = -1; dRow <= 1; dRow++) { 
+        for (let dColumn = -1; dColumn <= 1; dColumn++) { 
+            for (const stop of network.grid.get(`${row + dRow}:${column + dColumn}`) || []) { 
+                const distance = getDistance(lat, lng, network.lat[stop], network.lng[stop]);
+                if (distance <= radius) result.push({ stop, distance });
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Load the stops of a feed with the walking transfers between them
+ * Stations are left out, vehicles stop at their platforms
+ */
+const loadNetwork = async (feedVersionId) => { 
+    const stops = (await Stop.find({ feedVersion: feedVersionId, locationType: { $in: [0, null] } })
+        .select('stopId code name location')
+        .lean())
+        .filter(stop => stop.location?.coordinates?.length === 2);
+
+    const network = { 
+        stops,
+        stopIndex: new Map(stops.map((stop, index) => [stop.stopId, index])),
+        lat: Float64Array.from(stops, stop => stop.location.coordinates[1]),
+        lng: Float64Array.from(stops, stop => stop.location.coordinates[0]),
+        grid: new Map()
+    };
+
+    stops.forEach((stop, index) => { 
+        const key = getCellKey(network.lat[index], network.lng[index]);
+        if (!network.grid.has(key)) network.grid.set(key, []);
+        network.grid.get(key).push(index);
+    });
+
+    network.footpaths = stops.map((stop, index) =>
+        findStopsNear(network, network.lat[index], network.lng[index], MAX_TRANSFER_WALK)
+            .filter(near => near.stop !== index)
+            .map(near => ({ stop: near.stop, ...getWalk(near.distance) })));
+
+    return network;
+}
+
+/**
+ * Get the stop network of a feed (cached, only the latest feed is kept)
+ */
+const getNetwork = (feedVersionId) => { 
+    const key = feedVersionId.toString();
+
+    if (!networkCache.has(key)) { 
+        networkCache.clear();
+        networkCache.set(key, loadNetwork(feedVersionId).catch(error => { 
+            networkCache.delete(key);
+            throw error;
+        }));
+    }
+    return networkCache.get(key);
+}
+
+/**
+ * Load the connections of a service day, sorted by departure time
+ * Times are seconds since the start of the service day
+ * Stops without times (not timepoints) are skipped, the vehicle goes straight to the next timed stop
+ */
+const loadTimetable = async (feedVersionId, network, serviceDate) => { 
+    const serviceIds = await getActiveServiceIds(feedVersionId, serviceDate);
+    const trips = await Trip.find({ feedVersion: feedVersionId, serviceId: { $in: serviceIds } })
+        .select('tripId routeId headsign directionId')
+        .lean();
+    const tripIndex = new Map(trips.map((trip, index) => [trip.tripId, index]));
+
+    const raw = { depStop: [], arrStop: [], depTime: [], arrTime: [], trip: [], hop: [], flags: [] };
+
+    if (trips.length) { 
+        const cursor = StopTime.find({ feedVersion: feedVersionId, tripId: { $in: [...tripIndex.keys()] } })
+            .select('-_id tripId stopId stopSequence arrivalSeconds departureSeconds pickupType dropOffType')
+            .sort({ tripId: 1, stopSequence: 1 })
+            .lean()
+            .cursor();
+
+        let previous = null;
+        let hop = 0;
+
+        for await (const stopTime of cursor) { 
+            const stop = network.stopIndex.get(stopTime.stopId);
+            const arrival = stopTime.arrivalSeconds ?? stopTime.departureSeconds;
+            if (stop === undefined || arrival == null) continue;
+
+            // first stop of a trip - connections start at the next stop
+            if (previous?.tripId === stopTime.tripId) { 
+                raw.depStop.push(previous.stop);
+                raw.arrStop.push(stop);
+                raw.depTime.push(previous.departure);
+                raw.arrTime.push(arrival);
+                raw.trip.push(tripIndex.get(stopTime.tripId));
+                raw.hop.push(hop++);
+                raw.flags.push((previous.pickupType === 1 ? NO_PICKUP : 0) | (stopTime.dropOffType === 1 ? NO_DROP_OFF : 0));
+            }
+            else { 
+                hop = 0;
+            }
+
+            previous = { 
+                tripId: stopTime.tripId,
+                stop,
+                departure: stopTime.departureSeconds ?? arrival,
+                pickupType: stopTime.pickupType
+            };
+        }
+    }
+
+    const order = raw.depTime.map((time, index) => index)
+        .sort((a, b) => raw.depTime[a] - raw.depTime[b] || raw.arrTime[a] - raw.arrTime[b]);
+
+    const timetable = { trips, length: order.length };
+    for (const [field, values] of Object.entries(raw)) { 
+        const Type = field === 'flags' ? Uint8Array : Int32Array;
+        timetable[field] = Type.from(order, index => values[index]);
+    }
+
+    return timetable;
+}
+
+/**
+ * Get the timetable of a service day (cached, the most recently used days are kept)
+ */
+const getTimetable = (feedVersionId, network, serviceDate) => { 
+    const key = `${feedVersionId}:${serviceDate}`;
+    let timetable = timetableCache.get(key);
+
+    if (timetable) { 
+        timetableCache.delete(key);
+    }
+    else { 
+        timetable = loadTimetable(feedVersionId, network, serviceDate).catch(error => { 
+            timetableCache.delete(key);
+            throw error;
+        });
+    }
+
+    timetableCache.set(key, timetable);
+    if (timetableCache.size > TIMETABLE_CACHE_SIZE) timetableCache.delete(timetableCache.keys().next().value);
+
+    return timetable;
+}
+
+/**
+ * First index of a sorted array with a value >= target
+ */
+const lowerBound = (values, target) => { 
+    let low = 0;
+    let high = values.length;
+
+    while (low < high) { 
+        const middle = (low + high) >> 1;
+        if (values[middle] < target) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+}
+
+/**
+ * Go through the connections of several service days in departure order
+ * @param {object[]} days - [{ timetable, offset }], offset is the start of the service day (epoch seconds)
+ * @returns {function} next() - { day, index, departure } or null after the last connection before `to`
+ */
+const createConnectionScanner = (days, from, to) => { 
+    const heads = days.map(day => ({ day, index: lowerBound(day.timetable.depTime, from - day.offset) }));
+
+    return () => { 
+        let next = null;
+        let departure = Infinity;
+
+        for (const head of heads) { 
+            if (head.index >= head.day.timetable.length) continue;
+
+            const time = head.day.offset + head.day.timetable.depTime[head.index];
+            if (time < departure) { 
+                next = head;
+                departure = time;
+            }
+        }
+
+        if (!next || departure > to) return null;
+        return { day: next.day, index: next.index++, departure };
+    };
+}
+
+/**
+ * Find the earliest arrival from an origin to a destination (one itinerary)
+ * @param {object} network - stop network
+ * @param {object[]} days - service days to scan
+ * @param {object[]} access - [{ stop, distance, duration }] stops the origin walks to
+ * @param {Map} egress - stop -> { distance, duration } walking to the destination
+ * @param {number} departAt - epoch seconds
+ * @returns {object[]|null} legs (raw), null if the destination can't be reached by transit
+ */
+const scanConnections = (network, days, access, egress, departAt) => { 
+    const arrival = new Float64Array(network.stops.length).fill(Infinity);
+    const reachedBy = new Array(network.stops.length);
+    const boarded = new Map();   // trip of a day -> connection where the trip was boarded
+    let best = { arrival: Infinity, stop: null };
+
+    const reachStop = (stop, time, step) => { 
+        arrival[stop] = time;
+        reachedBy[stop] = step;
+
+        // walking from stop to stop is not a transit trip
+        if (step.type === 'access') return;
+
+        const walk = egress.get(stop);
+        if (walk && time + walk.duration < best.arrival) best = { arrival: time + walk.duration, stop };
+    };
+
+    for (const { stop, ...walk } of access) { 
+        if (departAt + walk.duration < arrival[stop]) reachStop(stop, departAt + walk.duration, { type: 'access', ...walk });
+    }
+
+    const next = createConnectionScanner(days, departAt, departAt + MAX_JOURNEY_TIME);
+
+    for (let connection = next(); connection; connection = next()) { 
+        // nothing departing later can arrive earlier
+        if (connection.departure >= best.arrival) break;
+
+        const { day, index } = connection;
+        const { timetable } = day;
+        const tripKey = `${day.number}:${timetable.trip[index]}`;
+        let enter = boarded.get(tripKey);
+
+        if (enter === undefined) { 
+            const stop = timetable.depStop[index];
+            const ready = arrival[stop] + (reachedBy[stop]?.type === 'ride' ? MIN_TRANSFER_TIME : 0);
+
+            if (ready > connection.departure || timetable.flags[index] & NO_PICKUP) continue;
+
+            enter = index;
+            boarded.set(tripKey, enter);
+        }
+
+        if (timetable.flags[index] & NO_DROP_OFF) continue;
+
+        const stop = timetable.arrStop[index];
+        const arrivalTime = day.offset + timetable.arrTime[index];
+        if (arrivalTime >= arrival[stop]) continue;
+
+        reachStop(stop, arrivalTime, { type: 'ride', day, enter, exit: index });
+
+        // walk to the stops around to change vehicles
+        for (const footpath of network.footpaths[stop]) { 
+            if (arrivalTime + footpath.duration < arrival[footpath.stop]) { 
+                reachStop(footpath.stop, arrivalTime + footpath.duration, { type: 'walk', from: stop, ...footpath });
+            }
+        }
+    }
+
+    if (best.stop === null) return null;
+
+    // follow the steps back from the last stop
+    const legs = [{ type: 'egress', from: best.stop, ...egress.get(best.stop) }];
+
+    for (let stop = best.stop; ;) { 
+        const step = reachedBy[stop];
+        legs.unshift({ ...step, to: stop });
+
+        if (step.type === 'access') break;
+        stop = step.type === 'walk' ? step.from : step.day.timetable.depStop[step.enter];
+    }
+
+    return legs;
+}
+
+/**
+ * Format a stop of the network for itineraries
+ */
+const formatPlace = (network, stop) => ({
+    id: network.stops[stop].stopId,
+    code: network.stops[stop].code,
+    name: network.stops[stop].name,
+    lat: network.lat[stop],
+    lng: network.lng[stop]
+});
+
+/**
+ * Turn the raw legs of a scan into an itinerary with times, stops and routes
+ * Walking to the first stop ends when the first vehicle leaves
+ */
+const buildItinerary = (network, rawLegs, routesById, from, to) => { 
+    const legs = [];
+    let time = null;
+
+    rawLegs.forEach((leg, index) => { 
+        if (leg.type === 'ride') { 
+            const { timetable, offset } = leg.day;
+            const trip = timetable.trips[timetable.trip[leg.enter]];
+            const route = routesById.get(trip.routeId);
+            const departure = offset + timetable.depTime[leg.enter];
+
+            time = offset + timetable.arrTime[leg.exit];
+            legs.push({
+                mode: route ? getRouteMode(route.type) : 'bus',
+                route: route ? formatRoute(route) : { id: trip.routeId },
+                tripId: trip.tripId,
+                headsign: trip.headsign,
+                directionId: trip.directionId,
+                from: formatPlace(network, timetable.depStop[leg.enter]),
+                to: formatPlace(network, leg.to),
+                departureTime: new Date(departure * 1000),
+                arrivalTime: new Date(time * 1000),
+                duration: time - departure,
+                stops: timetable.hop[leg.exit] - timetable.hop[leg.enter] + 1
+            });
+            return;
+        }
+
+        // walking - to the first stop (access), between stops (walk) or to the destination (egress)
+        const start = leg.type === 'access'
+            ? rawLegs[index + 1].day.offset + rawLegs[index + 1].day.timetable.depTime[rawLegs[index + 1].enter] - leg.duration
+            : time;
+        const previous = legs[legs.length - 1];
+
+        time = start + leg.duration;
+
+        // a transfer walk followed by the walk to the destination is one walk
+        if (previous?.mode === 'walk') { 
+            previous.to = leg.type === 'egress' ? to : formatPlace(network, leg.to);
+            previous.arrivalTime = new Date(time * 1000);
+            previous.duration += leg.duration;
+            previous.distance += leg.distance;
+            return;
+        }
+
+        legs.push({
+            mode: 'walk',
+            from: leg.type === 'access' ? from : formatPlace(network, leg.from),
+            to: leg.type === 'egress' ? to : formatPlace(network, leg.to),
+            departureTime: new Date(start * 1000),
+            arrivalTime: new Date(time * 1000),
+            duration: leg.duration,
+            distance: leg.distance
+        });
+    });
+
+    return summarizeItinerary(legs);
+}
+
+/**
+ * Add the totals to a list of legs
+ */
+const summarizeItinerary = (legs) => { 
+    const departureTime = legs[0].departureTime;
+    const arrivalTime = legs[legs.length - 1].arrivalTime;
+    const rides = legs.filter(leg => leg.mode !== 'walk').length;
+
+    return { 
+        departureTime,
+        arrivalTime,
+        duration: Math.round((arrivalTime - departureTime) / 1000),
+        walkDistance: legs.filter(leg => leg.mode === 'walk').reduce((total, leg) => total + leg.distance, 0),
+        transfers: Math.max(rides - 1, 0),
+        legs
+    };
+}
+
+/**
+ * Plan trips between two points
+ * Returns the next itineraries leaving after departAt (each one catches a later first vehicle),
+ * plus walking the whole way when the destination is close
+ * @param {string} feedVersionId - active FeedVersion id
+ * @param {object} options - { from: { lat, lng }, to: { lat, lng }, departAt: Date, limit }
+ * @returns {object[]} itineraries sorted by arrival time
+ */
+const planTrip = async (feedVersionId, { from, to, departAt, limit }) => { 
+    const network = await getNetwork(feedVersionId);
+    const start = Math.floor(departAt.getTime() / 1000);
+
+    // service days with trips running in the search window
+    const serviceDate = getServiceDate(departAt);
+    const dayStart = getServiceDayStart(serviceDate).getTime() / 1000;
+    const serviceDates = [serviceDate];
+
+    if (start < dayStart + PREVIOUS_DAY_OVERLAP) serviceDates.unshift(shiftServiceDate(serviceDate, -1));
+    if (start + MAX_JOURNEY_TIME >= getServiceDayStart(shiftServiceDate(serviceDate, 1)).getTime() / 1000) { 
+        serviceDates.push(shiftServiceDate(serviceDate, 1));
+    }
+
+    const days = await Promise.all(serviceDates.map(async (date, number) => ({
+        number,
+        offset: getServiceDayStart(date).getTime() / 1000,
+        timetable: await getTimetable(feedVersionId, network, date)
+    })));
+
+    const access = findStopsNear(network, from.lat, from.lng, MAX_ACCESS_WALK)
+        .map(near => ({ stop: near.stop, ...getWalk(near.distance) }));
+    const egress = new Map(findStopsNear(network, to.lat, to.lng, MAX_ACCESS_WALK)
+        .map(near => [near.stop, getWalk(near.distance)]));
+
+    const origin = { lat: from.lat, lng: from.lng };
+    const destination = { lat: to.lat, lng: to.lng };
+    const results = [];
+
+    // each search starts just late enough to miss the first vehicle of the previous itinerary
+    let searchFrom = start;
+    while (results.length < limit && access.length && egress.size) { 
+        const legs = scanConnections(network, days, access, egress, searchFrom);
+        if (!legs) break;
+
+        results.push(legs);
+        const firstRide = legs[1];
+        searchFrom = firstRide.day.offset + firstRide.day.timetable.depTime[firstRide.enter] - legs[0].duration + 1;
+    }
+
+    const routeIds = [...new Set(results.flat()
+        .filter(leg => leg.type === 'ride')
+        .map(leg => leg.day.timetable.trips[leg.day.timetable.trip[leg.enter]].routeId))];
+    const routes = await Route.find({ feedVersion: feedVersionId, routeId: { $in: routeIds } }).lean();
+    const routesById = new Map(routes.map(route => [route.routeId, route]));
+
+    const itineraries = results.map(legs => buildItinerary(network, legs, routesById, origin, destination));
+
+    // walking the whole way
+    const directDistance = getDistance(from.lat, from.lng, to.lat, to.lng);
+    if (directDistance <= MAX_DIRECT_WALK) { 
+        const walk = getWalk(directDistance);
+        itineraries.push(summarizeItinerary([{
+            mode: 'walk',
+            from: origin,
+            to: destination,
+            departureTime: new Date(start * 1000),
+            arrivalTime: new Date((start + walk.duration) * 1000),
+            duration: walk.duration,
+            distance: walk.distance
+        }]));
+    }
+
+    return itineraries.sort((a, b) => a.arrivalTime - b.arrivalTime);
+}
+
+module.exports = { planTrip };